@@ -1,18 +1,71 @@
 import jwt from "jsonwebtoken";
+import User, { PERMISSION_FIELDS } from "../models/user.model.js";
+import { touchSession } from "../utils/sessions.js";
+import { ApiError, unauthorized } from "../utils/errors.js";
+import {
+  accessRestriction,
+  activeRestrictions,
+  restrictionError,
+} from "../utils/restrictions.js";
 
-const auth = (req, res, next) => {
+// Verify the bearer token and load the user it belongs to. Role and
+// permissions come from the database rather than the token, so changes made
+// by an admin apply to tokens that were issued before them.
+const resolveUser = async (req) => {
+  const header = req.header("Authorization");
+  if (!header) throw new Error("No token provided");
+  const token = header.replace("Bearer ", "");
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  // Tokens are tied to a session so logout and revocation apply immediately
+  if (!decoded.sid || !(await touchSession(decoded.sid, decoded.userId))) {
+    throw new Error("Session has expired or been revoked");
+  }
+
+  const user = await User.findById(decoded.userId).select(
+    `${PERMISSION_FIELDS} reputation`
+  );
+  if (!user) throw new Error("User no longer exists");
+
+  const restriction = accessRestriction(user);
+  if (restriction) throw restrictionError(restriction);
+
+  return {
+    ...decoded,
+    userId: user._id.toString(),
+    role: user.role,
+    sessionId: decoded.sid,
+    emailVerified: user.emailVerified !== false,
+    permissions: user.permissions,
+    reputation: user.reputation,
+    restrictions: activeRestrictions(user),
+  };
+};
+
+const auth = async (req, res, next) => {
   try {
-    const token = req.header("Authorization").replace("Bearer ", "");
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = decoded; // Attach user payload (including userId and role) to the request
-    next();
+    req.user = await resolveUser(req); // Attach user payload (including userId, role and permissions) to the request
   } catch (error) {
-    res.status(401).send({
-      success: false,
-      message: "Authentication failed",
-      error: error.message,
-    });
+    return next(
+      error instanceof ApiError
+        ? error
+        : unauthorized(`Authentication failed: ${error.message}`)
+    );
   }
+  next();
 };
 
 export default auth;
+
+// Attach the user payload when a valid token is present, otherwise continue
+// as a guest. Used by routes that serve both guests and members.
+export const optionalAuth = async (req, res, next) => {
+  if (!req.header("Authorization")) return next();
+
+  try {
+    req.user = await resolveUser(req);
+  } catch (error) {
+    req.user = undefined;
+  }
+  next();
+};
@@ -1,20 +1,40 @@
+import { ApiError, unauthorized, forbidden } from "../utils/errors.js";
+import { muteFor, restrictionError } from "../utils/restrictions.js";
+import {
+  loadCategory,
+  categoryRules,
+  categoryPermissions,
+  reputationShortfall,
+} from "../utils/categories.js";
+
+// Options:
+//   roles        the user must have one of these roles
+//   permissions  the user must have all of these permissions
+//   category     (req) => id of the category the request acts in. Its rules
+//                are applied to req.user.permissions before the permission
+//                check, e.g. category moderators gain canModerate; the
+//                category is attached as req.category.
 const authorize = (options = {}) => {
-  const { roles = [], permissions = [] } = options;
+  const { roles = [], permissions = [], category } = options;
 
-  return (req, res, next) => {
+  return async (req, res, next) => {
     if (!req.user) {
-      return res.status(401).json({
-        success: false,
-        message: "Unauthorized: Authentication required.",
-      });
+      return next(unauthorized("Unauthorized: Authentication required."));
     }
 
     // Check roles if specified
     if (roles.length > 0 && !roles.includes(req.user.role)) {
-      return res.status(403).json({
-        success: false,
-        message: "Forbidden: Insufficient role privileges.",
-      });
+      return next(forbidden("Forbidden: Insufficient role privileges."));
+    }
+
+    // Layer the category's rules onto the user's permissions
+    let rules;
+    if (category) {
+      req.category = await loadCategory(await category(req));
+      if (req.category) {
+        rules = await categoryRules(req.category);
+        req.user.permissions = categoryPermissions(req.user, rules);
+      }
     }
 
     // Check permissions if specified
@@ -24,10 +44,30 @@ const authorize = (options = {}) => {
       );
 
       if (!hasAllPermissions) {
-        return res.status(403).json({
-          success: false,
-          message: "Forbidden: Insufficient permissions.",
-        });
+        // Explain mutes rather than failing with a bare 403
+        const mute = permissions
+          .map((permission) => muteFor(req.user, permission))
+          .find(Boolean);
+        if (mute) return next(restrictionError(mute));
+        if (rules && rules.readOnly && permissions.includes("canPost")) {
+          return next(
+            forbidden("Only moderators can start threads in this category.")
+          );
+        }
+        const shortfall =
+          rules && reputationShortfall(req.user, rules, permissions);
+        if (shortfall) {
+          return next(
+            new ApiError(
+              403,
+              "INSUFFICIENT_REPUTATION",
+              `You need ${shortfall.required} reputation to do this in this category.`,
+              undefined,
+              shortfall
+            )
+          );
+        }
+        return next(forbidden("Forbidden: Insufficient permissions."));
       }
     }
 
@@ -0,0 +1,78 @@
+import mongoose from "mongoose";
+import { ApiError, notFound } from "../utils/errors.js";
+
+// Map errors from Mongoose, the JSON body parser and the MongoDB driver onto
+// ApiErrors; anything unrecognised becomes a 500
+const toApiError = (error) => {
+  if (error instanceof ApiError) return error;
+
+  if (error instanceof mongoose.Error.ValidationError) {
+    return new ApiError(
+      400,
+      "VALIDATION_ERROR",
+      "Request validation failed",
+      Object.fromEntries(
+        Object.entries(error.errors).map(([field, fieldError]) => [
+          field,
+          fieldError.message,
+        ])
+      )
+    );
+  }
+
+  if (error instanceof mongoose.Error.CastError) {
+    return new ApiError(400, "INVALID_VALUE", `Invalid ${error.path}`, {
+      [error.path]: `Invalid value for ${error.path}`,
+    });
+  }
+
+  if (error.type === "entity.parse.failed") {
+    return new ApiError(400, "INVALID_JSON", "Request body is not valid JSON");
+  }
+
+  if (error.code === 11000) {
+    const fields = Object.keys(error.keyValue || error.keyPattern || {});
+    return new ApiError(
+      409,
+      "DUPLICATE",
+      `${fields.join(", ") || "Value"} is already in use`,
+      Object.fromEntries(fields.map((field) => [field, "Already in use"]))
+    );
+  }
+
+  return null;
+};
+
+// Unknown routes
+export const notFoundHandler = (req, res, next) => {
+  next(notFound(`Cannot ${req.method} ${req.path}`));
+};
+
+// Produces the { success: false, code, message, errors?, details? } envelope
+// for every error passed to next() or thrown from a route
+const errorHandler = (error, req, res, next) => {
+  const apiError = toApiError(error);
+
+  if (!apiError) {
+    console.error(`Error handling ${req.method} ${req.originalUrl}:`, error);
+    return res.status(500).json({
+      success: false,
+      code: "INTERNAL_ERROR",
+      message: "Something went wrong",
+    });
+  }
+
+  const body = {
+    success: false,
+    code: apiError.code,
+    message: apiError.message,
+  };
+  if (apiError.errors) body.errors = apiError.errors;
+  if (apiError.details) body.details = apiError.details;
+  if (apiError.details && apiError.details.retryAfter) {
+    res.set("Retry-After", String(apiError.details.retryAfter));
+  }
+  res.status(apiError.status).json(body);
+};
+
+export default errorHandler;
@@ -0,0 +1,42 @@
+import multer from "multer";
+import { ApiError, badRequest } from "../utils/errors.js";
+
+const formatBytes = (bytes) => {
+  if (bytes >= 1024 * 1024) return `${Math.round(bytes / (1024 * 1024))} MB`;
+  if (bytes >= 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${bytes} bytes`;
+};
+
+// Accept a single multipart file in `field`, kept in memory as req.file.
+// Files over `maxBytes` or with a MIME type outside `mimeTypes` are rejected
+// before the route runs.
+export const singleFile = (field, { maxBytes, mimeTypes }) => {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: maxBytes, files: 1 },
+    fileFilter: (req, file, callback) =>
+      mimeTypes.includes(file.mimetype)
+        ? callback(null, true)
+        : callback(
+            badRequest(`File type must be one of: ${mimeTypes.join(", ")}`)
+          ),
+  }).single(field);
+
+  return (req, res, next) =>
+    upload(req, res, (error) => {
+      if (error instanceof multer.MulterError) {
+        return next(
+          error.code === "LIMIT_FILE_SIZE"
+            ? new ApiError(
+                413,
+                "FILE_TOO_LARGE",
+                `File must be at most ${formatBytes(maxBytes)}`
+              )
+            : badRequest(`Invalid upload: ${error.message}`)
+        );
+      }
+      if (error) return next(error);
+      if (!req.file) return next(badRequest(`Upload a file as "${field}"`));
+      next();
+    });
+};
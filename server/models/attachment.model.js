@@ -0,0 +1,68 @@
+import mongoose from "mongoose";
+
+// An uploaded file. It belongs to its uploader until it is attached to a
+// thread or comment, after which whoever can see that post can download
+// it. Files live in utils/storage.js under `key` (and `thumbnailKey` for
+// images); clients use `url` and `thumbnailUrl` instead.
+const attachmentSchema = new mongoose.Schema(
+  {
+    uploader: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Original file name, for downloads
+    filename: {
+      type: String,
+      required: true,
+    },
+    contentType: {
+      type: String,
+      required: true,
+    },
+    size: {
+      type: Number,
+      required: true,
+    },
+    key: {
+      type: String,
+      required: true,
+    },
+    url: {
+      type: String,
+      required: true,
+    },
+    // Images only
+    thumbnailKey: String,
+    thumbnailUrl: String,
+    width: Number,
+    height: Number,
+    // The post it is attached to; unset while unattached
+    targetType: {
+      type: String,
+      enum: ["Thread", "Comment"],
+    },
+    target: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: "targetType",
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      transform: (doc, ret) => {
+        delete ret.key;
+        delete ret.thumbnailKey;
+        return ret;
+      },
+    },
+  }
+);
+
+attachmentSchema.index({ target: 1, updatedAt: 1 });
+attachmentSchema.index({ uploader: 1, createdAt: -1 });
+
+const Attachment = mongoose.model("Attachment", attachmentSchema);
+
+export default Attachment;
@@ -0,0 +1,43 @@
+import mongoose from "mongoose";
+
+// A thread or comment a user saved for later
+const bookmarkSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    targetType: {
+      type: String,
+      enum: ["Thread", "Comment"],
+      required: true,
+    },
+    target: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: "targetType",
+      required: true,
+    },
+    // Thread the bookmarked content lives in, for linking and visibility
+    thread: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Thread",
+      required: true,
+    },
+    // Private to the user
+    note: {
+      type: String,
+      trim: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+bookmarkSchema.index({ user: 1, target: 1 }, { unique: true });
+bookmarkSchema.index({ user: 1, createdAt: -1 });
+
+const Bookmark = mongoose.model("Bookmark", bookmarkSchema);
+
+export default Bookmark;
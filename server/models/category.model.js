@@ -0,0 +1,74 @@
+import mongoose from "mongoose";
+
+// Categories group threads into sub-forums. They nest one level deep: a
+// category either is top-level or has a top-level parent. Rules set on a
+// parent also apply to its subcategories; see utils/categories.js.
+const categorySchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    slug: {
+      type: String,
+      required: true,
+      unique: true,
+      lowercase: true,
+      trim: true,
+    },
+    description: {
+      type: String,
+      default: "",
+    },
+    // Position among its siblings, lowest first
+    order: {
+      type: Number,
+      default: 0,
+    },
+    parent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Category",
+      default: null,
+    },
+    // Hidden from guests
+    membersOnly: {
+      type: Boolean,
+      default: false,
+    },
+    // Announcements: only moderators may start threads; members can still
+    // reply unless the thread is locked
+    readOnly: {
+      type: Boolean,
+      default: false,
+    },
+    // Reputation members need to start threads or to comment here, if any.
+    // Moderators are exempt.
+    minPostReputation: {
+      type: Number,
+      default: 0,
+    },
+    minCommentReputation: {
+      type: Number,
+      default: 0,
+    },
+    // Users who moderate this category (and its subcategories) without
+    // being moderators everywhere
+    moderators: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+    ],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+categorySchema.index({ parent: 1, order: 1 });
+categorySchema.index({ moderators: 1 });
+
+const Category = mongoose.model("Category", categorySchema);
+
+export default Category;
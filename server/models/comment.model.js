@@ -1,4 +1,6 @@
 import mongoose from "mongoose";
+import { REACTION_TYPES } from "../utils/reactions.js";
+import { renderContent } from "../utils/markdown.js";
 
 const commentSchema = new mongoose.Schema(
   {
@@ -6,6 +8,22 @@ const commentSchema = new mongoose.Schema(
       type: String,
       required: true,
     },
+    // Derived from content on save: the sanitized HTML rendering of the
+    // Markdown source and the users it mentions; see utils/markdown.js
+    contentHtml: String,
+    mentions: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+    ],
+    // Files uploaded through POST /attachments; see utils/attachments.js
+    attachments: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Attachment",
+      },
+    ],
     author: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
@@ -28,21 +46,72 @@ const commentSchema = new mongoose.Schema(
       type: Boolean,
       default: false,
     },
+    // Held by the spam checks and not yet restored; notifications are sent
+    // when it is, see utils/spam.js
+    heldForReview: {
+      type: Boolean,
+      default: false,
+    },
+    // When the thread's author or a moderator accepted the comment as the
+    // answer to the thread's question; the thread's acceptedAnswer points
+    // back to it
+    acceptedAt: {
+      type: Date,
+      default: null,
+    },
+    // Soft delete: the comment is shown as a tombstone and sits in the trash
+    // until it is restored or purged; see utils/trash.js
+    deletedAt: {
+      type: Date,
+      default: null,
+    },
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    // Set when the purge emptied a tombstone that still has replies
+    purgedAt: {
+      type: Date,
+      default: null,
+    },
     likes: [
       {
         type: mongoose.Schema.Types.ObjectId,
         ref: "User",
       },
     ],
+    reactions: [
+      {
+        _id: false,
+        user: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+          required: true,
+        },
+        type: {
+          type: String,
+          enum: REACTION_TYPES,
+          required: true,
+        },
+      },
+    ],
   },
   {
     timestamps: true,
   }
 );
 
+commentSchema.pre("save", async function () {
+  if (this.isModified("content")) this.set(await renderContent(this.content));
+});
+
 // Add indexes for better query performance
 commentSchema.index({ thread: 1, createdAt: 1 });
 commentSchema.index({ author: 1, createdAt: -1 });
+commentSchema.index({ content: "text" });
+commentSchema.index({ thread: 1, updatedAt: 1 });
+commentSchema.index({ deletedAt: -1 });
+commentSchema.index({ author: 1, acceptedAt: 1 });
 
 const Comment = mongoose.model("Comment", commentSchema);
 
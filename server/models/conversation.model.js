@@ -0,0 +1,46 @@
+import mongoose from "mongoose";
+
+// A private conversation between two or more users. Only participants can
+// read it; moderators only ever see messages that were reported to them.
+const conversationSchema = new mongoose.Schema(
+  {
+    participants: [
+      {
+        _id: false,
+        user: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+          required: true,
+        },
+        // Messages after this are unread for the participant
+        lastReadAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+    // Optional, for group conversations
+    subject: {
+      type: String,
+      trim: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    lastMessageAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+conversationSchema.index({ "participants.user": 1, lastMessageAt: -1 });
+
+const Conversation = mongoose.model("Conversation", conversationSchema);
+
+export default Conversation;
@@ -0,0 +1,45 @@
+import mongoose from "mongoose";
+import { renderContent } from "../utils/markdown.js";
+
+const messageSchema = new mongoose.Schema(
+  {
+    conversation: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Conversation",
+      required: true,
+    },
+    // The sender
+    author: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    content: {
+      type: String,
+      required: true,
+    },
+    // Derived from content on save, see utils/markdown.js
+    contentHtml: String,
+    // Set by a moderator acting on a report
+    isHidden: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Mentions in messages are rendered as links but nobody is notified
+messageSchema.pre("save", async function () {
+  if (this.isModified("content")) {
+    this.contentHtml = (await renderContent(this.content)).contentHtml;
+  }
+});
+
+messageSchema.index({ conversation: 1, createdAt: -1 });
+
+const Message = mongoose.model("Message", messageSchema);
+
+export default Message;
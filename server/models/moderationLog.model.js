@@ -0,0 +1,69 @@
+import mongoose from "mongoose";
+
+export const LOG_TARGET_TYPES = ["Thread", "Comment", "Message", "User"];
+
+// Append-only record of moderator and admin actions. Entries are never
+// changed or removed; the hooks below reject any attempt to.
+const moderationLogSchema = new mongoose.Schema(
+  {
+    moderator: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    action: {
+      type: String,
+      required: true,
+    },
+    targetType: {
+      type: String,
+      enum: LOG_TARGET_TYPES,
+      required: true,
+    },
+    target: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: "targetType",
+      required: true,
+    },
+    report: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Report",
+    },
+    note: String,
+    // Field values before and after the action, e.g.
+    // { isHidden: { from: false, to: true } }
+    changes: mongoose.Schema.Types.Mixed,
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+moderationLogSchema.index({ createdAt: -1 });
+moderationLogSchema.index({ moderator: 1, createdAt: -1 });
+moderationLogSchema.index({ target: 1, createdAt: -1 });
+
+const rejectChange = function () {
+  throw new Error("Moderation log entries cannot be modified");
+};
+
+moderationLogSchema.pre("save", function (next) {
+  if (!this.isNew)
+    return next(new Error("Moderation log entries cannot be modified"));
+  next();
+});
+
+[
+  "updateOne",
+  "updateMany",
+  "findOneAndUpdate",
+  "replaceOne",
+  "findOneAndReplace",
+  "deleteOne",
+  "deleteMany",
+  "findOneAndDelete",
+].forEach((operation) => moderationLogSchema.pre(operation, rejectChange));
+
+const ModerationLog = mongoose.model("ModerationLog", moderationLogSchema);
+
+export default ModerationLog;
@@ -0,0 +1,69 @@
+import mongoose from "mongoose";
+
+// What a notification is about. Users can switch each type off in their
+// notification preferences.
+export const NOTIFICATION_TYPES = [
+  "reply",
+  "mention",
+  "like",
+  "moderation",
+  "badge",
+  "watching",
+];
+
+// How often unread notifications are emailed; see utils/digest.js
+export const DIGEST_FREQUENCIES = ["off", "daily", "weekly"];
+
+const notificationSchema = new mongoose.Schema(
+  {
+    recipient: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: NOTIFICATION_TYPES,
+      required: true,
+    },
+    // Who caused it; moderation notifications leave the moderator out
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    thread: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Thread",
+    },
+    // The comment the notification points at, if any: the reply, the
+    // comment mentioning or liked, the moderated comment, or the new
+    // comment in a watched thread
+    comment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Comment",
+    },
+    // Moderation only: the action taken, e.g. "hide"
+    action: String,
+    // Badge only: the id of the badge earned, see utils/badges.js
+    badge: String,
+    readAt: {
+      type: Date,
+      default: null,
+    },
+    // Set once the notification went out in an email digest
+    emailedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+notificationSchema.index({ recipient: 1, createdAt: -1 });
+notificationSchema.index({ recipient: 1, readAt: 1 });
+
+const Notification = mongoose.model("Notification", notificationSchema);
+
+export default Notification;
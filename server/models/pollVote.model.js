@@ -0,0 +1,34 @@
+import mongoose from "mongoose";
+
+// One user's vote in the poll of a thread: the ids of the options they
+// chose. Results are counted from these; see utils/polls.js.
+const pollVoteSchema = new mongoose.Schema(
+  {
+    thread: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Thread",
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    options: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+      },
+    ],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+pollVoteSchema.index({ thread: 1, user: 1 }, { unique: true });
+pollVoteSchema.index({ thread: 1, options: 1, createdAt: -1 });
+
+const PollVote = mongoose.model("PollVote", pollVoteSchema);
+
+export default PollVote;
@@ -0,0 +1,40 @@
+import mongoose from "mongoose";
+
+// How far a user has read a thread. Comments created after `lastReadAt`
+// are unread for them; see utils/readState.js.
+const readStateSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    thread: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Thread",
+      required: true,
+    },
+    // The last comment read, unset when the thread had none yet
+    lastReadComment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Comment",
+      default: null,
+    },
+    // Creation time of that comment, or when a thread without comments was
+    // read
+    lastReadAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+readStateSchema.index({ user: 1, thread: 1 }, { unique: true });
+readStateSchema.index({ thread: 1 });
+
+const ReadState = mongoose.model("ReadState", readStateSchema);
+
+export default ReadState;
@@ -0,0 +1,79 @@
+import mongoose from "mongoose";
+
+export const REPORT_REASONS = [
+  "spam",
+  "harassment",
+  "off_topic",
+  "inappropriate",
+  "other",
+];
+
+export const REPORT_STATUSES = ["open", "in_review", "resolved", "dismissed"];
+
+const reportSchema = new mongoose.Schema(
+  {
+    // Unset for posts the spam checks held for review, see utils/spam.js
+    reporter: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    targetType: {
+      type: String,
+      enum: ["Thread", "Comment", "Message"],
+      required: true,
+    },
+    target: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: "targetType",
+      required: true,
+    },
+    // Thread the reported content lives in, for linking and filtering
+    thread: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Thread",
+      required: function () {
+        return this.targetType !== "Message";
+      },
+    },
+    // Messages only: the conversation the message was sent in
+    conversation: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Conversation",
+    },
+    reason: {
+      type: String,
+      enum: REPORT_REASONS,
+      required: true,
+    },
+    details: String,
+    status: {
+      type: String,
+      enum: REPORT_STATUSES,
+      default: "open",
+    },
+    assignedTo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    resolution: {
+      action: String,
+      note: String,
+      moderator: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+      at: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+reportSchema.index({ status: 1, createdAt: 1 });
+reportSchema.index({ target: 1, status: 1 });
+reportSchema.index({ assignedTo: 1, status: 1 });
+
+const Report = mongoose.model("Report", reportSchema);
+
+export default Report;
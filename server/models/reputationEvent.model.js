@@ -0,0 +1,58 @@
+import mongoose from "mongoose";
+
+// Why reputation changed; points per reason are in utils/reputation.js
+export const REPUTATION_REASONS = ["like", "accepted", "moderation"];
+
+// Ledger of reputation changes. A user's `reputation` is the sum of their
+// entries' points. Each entry has a `key` naming the fact it stands for,
+// e.g. one member liking one post, so awarding twice is a no-op and taking
+// the fact back removes exactly its entry.
+const reputationEventSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    reason: {
+      type: String,
+      enum: REPUTATION_REASONS,
+      required: true,
+    },
+    points: {
+      type: Number,
+      required: true,
+    },
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // Who caused it; left out for moderation
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    targetType: {
+      type: String,
+      enum: ["Thread", "Comment"],
+    },
+    target: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: "targetType",
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+reputationEventSchema.index({ user: 1, createdAt: -1 });
+reputationEventSchema.index({ createdAt: -1 });
+
+const ReputationEvent = mongoose.model(
+  "ReputationEvent",
+  reputationEventSchema
+);
+
+export default ReputationEvent;
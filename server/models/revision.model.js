@@ -0,0 +1,45 @@
+import mongoose from "mongoose";
+
+// One version of a thread's title and content, or of a comment's content.
+// Version 1 is the post as first published; every edit or revert adds the
+// next version. See utils/revisions.js.
+const revisionSchema = new mongoose.Schema(
+  {
+    targetType: {
+      type: String,
+      enum: ["Thread", "Comment"],
+      required: true,
+    },
+    target: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: "targetType",
+      required: true,
+    },
+    version: {
+      type: Number,
+      required: true,
+    },
+    // Threads only
+    title: String,
+    content: {
+      type: String,
+      required: true,
+    },
+    editor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    reason: String,
+    // Set when this version restored an earlier one
+    revertedFrom: Number,
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+revisionSchema.index({ target: 1, version: 1 }, { unique: true });
+
+const Revision = mongoose.model("Revision", revisionSchema);
+
+export default Revision;
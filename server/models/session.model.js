@@ -0,0 +1,45 @@
+import mongoose from "mongoose";
+
+// A login session. Each holds one rotating refresh token; access tokens carry
+// the session id so revoking the session invalidates them as well.
+const sessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    refreshTokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // Hashes of refresh tokens already rotated out of this session. Seeing
+    // one again means the token was copied, so the session is revoked.
+    previousTokenHashes: [String],
+    userAgent: String,
+    ip: String,
+    lastSeenAt: {
+      type: Date,
+      default: Date.now,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: Date,
+    revokedReason: String,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+sessionSchema.index({ user: 1, revokedAt: 1 });
+sessionSchema.index({ previousTokenHashes: 1 });
+// Let MongoDB drop sessions once they can no longer be refreshed
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const Session = mongoose.model("Session", sessionSchema);
+
+export default Session;
@@ -0,0 +1,42 @@
+import mongoose from "mongoose";
+
+// "watch" notifies about new activity, "mute" silences it; see
+// utils/subscriptions.js for what each does on threads and tags
+export const SUBSCRIPTION_LEVELS = ["watch", "mute"];
+
+// A user's subscription to either a thread or a tag
+const subscriptionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    thread: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Thread",
+      default: null,
+    },
+    tag: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    level: {
+      type: String,
+      enum: SUBSCRIPTION_LEVELS,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+subscriptionSchema.index({ user: 1, thread: 1, tag: 1 }, { unique: true });
+subscriptionSchema.index({ thread: 1, level: 1 });
+subscriptionSchema.index({ tag: 1, level: 1 });
+
+const Subscription = mongoose.model("Subscription", subscriptionSchema);
+
+export default Subscription;
@@ -1,4 +1,47 @@
 import mongoose from "mongoose";
+import { REACTION_TYPES } from "../utils/reactions.js";
+import { renderContent } from "../utils/markdown.js";
+
+// Votes refer to options by id. A schema of their own keeps those ids,
+// which the poll's `_id: false` would otherwise take away.
+const pollOptionSchema = new mongoose.Schema({
+  text: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+});
+
+// A poll the author attached when creating the thread. Votes are stored
+// apart, as PollVote documents.
+const pollSchema = new mongoose.Schema(
+  {
+    question: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    options: [pollOptionSchema],
+    // Voters may pick several options
+    multipleChoice: {
+      type: Boolean,
+      default: false,
+    },
+    // Nobody can see who voted for what
+    anonymous: {
+      type: Boolean,
+      default: false,
+    },
+    allowVoteChange: {
+      type: Boolean,
+      default: true,
+    },
+    closesAt: Date,
+    // Set when the thread is locked
+    closedAt: Date,
+  },
+  { _id: false }
+);
 
 const threadSchema = new mongoose.Schema(
   {
@@ -11,11 +54,38 @@ const threadSchema = new mongoose.Schema(
       type: String,
       required: true,
     },
+    // Derived from content on save: the sanitized HTML rendering of the
+    // Markdown source and the users it mentions; see utils/markdown.js
+    contentHtml: String,
+    mentions: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+    ],
+    // Files uploaded through POST /attachments; see utils/attachments.js
+    attachments: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Attachment",
+      },
+    ],
     author: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
       required: true,
     },
+    category: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Category",
+      required: true,
+    },
+    // Copied from the category so guests can be filtered out by query; see
+    // utils/categories.js
+    membersOnly: {
+      type: Boolean,
+      default: false,
+    },
     isPublic: {
       type: Boolean,
       default: true,
@@ -24,6 +94,21 @@ const threadSchema = new mongoose.Schema(
       type: Boolean,
       default: false,
     },
+    isHidden: {
+      type: Boolean,
+      default: false,
+    },
+    // Held by the spam checks and not yet restored; notifications are sent
+    // when it is, see utils/spam.js
+    heldForReview: {
+      type: Boolean,
+      default: false,
+    },
+    // Title or content changed after publishing; see the revisions API
+    isEdited: {
+      type: Boolean,
+      default: false,
+    },
     tags: [
       {
         type: String,
@@ -40,16 +125,63 @@ const threadSchema = new mongoose.Schema(
         ref: "User",
       },
     ],
+    reactions: [
+      {
+        _id: false,
+        user: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+          required: true,
+        },
+        type: {
+          type: String,
+          enum: REACTION_TYPES,
+          required: true,
+        },
+      },
+    ],
+    poll: pollSchema,
+    // Q&A: the thread asks a question, and the comment that answered it
+    isQuestion: {
+      type: Boolean,
+      default: false,
+    },
+    acceptedAnswer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Comment",
+      default: null,
+    },
+    commentCount: {
+      type: Number,
+      default: 0,
+    },
+    lastActivityAt: {
+      type: Date,
+      default: Date.now,
+    },
   },
   {
     timestamps: true,
   }
 );
 
+threadSchema.pre("save", async function () {
+  if (this.isModified("content")) this.set(await renderContent(this.content));
+  // Locking a thread closes its poll for good, even if it is unlocked later
+  if (this.isModified("isLocked") && this.isLocked && this.poll) {
+    this.poll.closedAt = this.poll.closedAt || new Date();
+  }
+});
+
 // Add indexes for better query performance
 threadSchema.index({ title: "text", content: "text" });
 threadSchema.index({ author: 1, createdAt: -1 });
 threadSchema.index({ tags: 1 });
+threadSchema.index({ isQuestion: 1, acceptedAnswer: 1 });
+threadSchema.index({ category: 1, lastActivityAt: -1 });
+threadSchema.index({ lastActivityAt: -1 });
+threadSchema.index({ views: -1 });
+threadSchema.index({ updatedAt: -1 });
 
 const Thread = mongoose.model("Thread", threadSchema);
 
@@ -1,71 +1,214 @@
 import mongoose from "mongoose";
+import {
+  ROLES,
+  resolvePermissions,
+  withoutWritePermissions,
+} from "../utils/permissions.js";
+import { DIGEST_FREQUENCIES } from "./notification.model.js";
+import {
+  RESTRICTION_TYPES,
+  MUTE_SCOPES,
+  applyMutes,
+} from "../utils/restrictions.js";
 
-const userSchema = new mongoose.Schema({
-  username: {
-    type: String,
-    required: true,
-    unique: true,
-  },
-  email: {
-    type: String,
-    required: true,
-    unique: true,
-  },
-  password: {
-    type: String,
-    required: function () {
-      return this.role !== "guest"; // Password not required for guests
+const userSchema = new mongoose.Schema(
+  {
+    username: {
+      type: String,
+      required: true,
+      unique: true,
     },
-  },
-  passwordResetToken: String,
-  passwordResetExpires: Date,
-  role: {
-    type: String,
-    enum: ["community_member", "moderator", "admin", "guest"],
-    default: "guest",
-  },
-  permissions: {
-    canPost: {
-      type: Boolean,
-      default: function () {
-        return ["community_member", "moderator", "admin"].includes(this.role);
+    email: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    password: {
+      type: String,
+      required: function () {
+        return this.role !== "guest"; // Password not required for guests
       },
     },
-    canComment: {
-      type: Boolean,
-      default: function () {
-        return ["community_member", "moderator", "admin"].includes(this.role);
+    passwordResetToken: String,
+    passwordResetExpires: Date,
+    // Only `false` marks an unverified account; users created before email
+    // verification existed have no value and count as verified
+    emailVerified: Boolean,
+    emailVerificationToken: String,
+    emailVerificationExpires: Date,
+    role: {
+      type: String,
+      enum: ROLES,
+      default: "guest",
+    },
+    // Per-user exceptions to the role defaults in utils/permissions.js. Unset
+    // entries inherit from the role.
+    permissionOverrides: {
+      canPost: Boolean,
+      canComment: Boolean,
+      canMessage: Boolean,
+      canModerate: Boolean,
+      canManageUsers: Boolean,
+    },
+    // Bans, suspensions and mutes, current and past; see utils/restrictions.js
+    restrictions: [
+      {
+        type: {
+          type: String,
+          enum: RESTRICTION_TYPES,
+          required: true,
+        },
+        reason: {
+          type: String,
+          required: true,
+        },
+        // Mutes only: what the user may not do
+        scope: {
+          type: [{ type: String, enum: MUTE_SCOPES }],
+          default: undefined,
+        },
+        // Unset for permanent restrictions
+        expiresAt: Date,
+        issuedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+        issuedAt: {
+          type: Date,
+          default: Date.now,
+        },
+        liftedAt: Date,
+        liftedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+      },
+    ],
+    // Which notifications the user wants, and how often unread ones are
+    // emailed to them as a digest
+    notificationPreferences: {
+      reply: { type: Boolean, default: true },
+      mention: { type: Boolean, default: true },
+      like: { type: Boolean, default: true },
+      moderation: { type: Boolean, default: true },
+      badge: { type: Boolean, default: true },
+      // New activity in watched threads and tags
+      watching: { type: Boolean, default: true },
+      digest: {
+        type: String,
+        enum: DIGEST_FREQUENCIES,
+        default: "off",
       },
     },
-    canModerate: {
-      type: Boolean,
-      default: function () {
-        return ["moderator", "admin"].includes(this.role);
+    lastDigestAt: Date,
+    // Users whose direct messages this user does not want, see
+    // routes/conversation.routes.js
+    blockedUsers: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
       },
+    ],
+    // Wrong passwords in a row, and the lockout they led to; see
+    // utils/lockout.js
+    failedLogins: {
+      type: Number,
+      default: 0,
+    },
+    lockedUntil: Date,
+    // Public profile, shown at GET /users/:username. `avatar` is the URL
+    // clients load; `avatarKey` locates the file in utils/storage.js.
+    displayName: {
+      type: String,
+      trim: true,
+    },
+    bio: {
+      type: String,
+      default: "",
+    },
+    signature: {
+      type: String,
+      default: "",
     },
-    canManageUsers: {
-      type: Boolean,
-      default: function () {
-        return this.role === "admin";
+    links: {
+      type: [String],
+      default: [],
+    },
+    avatar: String,
+    avatarKey: String,
+    // Sum of the user's ReputationEvent points, see utils/reputation.js
+    reputation: {
+      type: Number,
+      default: 0,
+    },
+    badges: [
+      {
+        _id: false,
+        // Id of a badge in utils/badges.js
+        badge: {
+          type: String,
+          required: true,
+        },
+        awardedAt: {
+          type: Date,
+          default: Date.now,
+        },
       },
+    ],
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+    lastActive: {
+      type: Date,
+      default: Date.now,
     },
   },
-  createdAt: {
-    type: Date,
-    default: Date.now,
-  },
-  lastActive: {
-    type: Date,
-    default: Date.now,
-  },
+  {
+    toJSON: {
+      virtuals: true,
+      // Never send credentials or one-time tokens to clients
+      transform: (doc, ret) => {
+        delete ret.password;
+        delete ret.passwordResetToken;
+        delete ret.passwordResetExpires;
+        delete ret.emailVerificationToken;
+        delete ret.emailVerificationExpires;
+        delete ret.avatarKey;
+        delete ret.failedLogins;
+        delete ret.lockedUntil;
+        return ret;
+      },
+    },
+    toObject: { virtuals: true },
+  }
+);
+
+// Effective permissions: role defaults with the user's overrides applied.
+// Unverified accounts are read-only, and active mutes take away posting
+// and/or commenting.
+userSchema.virtual("permissions").get(function () {
+  const permissions = applyMutes(
+    this,
+    resolvePermissions(this.role, this.permissionOverrides || {})
+  );
+  return this.emailVerified === false
+    ? withoutWritePermissions(permissions)
+    : permissions;
 });
 
+// Fields the permissions virtual reads; select all of them wherever it is used
+export const PERMISSION_FIELDS =
+  "role permissionOverrides emailVerified restrictions";
+
 // Update lastActive timestamp on each save
 userSchema.pre("save", function (next) {
   this.lastActive = new Date();
   next();
 });
 
+userSchema.index({ reputation: -1 });
+
 const User = mongoose.model("User", userSchema);
 
 export default User;
@@ -0,0 +1,123 @@
+import express from "express";
+import mongoose from "mongoose";
+import Attachment from "../models/attachment.model.js";
+import Thread from "../models/thread.model.js";
+import Comment from "../models/comment.model.js";
+import auth, { optionalAuth } from "../middleware/auth.js";
+import authorize from "../middleware/authorize.js";
+import { singleFile } from "../middleware/upload.js";
+import { rateLimit, byUser } from "../utils/rateLimit.js";
+import { sendStoredFile } from "../utils/storage.js";
+import {
+  ATTACHMENT_TYPES,
+  ATTACHMENT_MAX_BYTES,
+  storeUpload,
+  canAccessAttachment,
+  removeAttachment,
+} from "../utils/attachments.js";
+import { IMAGE_TYPES } from "../utils/images.js";
+import { badRequest, forbidden, notFound } from "../utils/errors.js";
+import { sameId } from "../utils/ids.js";
+
+const router = express.Router();
+
+const POST_MODELS = { Thread, Comment };
+
+const findAttachment = async (id) => {
+  const attachment = mongoose.isValidObjectId(id)
+    ? await Attachment.findById(id)
+    : null;
+  if (!attachment) throw notFound("Attachment not found");
+  return attachment;
+};
+
+// Attachments nobody may see are reported as missing
+const findAccessible = async (req) => {
+  const attachment = await findAttachment(req.params.id);
+  if (!(await canAccessAttachment(attachment, req.user))) {
+    throw notFound("Attachment not found");
+  }
+  return attachment;
+};
+
+// Uploading for a thread (?for=thread) takes canPost, for a comment (the
+// default) canComment, so users muted from one can still attach files to
+// the other
+const UPLOAD_PERMISSIONS = {
+  thread: authorize({ permissions: ["canPost"] }),
+  comment: authorize({ permissions: ["canComment"] }),
+};
+
+const canUpload = (req, res, next) => {
+  const check = UPLOAD_PERMISSIONS[req.query.for || "comment"];
+  if (!check)
+    return next(badRequest('Unknown "for". Use "thread" or "comment"'));
+  return check(req, res, next);
+};
+
+// Upload a file as multipart field "file". It stays private to the
+// uploader until it is attached to a thread or comment.
+router.post(
+  "/",
+  auth,
+  canUpload,
+  rateLimit("upload", byUser),
+  (req, res, next) =>
+    singleFile("file", {
+      maxBytes: ATTACHMENT_MAX_BYTES,
+      mimeTypes: ATTACHMENT_TYPES,
+    })(req, res, next),
+  async (req, res) => {
+    const attachment = await storeUpload(req.file, req.user.userId);
+    res.status(201).json({ success: true, data: attachment });
+  }
+);
+
+// Download. Images are shown inline; anything else is always downloaded,
+// so an uploaded file can never run as a page on our origin.
+router.get("/:id", optionalAuth, async (req, res) => {
+  const attachment = await findAccessible(req);
+  const disposition = IMAGE_TYPES.includes(attachment.contentType)
+    ? "inline"
+    : "attachment";
+  const sent = await sendStoredFile(res, attachment.key, {
+    "Content-Type": attachment.contentType,
+    "Content-Disposition": `${disposition}; filename="${attachment.filename}"`,
+    "X-Content-Type-Options": "nosniff",
+    "Cache-Control": "private, max-age=3600",
+  });
+  if (!sent) throw notFound("Attachment not found");
+});
+
+router.get("/:id/thumbnail", optionalAuth, async (req, res) => {
+  const attachment = await findAccessible(req);
+  const sent =
+    attachment.thumbnailKey &&
+    (await sendStoredFile(res, attachment.thumbnailKey, {
+      "Content-Type": "image/webp",
+      "X-Content-Type-Options": "nosniff",
+      "Cache-Control": "private, max-age=3600",
+    }));
+  if (!sent) throw notFound("Thumbnail not found");
+});
+
+// Delete an attachment, taking it off its post. Uploaders may delete their
+// own files, moderators any.
+router.delete("/:id", auth, async (req, res) => {
+  const attachment = await findAttachment(req.params.id);
+  const isUploader = sameId(attachment.uploader, req.user.userId);
+  if (!isUploader && !req.user.permissions.canModerate) {
+    throw forbidden("Not authorized to delete this attachment");
+  }
+
+  if (attachment.target) {
+    await POST_MODELS[attachment.targetType].updateOne(
+      { _id: attachment.target },
+      { $pull: { attachments: attachment._id } }
+    );
+  }
+  await removeAttachment(attachment);
+  res.json({ success: true, message: "Attachment deleted successfully" });
+});
+
+export default router;
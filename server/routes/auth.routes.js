@@ -0,0 +1,45 @@
+import express from "express";
+import auth from "../middleware/auth.js";
+import { validate } from "../utils/validation.js";
+import { refreshSchema } from "../validators/auth.validator.js";
+import {
+  rotateSession,
+  revokeSession,
+  revokeAllSessions,
+} from "../utils/sessions.js";
+
+const router = express.Router();
+
+// Exchange a refresh token for a new access token and refresh token. The old
+// refresh token stops working; presenting it again revokes the session.
+router.post("/refresh", validate(refreshSchema), async (req, res) => {
+  const { token, refreshToken } = await rotateSession(
+    req.body.refreshToken,
+    req
+  );
+
+  res.json({
+    success: true,
+    message: "Token refreshed successfully",
+    token,
+    refreshToken,
+  });
+});
+
+// End the session the access token belongs to
+router.post("/logout", auth, async (req, res) => {
+  await revokeSession(req.user.sessionId, "logout");
+  res.json({ success: true, message: "Logged out successfully" });
+});
+
+// End every session of the current user, including this one
+router.post("/logout-all", auth, async (req, res) => {
+  const revoked = await revokeAllSessions(req.user.userId, "logout_all");
+  res.json({
+    success: true,
+    message: "Logged out of all sessions",
+    data: { revoked },
+  });
+});
+
+export default router;
@@ -0,0 +1,137 @@
+import express from "express";
+import mongoose from "mongoose";
+import Bookmark from "../models/bookmark.model.js";
+import Thread from "../models/thread.model.js";
+import Comment from "../models/comment.model.js";
+import auth from "../middleware/auth.js";
+import { can } from "../utils/permissions.js";
+import { threadVisibility, hiddenVisibility } from "../utils/visibility.js";
+import { badRequest, notFound } from "../utils/errors.js";
+import { validate } from "../utils/validation.js";
+import { createBookmarkSchema } from "../validators/bookmark.validator.js";
+import {
+  parseLimit,
+  parseCursor,
+  cursorMatch,
+  buildPage,
+} from "../utils/pagination.js";
+
+// The current user's bookmarked threads and comments, mounted at
+// /me/bookmarks
+const router = express.Router();
+
+router.use(auth);
+
+// Find what is being bookmarked, as the user can see it
+const TARGETS = {
+  thread: {
+    model: "Thread",
+    find: (id, user) => Thread.findOne({ _id: id, ...threadVisibility(user) }),
+    thread: (thread) => thread._id,
+  },
+  comment: {
+    model: "Comment",
+    find: async (id, user) => {
+      const comment = await Comment.findOne({
+        _id: id,
+        deletedAt: null,
+        ...hiddenVisibility(user),
+      });
+      const visible =
+        comment &&
+        (await Thread.exists({
+          _id: comment.thread,
+          ...threadVisibility(user),
+        }));
+      return visible ? comment : null;
+    },
+    thread: (comment) => comment.thread,
+  },
+};
+
+// Bookmarks keep their place once their post is deleted or hidden, with
+// `target` and `thread` set to null, so users can still remove them. The
+// thread is only populated when the user can see it.
+const hideUnavailable = (bookmarks, user) => {
+  const viewHidden = can(user, "content:viewHidden");
+  return bookmarks.map((bookmark) => {
+    const { target, thread } = bookmark;
+    const available =
+      target && thread && !target.deletedAt && (!target.isHidden || viewHidden);
+    return { ...bookmark, target: available ? target : null };
+  });
+};
+
+// Newest first; ?type=thread or ?type=comment narrows the list
+router.get("/", async (req, res) => {
+  const { type } = req.query;
+  if (type && !TARGETS[type]) {
+    throw badRequest('Unknown type. Use "thread" or "comment"');
+  }
+  const limit = parseLimit(req.query.limit);
+  const cursor = parseCursor(req);
+
+  const filter = {
+    user: req.user.userId,
+    ...(type && { targetType: TARGETS[type].model }),
+  };
+  const bookmarks = await Bookmark.find(
+    cursor ? { $and: [filter, cursorMatch("createdAt", cursor)] } : filter
+  )
+    .sort({ createdAt: -1, _id: -1 })
+    .limit(limit + 1)
+    .populate({
+      path: "target",
+      select: "title content author createdAt deletedAt isHidden",
+      populate: { path: "author", select: "username" },
+    })
+    .populate({
+      path: "thread",
+      select: "title",
+      match: threadVisibility(req.user),
+    })
+    .lean();
+
+  const { items, nextCursor } = buildPage(bookmarks, limit, "createdAt");
+  res.json({
+    success: true,
+    data: hideUnavailable(items, req.user),
+    nextCursor,
+  });
+});
+
+// Bookmark a thread or comment. Bookmarking it again updates the note.
+router.post("/", validate(createBookmarkSchema), async (req, res) => {
+  const { targetType, targetId, note } = req.body;
+  const { model, find, thread } = TARGETS[targetType];
+
+  const target = await find(targetId, req.user);
+  if (!target) throw notFound(`${model} not found`);
+
+  const existing = await Bookmark.findOne({
+    user: req.user.userId,
+    target: target._id,
+  });
+  const bookmark =
+    existing ||
+    new Bookmark({
+      user: req.user.userId,
+      targetType: model,
+      target: target._id,
+      thread: thread(target),
+    });
+  if (note !== undefined) bookmark.note = note || undefined;
+  await bookmark.save();
+
+  res.status(existing ? 200 : 201).json({ success: true, data: bookmark });
+});
+
+router.delete("/:id", async (req, res) => {
+  const { deletedCount } = mongoose.isValidObjectId(req.params.id)
+    ? await Bookmark.deleteOne({ _id: req.params.id, user: req.user.userId })
+    : { deletedCount: 0 };
+  if (!deletedCount) throw notFound("Bookmark not found");
+  res.json({ success: true, message: "Bookmark removed" });
+});
+
+export default router;
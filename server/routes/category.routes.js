@@ -0,0 +1,214 @@
+import express from "express";
+import mongoose from "mongoose";
+import Category from "../models/category.model.js";
+import Thread from "../models/thread.model.js";
+import auth, { optionalAuth } from "../middleware/auth.js";
+import authorize from "../middleware/authorize.js";
+import { listThreads } from "./thread.routes.js";
+import { threadVisibility } from "../utils/visibility.js";
+import { withSubcategories, syncMembersOnly } from "../utils/categories.js";
+import { badRequest, conflict, notFound } from "../utils/errors.js";
+import { validate } from "../utils/validation.js";
+import {
+  createCategorySchema,
+  updateCategorySchema,
+} from "../validators/category.validator.js";
+
+const router = express.Router();
+
+const adminOnly = [auth, authorize({ permissions: ["canManageUsers"] })];
+
+const bySortOrder = (a, b) => a.order - b.order || a.name.localeCompare(b.name);
+
+// Guests see neither members-only categories nor their subcategories
+const visibleTo = (user, category, parent) =>
+  Boolean(user) || (!category.membersOnly && !(parent && parent.membersOnly));
+
+// Thread and comment totals per category, counting only threads the viewer
+// can see
+const categoryStats = async (user) => {
+  const rows = await Thread.aggregate([
+    { $match: threadVisibility(user) },
+    {
+      $group: {
+        _id: "$category",
+        threadCount: { $sum: 1 },
+        commentCount: { $sum: "$commentCount" },
+        lastActivityAt: { $max: "$lastActivityAt" },
+      },
+    },
+  ]);
+  return new Map(rows.map(({ _id, ...stats }) => [String(_id), stats]));
+};
+
+const EMPTY_STATS = { threadCount: 0, commentCount: 0, lastActivityAt: null };
+
+// A parent's totals include its subcategories'
+const withTotals = (category, stats, children = []) => {
+  const own = stats.get(String(category._id)) || EMPTY_STATS;
+  const totals = children.reduce(
+    (sum, child) => ({
+      threadCount: sum.threadCount + child.threadCount,
+      commentCount: sum.commentCount + child.commentCount,
+      lastActivityAt:
+        !sum.lastActivityAt || child.lastActivityAt > sum.lastActivityAt
+          ? child.lastActivityAt || sum.lastActivityAt
+          : sum.lastActivityAt,
+    }),
+    own
+  );
+  return { ...category, ...totals, subcategories: children };
+};
+
+const findCategory = async (filter) => {
+  const category = await Category.findOne(filter).populate(
+    "moderators",
+    "username avatar"
+  );
+  if (!category) throw notFound("Category not found");
+  return category;
+};
+
+// Look up by slug, hiding members-only categories from guests
+const findVisibleCategory = async (req) => {
+  const category = await findCategory({ slug: req.params.slug });
+  const parent = category.parent
+    ? await Category.findById(category.parent)
+    : null;
+  if (!visibleTo(req.user, category, parent)) {
+    throw notFound("Category not found");
+  }
+  return category;
+};
+
+const findById = (id) => {
+  if (!mongoose.isValidObjectId(id)) throw notFound("Category not found");
+  return findCategory({ _id: id });
+};
+
+// A parent must exist and be top-level, so categories nest one level deep
+const checkParent = async (parentId, category) => {
+  if (!parentId) return;
+  if (category && category._id.equals(parentId)) {
+    throw badRequest("A category cannot be its own parent");
+  }
+  const parent = await Category.findById(parentId);
+  if (!parent) throw notFound("Parent category not found");
+  if (parent.parent) {
+    throw badRequest("Subcategories cannot have subcategories of their own");
+  }
+  if (category && (await Category.exists({ parent: category._id }))) {
+    throw badRequest(
+      "A category with subcategories cannot be moved under another"
+    );
+  }
+};
+
+const checkSlug = async (slug, category) => {
+  if (!slug) return;
+  const existing = await Category.findOne({ slug });
+  if (existing && !(category && existing._id.equals(category._id))) {
+    throw conflict("A category with this slug already exists");
+  }
+};
+
+// All categories the viewer can see, with subcategories nested under their
+// parents and totals for each
+router.get("/", optionalAuth, async (req, res) => {
+  const [categories, stats] = await Promise.all([
+    Category.find().populate("moderators", "username avatar").lean(),
+    categoryStats(req.user),
+  ]);
+
+  const parents = categories.filter((category) => !category.parent);
+  const data = parents
+    .filter((parent) => visibleTo(req.user, parent))
+    .sort(bySortOrder)
+    .map((parent) => {
+      const children = categories
+        .filter(
+          (category) => category.parent && category.parent.equals(parent._id)
+        )
+        .filter((child) => visibleTo(req.user, child, parent))
+        .sort(bySortOrder)
+        .map((child) => withTotals(child, stats));
+      return withTotals(parent, stats, children);
+    });
+
+  res.json({ success: true, data });
+});
+
+router.get("/:slug", optionalAuth, async (req, res) => {
+  const category = await findVisibleCategory(req);
+  const subcategories = await Category.find({ parent: category._id })
+    .sort({ order: 1, name: 1 })
+    .lean();
+  res.json({
+    success: true,
+    data: { ...category.toObject(), subcategories },
+  });
+});
+
+// Threads in the category and its subcategories, with the same sorting,
+// filters and pagination as GET /threads
+router.get(
+  "/:slug/threads",
+  optionalAuth,
+  async (req, res, next) => {
+    const category = await findVisibleCategory(req);
+    res.locals.threadFilter = {
+      category: { $in: await withSubcategories(category) },
+    };
+    next();
+  },
+  listThreads
+);
+
+router.post(
+  "/",
+  ...adminOnly,
+  validate(createCategorySchema),
+  async (req, res) => {
+    await checkSlug(req.body.slug);
+    await checkParent(req.body.parent);
+    const category = await Category.create(req.body);
+    res.status(201).json({ success: true, data: category });
+  }
+);
+
+// Changing membersOnly, or moving a subcategory to a parent with different
+// rules, updates the visibility of the threads involved
+router.put(
+  "/:id",
+  ...adminOnly,
+  validate(updateCategorySchema, { partial: true }),
+  async (req, res) => {
+    const category = await findById(req.params.id);
+    await checkSlug(req.body.slug, category);
+    await checkParent(req.body.parent, category);
+
+    category.set(req.body);
+    const visibilityChanged =
+      category.isModified("membersOnly") || category.isModified("parent");
+    await category.save();
+    if (visibilityChanged) await syncMembersOnly(category);
+
+    await category.populate("moderators", "username avatar");
+    res.json({ success: true, data: category });
+  }
+);
+
+// Only empty categories can be deleted; move their threads away first
+router.delete("/:id", ...adminOnly, async (req, res) => {
+  const category = await findById(req.params.id);
+  if (await Category.exists({ parent: category._id })) {
+    throw conflict("Delete or move this category's subcategories first");
+  }
+  if (await Thread.exists({ category: category._id })) {
+    throw conflict("Move this category's threads to another category first");
+  }
+  await category.deleteOne();
+  res.json({ success: true, message: "Category deleted successfully" });
+});
+
+export default router;
@@ -1,166 +1,463 @@
-const express = require("express");
+import express from "express";
+import mongoose from "mongoose";
+import Comment from "../models/comment.model.js";
+import Thread from "../models/thread.model.js";
+import auth, { optionalAuth } from "../middleware/auth.js";
+import authorize from "../middleware/authorize.js";
+import registerReactionRoutes from "./reactions.js";
+import registerRevisionRoutes from "./revisions.js";
+import { summarizeReactions } from "../utils/reactions.js";
+import { can, isOwner } from "../utils/permissions.js";
+import { recordModeration } from "../utils/moderation.js";
+import { notifyMentions, notifyNewComment } from "../utils/notifications.js";
+import { snapshot, recordRevision } from "../utils/revisions.js";
+import { tombstone } from "../utils/trash.js";
+import { setAcceptedAnswer } from "../utils/answers.js";
+import { checkBadges, reputationForModeration } from "../utils/reputation.js";
+import { postingLimits } from "../utils/rateLimit.js";
+import {
+  ATTACHMENT_FIELDS,
+  checkAttachments,
+  syncAttachments,
+} from "../utils/attachments.js";
+import {
+  assertNotDuplicate,
+  spamSuspicion,
+  holdForReview,
+} from "../utils/spam.js";
+import { categoryOfThread, categoryOfComment } from "../utils/categories.js";
+import { threadVisibility, hiddenVisibility } from "../utils/visibility.js";
+import {
+  publish,
+  publishComment,
+  threadChannel,
+  parseUpdatedSince,
+} from "../utils/realtime.js";
+import { forbidden, notFound } from "../utils/errors.js";
+import { validate } from "../utils/validation.js";
+import {
+  createCommentSchema,
+  updateCommentSchema,
+} from "../validators/comment.validator.js";
+import {
+  parseLimit,
+  parseCursor,
+  cursorMatch,
+  buildPage,
+} from "../utils/pagination.js";
+
 const router = express.Router();
-const Comment = require("../models/comment.model");
-const Thread = require("../models/thread.model");
-const auth = require("../middleware/auth");
-
-// Get comments for a thread
-router.get("/thread/:threadId", async (req, res) => {
-  try {
-    const { threadId } = req.params;
-    const { parentId } = req.query;
-
-    const query = { thread: threadId };
-    if (parentId) {
-      query.parent = parentId;
-    } else {
-      query.parent = null; // Get only top-level comments
-    }
 
-    const comments = await Comment.find(query)
-      .sort({ createdAt: 1 })
-      .populate("author", "username avatar")
-      .lean();
-
-    // Get reply counts for each comment
-    const commentsWithReplies = await Promise.all(
-      comments.map(async (comment) => {
-        const replyCount = await Comment.countDocuments({
-          parent: comment._id,
-        });
-        return { ...comment, replyCount };
-      })
+const DEFAULT_TREE_DEPTH = 3;
+const MAX_TREE_DEPTH = 10;
+
+const COMMENT_POPULATE = [
+  { path: "author", select: "username avatar" },
+  { path: "attachments", select: ATTACHMENT_FIELDS },
+];
+
+const parseDepth = (value) => {
+  const depth = parseInt(value, 10);
+  if (Number.isNaN(depth) || depth < 1) return DEFAULT_TREE_DEPTH;
+  return Math.min(depth, MAX_TREE_DEPTH);
+};
+
+// Hidden comments keep their place in the tree so replies stay readable,
+// but only moderators get to see what they said. Deleted comments are
+// tombstones for everyone.
+const maskHidden = (comment, user) => {
+  if (comment.deletedAt) return tombstone(comment);
+  return comment.isHidden && !can(user, "content:viewHidden")
+    ? { ...comment, content: null, contentHtml: null, attachments: [] }
+    : comment;
+};
+
+// Turn the flat $graphLookup output into nested `replies` arrays. Descendants
+// at the deepest fetched level are only used to count replies of the level
+// above them, so clients know there is more to load from that node.
+const buildTree = (roots, depth, user) =>
+  roots.map(({ descendants, ...root }) => {
+    const childrenOf = new Map();
+    descendants.forEach((comment) => {
+      const key = comment.parentComment.toString();
+      if (!childrenOf.has(key)) childrenOf.set(key, []);
+      childrenOf.get(key).push(comment);
+    });
+    childrenOf.forEach((children) =>
+      children.sort((a, b) => a.createdAt - b.createdAt)
     );
 
-    res.json(commentsWithReplies);
-  } catch (error) {
-    console.error("Error fetching comments:", error);
-    res.status(500).json({ message: "Error fetching comments" });
+    const attach = (node, level) => {
+      const children = childrenOf.get(node._id.toString()) || [];
+      const { level: _level, ...rest } = node;
+      return {
+        ...summarizeReactions(maskHidden(rest, user), user && user.userId),
+        replyCount: children.length,
+        replies:
+          level < depth - 1
+            ? children.map((child) => attach(child, level + 1))
+            : [],
+      };
+    };
+
+    return attach(root, 0);
+  });
+
+// Collect every node of a tree built by buildTree, for population
+const flattenTree = (nodes) =>
+  nodes.flatMap((node) => [node, ...flattenTree(node.replies)]);
+
+const findComment = async (id) => {
+  const comment = mongoose.isValidObjectId(id)
+    ? await Comment.findOne({ _id: id, deletedAt: null })
+    : null;
+  if (!comment) throw notFound("Comment not found");
+  return comment;
+};
+
+// Comments of a thread changed after `since`, oldest change first, as a flat
+// list. Lets clients without a live stream poll for new and edited comments.
+const listUpdatedComments = async (req, res, thread, since) => {
+  const limit = parseLimit(req.query.limit);
+  const cursor = parseCursor(req);
+  const serverTime = new Date();
+
+  const filter = { thread: thread._id, updatedAt: { $gt: since } };
+  const comments = await Comment.find(
+    cursor ? { $and: [filter, cursorMatch("updatedAt", cursor, 1)] } : filter
+  )
+    .sort({ updatedAt: 1, _id: 1 })
+    .limit(limit + 1)
+    .populate(COMMENT_POPULATE)
+    .lean();
+
+  const { items, nextCursor } = buildPage(comments, limit, "updatedAt");
+  res.json({
+    success: true,
+    data: items.map((comment) =>
+      summarizeReactions(
+        maskHidden(comment, req.user),
+        req.user && req.user.userId
+      )
+    ),
+    nextCursor,
+    serverTime,
+  });
+};
+
+// Get the reply tree for a thread, or for a single comment with ?parentId=.
+// Top-level comments are paginated; each is returned with up to ?depth=
+// levels of nested replies. With ?updatedSince= the thread's changed
+// comments are returned instead, see listUpdatedComments.
+router.get("/thread/:threadId", optionalAuth, async (req, res) => {
+  const { threadId } = req.params;
+  const { parentId } = req.query;
+
+  if (
+    !mongoose.isValidObjectId(threadId) ||
+    (parentId && !mongoose.isValidObjectId(parentId))
+  ) {
+    throw notFound("Thread not found");
   }
-});
 
-// Create a new comment
-router.post("/", auth, async (req, res) => {
-  try {
-    const { content, threadId, parentId } = req.body;
+  const thread = await Thread.findOne({
+    _id: threadId,
+    ...threadVisibility(req.user),
+  });
+  if (!thread) throw notFound("Thread not found");
 
-    // Verify thread exists
-    const thread = await Thread.findById(threadId);
-    if (!thread) {
-      return res.status(404).json({ message: "Thread not found" });
-    }
+  const updatedSince = parseUpdatedSince(req.query.updatedSince);
+  if (updatedSince) {
+    return listUpdatedComments(req, res, thread, updatedSince);
+  }
+
+  const depth = parseDepth(req.query.depth);
+  const limit = parseLimit(req.query.limit);
+  const cursor = parseCursor(req);
 
-    // If parentId is provided, verify parent comment exists
-    if (parentId) {
-      const parentComment = await Comment.findById(parentId);
-      if (!parentComment) {
-        return res.status(404).json({ message: "Parent comment not found" });
-      }
+  const match = {
+    thread: thread._id,
+    parentComment: parentId ? new mongoose.Types.ObjectId(parentId) : null,
+  };
+
+  const pipeline = [{ $match: match }];
+  if (cursor) pipeline.push({ $match: cursorMatch("createdAt", cursor, 1) });
+  pipeline.push(
+    { $sort: { createdAt: 1, _id: 1 } },
+    { $limit: limit + 1 },
+    {
+      $graphLookup: {
+        from: Comment.collection.name,
+        startWith: "$_id",
+        connectFromField: "_id",
+        connectToField: "parentComment",
+        as: "descendants",
+        // One level past the requested depth, to count frontier replies
+        maxDepth: depth - 1,
+        depthField: "level",
+        restrictSearchWithMatch: { thread: thread._id },
+      },
     }
+  );
+
+  const serverTime = new Date();
+  const results = await Comment.aggregate(pipeline);
+  const { items, nextCursor } = buildPage(results, limit, "createdAt");
+  const tree = buildTree(items, depth, req.user);
+  await Comment.populate(flattenTree(tree), COMMENT_POPULATE);
+
+  // Questions show their accepted answer ahead of the first page, wherever
+  // it sits in the tree
+  const accepted =
+    thread.acceptedAnswer && !parentId && !cursor
+      ? await Comment.findById(thread.acceptedAnswer)
+          .populate(COMMENT_POPULATE)
+          .lean()
+      : null;
+
+  res.json({
+    success: true,
+    data: tree,
+    ...(thread.isQuestion && {
+      acceptedAnswer: accepted
+        ? summarizeReactions(
+            maskHidden(accepted, req.user),
+            req.user && req.user.userId
+          )
+        : null,
+    }),
+    nextCursor,
+    serverTime,
+  });
+});
+
+// Create a new comment. Also mounted as POST /threads/:threadId/comments, in
+// which case the thread comes from the URL instead of the body. Comments
+// that look like spam are held for review, see utils/spam.js.
+export const createComment = async (req, res) => {
+  const { content, parentId } = req.body;
+  const threadId = req.params.threadId || req.body.threadId;
 
-    const comment = new Comment({
-      content,
-      author: req.user._id,
-      thread: threadId,
-      parent: parentId || null,
+  // Verify the thread exists and the user can see it
+  const thread = mongoose.isValidObjectId(threadId)
+    ? await Thread.findOne({ _id: threadId, ...threadVisibility(req.user) })
+    : null;
+  if (!thread) throw notFound("Thread not found");
+
+  if (thread.isLocked) throw forbidden("Thread is locked");
+
+  // If parentId is provided, verify parent comment exists in this thread
+  if (parentId) {
+    const parentComment = await Comment.findOne({
+      _id: parentId,
+      deletedAt: null,
+      ...hiddenVisibility(req.user),
     });
+    if (!parentComment || !parentComment.thread.equals(thread._id)) {
+      throw notFound("Parent comment not found");
+    }
+  }
 
-    await comment.save();
-    await comment.populate("author", "username avatar");
+  await assertNotDuplicate({
+    Model: Comment,
+    author: req.user.userId,
+    content,
+    scope: { thread: thread._id },
+  });
+  const suspicion = await spamSuspicion(req.user, content);
+  const attachments = req.body.attachments
+    ? await checkAttachments(req.body.attachments, req.user)
+    : [];
+
+  const comment = new Comment({
+    content,
+    attachments,
+    author: req.user.userId,
+    thread: thread._id,
+    parentComment: parentId || null,
+    isHidden: Boolean(suspicion),
+    heldForReview: Boolean(suspicion),
+  });
 
-    // Update thread's comment count
-    await Thread.findByIdAndUpdate(threadId, { $inc: { commentCount: 1 } });
+  await comment.save();
+  await syncAttachments(comment, "Comment");
+  await comment.populate(COMMENT_POPULATE);
 
-    res.status(201).json(comment);
-  } catch (error) {
-    console.error("Error creating comment:", error);
-    res.status(500).json({ message: "Error creating comment" });
+  // Keep the thread's denormalized activity fields in step. Held comments
+  // only count once they are released, see utils/spam.js.
+  if (!suspicion) {
+    await Thread.findByIdAndUpdate(thread._id, {
+      $inc: { commentCount: 1 },
+      $set: { lastActivityAt: comment.createdAt },
+    });
   }
-});
+  publishComment("comment.created", comment);
+
+  if (suspicion) {
+    await holdForReview({ doc: comment, targetType: "Comment", suspicion });
+  } else {
+    await notifyNewComment({ comment, thread, actor: req.user.userId });
+  }
+  await checkBadges(req.user.userId);
+
+  res.status(201).json({
+    success: true,
+    ...(suspicion && {
+      message: "Your comment will appear once a moderator has reviewed it.",
+    }),
+    data: summarizeReactions(comment, req.user.userId),
+  });
+};
+
+router.post(
+  "/",
+  auth,
+  ...postingLimits("comment"),
+  validate(createCommentSchema),
+  authorize({
+    permissions: ["canComment"],
+    category: categoryOfThread((req) => req.body.threadId),
+  }),
+  createComment
+);
+
+// Category moderators count as moderators for the comment's category
+const inCommentCategory = categoryOfComment((req) => req.params.id);
 
 // Update a comment
-router.put("/:id", auth, async (req, res) => {
-  try {
-    const comment = await Comment.findById(req.params.id);
+router.put(
+  "/:id",
+  auth,
+  validate(updateCommentSchema),
+  authorize({ permissions: ["canComment"], category: inCommentCategory }),
+  async (req, res) => {
+    const comment = await findComment(req.params.id);
 
-    if (!comment) {
-      return res.status(404).json({ message: "Comment not found" });
+    if (!can(req.user, "comment:update", comment)) {
+      throw forbidden("Not authorized to update this comment");
     }
 
-    if (
-      comment.author.toString() !== req.user._id.toString() &&
-      req.user.role !== "admin"
-    ) {
-      return res
-        .status(403)
-        .json({ message: "Not authorized to update this comment" });
+    const thread = await Thread.findById(comment.thread).select("isLocked");
+    if (thread && thread.isLocked && !can(req.user, "thread:editLocked")) {
+      throw forbidden("Thread is locked");
+    }
+
+    const { attachments } = req.body;
+    if (attachments) {
+      comment.attachments = await checkAttachments(
+        attachments,
+        req.user,
+        comment
+      );
     }
 
+    const before = snapshot(comment, "Comment");
+    const previousMentions = [...comment.mentions];
     comment.content = req.body.content;
     comment.isEdited = true;
     await comment.save();
-    await comment.populate("author", "username avatar");
+    if (attachments) await syncAttachments(comment, "Comment");
+    await recordRevision({
+      doc: comment,
+      targetType: "Comment",
+      before,
+      editor: req.user.userId,
+      reason: req.body.reason,
+    });
+    await comment.populate(COMMENT_POPULATE);
+    publishComment("comment.updated", comment);
 
-    res.json(comment);
-  } catch (error) {
-    console.error("Error updating comment:", error);
-    res.status(500).json({ message: "Error updating comment" });
-  }
-});
+    await notifyMentions({
+      mentions: comment.mentions,
+      previousMentions,
+      actor: req.user.userId,
+      thread: comment.thread,
+      comment: comment._id,
+    });
 
-// Delete a comment
-router.delete("/:id", auth, async (req, res) => {
-  try {
-    const comment = await Comment.findById(req.params.id);
+    res.json({
+      success: true,
+      data: summarizeReactions(comment, req.user.userId),
+    });
+  }
+);
 
-    if (!comment) {
-      return res.status(404).json({ message: "Comment not found" });
-    }
+// Delete a comment, leaving a tombstone so its replies stay in place.
+// Authors may delete their own comments, moderators any comment; either way
+// moderators can restore it from the trash until it is purged.
+router.delete(
+  "/:id",
+  auth,
+  authorize({ category: inCommentCategory }),
+  async (req, res) => {
+    const comment = await findComment(req.params.id);
 
-    if (
-      comment.author.toString() !== req.user._id.toString() &&
-      req.user.role !== "admin"
-    ) {
-      return res
-        .status(403)
-        .json({ message: "Not authorized to delete this comment" });
+    if (!can(req.user, "comment:delete", comment)) {
+      throw forbidden("Not authorized to delete this comment");
     }
 
-    // Delete all replies first
-    await Comment.deleteMany({ parent: comment._id });
+    comment.deletedAt = new Date();
+    comment.deletedBy = req.user.userId;
+    await comment.save();
 
-    // Delete the comment
-    await comment.remove();
+    // A deleted comment no longer answers its thread's question
+    if (comment.acceptedAt) {
+      const thread = await Thread.findById(comment.thread);
+      if (thread) await setAcceptedAnswer(thread, null, req.user.userId);
+    }
 
-    // Update thread's comment count
-    await Thread.findByIdAndUpdate(comment.thread, {
-      $inc: { commentCount: -1 },
+    // Update thread's comment count, which held comments are not part of
+    if (!comment.heldForReview) {
+      await Thread.findByIdAndUpdate(comment.thread, {
+        $inc: { commentCount: -1 },
+      });
+    }
+    publish(threadChannel(comment.thread), "comment.deleted", {
+      ids: [comment._id],
+      tombstone: tombstone(comment),
     });
 
-    res.json({ message: "Comment deleted successfully" });
-  } catch (error) {
-    console.error("Error deleting comment:", error);
-    res.status(500).json({ message: "Error deleting comment" });
+    if (!isOwner(req.user, comment)) {
+      await recordModeration({
+        moderator: req.user.userId,
+        action: "delete",
+        targetType: "Comment",
+        target: comment._id,
+      });
+      await reputationForModeration({
+        doc: comment,
+        targetType: "Comment",
+        moderator: req.user.userId,
+        penalized: true,
+      });
+    }
+
+    res.json({ success: true, message: "Comment deleted successfully" });
   }
-});
+);
 
-// Like/Unlike a comment
-router.post("/:id/like", auth, async (req, res) => {
-  try {
-    const comment = await Comment.findById(req.params.id);
+registerReactionRoutes(router, Comment, "Comment");
 
-    if (!comment) {
-      return res.status(404).json({ message: "Comment not found" });
+// A comment's history is visible wherever the comment is, except that only
+// moderators may look into hidden comments
+registerRevisionRoutes(
+  router,
+  "Comment",
+  async (req, id) => {
+    const comment = await Comment.findOne({ _id: id, deletedAt: null });
+    if (
+      !comment ||
+      (comment.isHidden && !can(req.user, "content:viewHidden"))
+    ) {
+      return null;
     }
+    const visible = await Thread.exists({
+      _id: comment.thread,
+      ...threadVisibility(req.user),
+    });
+    return visible ? comment : null;
+  },
+  inCommentCategory
+);
 
-    comment.likes += 1;
-    await comment.save();
-
-    res.json({ likes: comment.likes });
-  } catch (error) {
-    console.error("Error liking comment:", error);
-    res.status(500).json({ message: "Error liking comment" });
-  }
-});
-
-module.exports = router;
+export default router;
@@ -0,0 +1,350 @@
+import express from "express";
+import mongoose from "mongoose";
+import Conversation from "../models/conversation.model.js";
+import Message from "../models/message.model.js";
+import User from "../models/user.model.js";
+import auth from "../middleware/auth.js";
+import authorize from "../middleware/authorize.js";
+import { postingLimits } from "../utils/rateLimit.js";
+import { badRequest, forbidden, notFound } from "../utils/errors.js";
+import { validate } from "../utils/validation.js";
+import { sameId } from "../utils/ids.js";
+import {
+  createConversationSchema,
+  sendMessageSchema,
+} from "../validators/conversation.validator.js";
+import {
+  parseLimit,
+  parseCursor,
+  cursorMatch,
+  buildPage,
+} from "../utils/pagination.js";
+
+// Direct messages. Every route is for participants only; moderators see
+// messages solely through reports (POST /reports with targetType "message").
+//
+// Blocking: nobody can start a conversation with someone who blocked them
+// or whom they blocked, nor message them in a two-person conversation. In
+// group conversations, messages from blocked users are left out for the
+// user who blocked them.
+const router = express.Router();
+
+router.use(auth);
+
+const canMessage = authorize({ permissions: ["canMessage"] });
+
+const participantOf = (conversation, userId) =>
+  conversation.participants.find(({ user }) =>
+    sameId(user._id || user, userId)
+  );
+
+const findConversation = async (req) => {
+  const conversation = mongoose.isValidObjectId(req.params.id)
+    ? await Conversation.findOne({
+        _id: req.params.id,
+        "participants.user": req.user.userId,
+      })
+    : null;
+  if (!conversation) throw notFound("Conversation not found");
+  return conversation;
+};
+
+const blockedBy = async (userId) => {
+  const user = await User.findById(userId).select("blockedUsers");
+  return user ? user.blockedUsers : [];
+};
+
+// Refuse when `sender` and any of `others` have blocked one another
+const assertNotBlocked = async (sender, others) => {
+  const blockers = await User.exists({
+    _id: { $in: others },
+    blockedUsers: sender,
+  });
+  const blocked = (await blockedBy(sender)).some((id) =>
+    others.some((other) => sameId(other, id))
+  );
+  if (blockers || blocked) {
+    throw forbidden("You cannot message this user");
+  }
+};
+
+// Hidden messages keep their place, without their content
+const present = (message) =>
+  message.isHidden ? { ...message, content: null, contentHtml: null } : message;
+
+// Per conversation matching `match`, in one aggregation: the viewer's
+// unread count and, with `withLastMessage`, the latest message. Messages
+// from users the viewer blocked are left out of both, as they are from the
+// message list.
+const conversationStats = async (
+  match,
+  userId,
+  { withLastMessage = false } = {}
+) => {
+  const viewer = new mongoose.Types.ObjectId(userId);
+  const blocked = [...(await blockedBy(userId))];
+  const inConversation = { $eq: ["$conversation", "$$conversation"] };
+  const notBlocked = { $not: [{ $in: ["$author", blocked] }] };
+  const messages = (pipeline) => ({
+    from: Message.collection.name,
+    let: { conversation: "$_id", since: "$lastReadAt" },
+    pipeline,
+  });
+
+  return Conversation.aggregate([
+    { $match: match },
+    {
+      $project: {
+        lastReadAt: {
+          $let: {
+            vars: {
+              own: {
+                $first: {
+                  $filter: {
+                    input: "$participants",
+                    cond: { $eq: ["$$this.user", viewer] },
+                  },
+                },
+              },
+            },
+            in: "$$own.lastReadAt",
+          },
+        },
+      },
+    },
+    {
+      $lookup: {
+        ...messages([
+          {
+            $match: {
+              $expr: {
+                $and: [
+                  inConversation,
+                  notBlocked,
+                  { $gt: ["$createdAt", "$$since"] },
+                  { $ne: ["$author", viewer] },
+                ],
+              },
+            },
+          },
+          { $count: "count" },
+        ]),
+        as: "unread",
+      },
+    },
+    ...(withLastMessage
+      ? [
+          {
+            $lookup: {
+              ...messages([
+                { $match: { $expr: { $and: [inConversation, notBlocked] } } },
+                { $sort: { createdAt: -1, _id: -1 } },
+                { $limit: 1 },
+              ]),
+              as: "lastMessage",
+            },
+          },
+        ]
+      : []),
+    {
+      $project: {
+        unreadCount: { $ifNull: [{ $first: "$unread.count" }, 0] },
+        lastMessage: { $first: "$lastMessage" },
+      },
+    },
+  ]);
+};
+
+// The viewer's conversations, most recently active first, each with its
+// latest message and the viewer's unread count
+router.get("/", async (req, res) => {
+  const limit = parseLimit(req.query.limit);
+  const cursor = parseCursor(req);
+
+  const filter = { "participants.user": req.user.userId };
+  const conversations = await Conversation.find(
+    cursor ? { $and: [filter, cursorMatch("lastMessageAt", cursor)] } : filter
+  )
+    .sort({ lastMessageAt: -1, _id: -1 })
+    .limit(limit + 1)
+    .populate("participants.user", "username avatar")
+    .lean();
+
+  const { items, nextCursor } = buildPage(
+    conversations,
+    limit,
+    "lastMessageAt"
+  );
+  const stats = await conversationStats(
+    { _id: { $in: items.map((conversation) => conversation._id) } },
+    req.user.userId,
+    { withLastMessage: true }
+  );
+  await Message.populate(
+    stats.map((stat) => stat.lastMessage).filter(Boolean),
+    { path: "author", select: "username" }
+  );
+  const byId = new Map(stats.map((stat) => [stat._id.toString(), stat]));
+  const data = items.map((conversation) => {
+    const { unreadCount = 0, lastMessage } =
+      byId.get(conversation._id.toString()) || {};
+    return {
+      ...conversation,
+      lastMessage: lastMessage ? present(lastMessage) : null,
+      unreadCount,
+    };
+  });
+
+  res.json({ success: true, data, nextCursor });
+});
+
+// Unread messages across all of the viewer's conversations
+router.get("/unread-count", async (req, res) => {
+  const counts = (
+    await conversationStats(
+      {
+        "participants.user": new mongoose.Types.ObjectId(req.user.userId),
+      },
+      req.user.userId
+    )
+  ).map((stat) => stat.unreadCount);
+  res.json({
+    success: true,
+    data: {
+      count: counts.reduce((sum, count) => sum + count, 0),
+      conversations: counts.filter((count) => count > 0).length,
+    },
+  });
+});
+
+// Start a conversation with `recipients` (user ids) and its first message.
+// A two-person conversation that already exists is continued instead.
+router.post(
+  "/",
+  canMessage,
+  ...postingLimits("message"),
+  validate(createConversationSchema),
+  async (req, res) => {
+    const { subject, content } = req.body;
+    const recipients = [...new Set(req.body.recipients)].filter(
+      (id) => id !== req.user.userId
+    );
+    if (recipients.length === 0) {
+      throw badRequest("Add at least one recipient other than yourself");
+    }
+
+    const found = await User.find({
+      _id: { $in: recipients },
+      role: { $ne: "guest" },
+    }).select("_id");
+    if (found.length !== recipients.length) {
+      throw notFound("Recipient not found");
+    }
+    await assertNotBlocked(req.user.userId, recipients);
+
+    const members = [req.user.userId, ...recipients];
+    let conversation =
+      recipients.length === 1 && !subject
+        ? await Conversation.findOne({
+            participants: { $size: 2 },
+            "participants.user": { $all: members },
+            subject: null,
+          })
+        : null;
+    const created = !conversation;
+    if (created) {
+      conversation = await Conversation.create({
+        participants: members.map((user) => ({ user })),
+        subject,
+        createdBy: req.user.userId,
+      });
+    }
+
+    const message = await Message.create({
+      conversation: conversation._id,
+      author: req.user.userId,
+      content,
+    });
+    conversation.lastMessageAt = message.createdAt;
+    participantOf(conversation, req.user.userId).lastReadAt = message.createdAt;
+    await conversation.save();
+    await conversation.populate("participants.user", "username avatar");
+
+    res.status(created ? 201 : 200).json({
+      success: true,
+      data: { conversation, message },
+    });
+  }
+);
+
+router.get("/:id", async (req, res) => {
+  const conversation = await findConversation(req);
+  await conversation.populate("participants.user", "username avatar");
+  res.json({
+    success: true,
+    data: {
+      ...conversation.toObject(),
+      unreadCount: (
+        await conversationStats({ _id: conversation._id }, req.user.userId)
+      )[0].unreadCount,
+    },
+  });
+});
+
+// Messages in the conversation, newest first
+router.get("/:id/messages", async (req, res) => {
+  const conversation = await findConversation(req);
+  const limit = parseLimit(req.query.limit);
+  const cursor = parseCursor(req);
+
+  const filter = {
+    conversation: conversation._id,
+    author: { $nin: await blockedBy(req.user.userId) },
+  };
+  const messages = await Message.find(
+    cursor ? { $and: [filter, cursorMatch("createdAt", cursor)] } : filter
+  )
+    .sort({ createdAt: -1, _id: -1 })
+    .limit(limit + 1)
+    .populate("author", "username avatar")
+    .lean();
+
+  const { items, nextCursor } = buildPage(messages, limit, "createdAt");
+  res.json({ success: true, data: items.map(present), nextCursor });
+});
+
+router.post(
+  "/:id/messages",
+  canMessage,
+  ...postingLimits("message"),
+  validate(sendMessageSchema),
+  async (req, res) => {
+    const conversation = await findConversation(req);
+    const others = conversation.participants
+      .map(({ user }) => user)
+      .filter((user) => !sameId(user, req.user.userId));
+    if (others.length === 1) await assertNotBlocked(req.user.userId, others);
+
+    const message = await Message.create({
+      conversation: conversation._id,
+      author: req.user.userId,
+      content: req.body.content,
+    });
+    conversation.lastMessageAt = message.createdAt;
+    participantOf(conversation, req.user.userId).lastReadAt = message.createdAt;
+    await conversation.save();
+    await message.populate("author", "username avatar");
+
+    res.status(201).json({ success: true, data: message });
+  }
+);
+
+// Mark everything in the conversation as read
+router.put("/:id/read", async (req, res) => {
+  const conversation = await findConversation(req);
+  participantOf(conversation, req.user.userId).lastReadAt = new Date();
+  await conversation.save();
+  res.json({ success: true, data: { unreadCount: 0 } });
+});
+
+export default router;
@@ -0,0 +1,121 @@
+import express from "express";
+import mongoose from "mongoose";
+import Thread from "../models/thread.model.js";
+import auth from "../middleware/auth.js";
+import { notFound } from "../utils/errors.js";
+import { threadVisibility } from "../utils/visibility.js";
+import { isSessionLive } from "../utils/sessions.js";
+import {
+  FEED_CHANNEL,
+  threadChannel,
+  CLOSING_EVENTS,
+  subscribe,
+  eventForViewer,
+} from "../utils/realtime.js";
+
+// Server-sent event streams; see utils/realtime.js for the events.
+//
+//   GET /live/threads             new threads the viewer can see
+//   GET /live/threads/:threadId   comments, edits, deletions, reactions and
+//                                 moderation inside one thread
+//
+// Browsers' EventSource cannot set headers, so the access token may also be
+// passed as ?access_token=. Guests can follow public threads. A stream ends
+// when the access token expires, its session is revoked (checked with each
+// heartbeat) or the thread becomes unavailable to the viewer; clients
+// reconnect (with a fresh token) and catch up by polling
+// with ?updatedSince=.
+
+const router = express.Router();
+
+const HEARTBEAT_MS = 25 * 1000;
+const RETRY_MS = 5 * 1000;
+
+// Same token checks as `auth`, but guests are let through
+const streamAuth = (req, res, next) => {
+  if (!req.header("Authorization") && req.query.access_token) {
+    req.headers.authorization = `Bearer ${req.query.access_token}`;
+  }
+  if (!req.header("Authorization")) return next();
+  return auth(req, res, next);
+};
+
+const writeEvent = (res, { id, type, data }) => {
+  res.write(`id: ${id}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+// Hold the response open and forward events from `channel` until either
+// side closes
+const stream = (req, res, channel) => {
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  res.flushHeaders();
+  res.write(`retry: ${RETRY_MS}\n\n`);
+
+  let expiry;
+  let open = true;
+  const heartbeat = setInterval(async () => {
+    // The session was also only checked when the stream opened. A failed
+    // lookup keeps the stream until the next heartbeat.
+    const live = req.user
+      ? await isSessionLive(req.user.sessionId).catch((error) => {
+          console.error("Live stream session check error:", error);
+          return true;
+        })
+      : true;
+    if (!open) return;
+    if (live) res.write(": ping\n\n");
+    else endWith("session.revoked");
+  }, HEARTBEAT_MS);
+  const stop = () => {
+    open = false;
+    unsubscribe();
+    clearInterval(heartbeat);
+    clearTimeout(expiry);
+  };
+  const close = () => {
+    stop();
+    res.end();
+  };
+  const endWith = (type) => {
+    writeEvent(res, { id: new Date().toISOString(), type, data: {} });
+    close();
+  };
+
+  const unsubscribe = subscribe(channel, (event) => {
+    const tailored = eventForViewer(event, req.user);
+    if (!tailored) return;
+    writeEvent(res, tailored);
+    if (CLOSING_EVENTS.includes(tailored.type)) close();
+  });
+
+  // The token was only checked when the stream opened
+  if (req.user && req.user.exp) {
+    expiry = setTimeout(
+      () => endWith("token.expired"),
+      Math.max(req.user.exp * 1000 - Date.now(), 0)
+    );
+  }
+
+  req.on("close", stop);
+};
+
+router.get("/threads", streamAuth, (req, res) => {
+  stream(req, res, FEED_CHANNEL);
+});
+
+router.get("/threads/:threadId", streamAuth, async (req, res) => {
+  const { threadId } = req.params;
+  const thread = mongoose.isValidObjectId(threadId)
+    ? await Thread.findOne({ _id: threadId, ...threadVisibility(req.user) })
+    : null;
+  if (!thread) throw notFound("Thread not found");
+
+  stream(req, res, threadChannel(thread._id));
+});
+
+export default router;
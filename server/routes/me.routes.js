@@ -0,0 +1,157 @@
+import express from "express";
+import mongoose from "mongoose";
+import auth from "../middleware/auth.js";
+import { singleFile } from "../middleware/upload.js";
+import Session from "../models/session.model.js";
+import User from "../models/user.model.js";
+import { revokeSession } from "../utils/sessions.js";
+import { getStorage } from "../utils/storage.js";
+import { IMAGE_TYPES, detectImage } from "../utils/images.js";
+import { PROFILE_FIELDS, presentProfile } from "../utils/profiles.js";
+import { badRequest, notFound } from "../utils/errors.js";
+import { validate } from "../utils/validation.js";
+import { updateProfileSchema } from "../validators/profile.validator.js";
+
+const router = express.Router();
+
+router.use(auth);
+
+// Live sessions of the current user, most recently used first
+router.get("/sessions", async (req, res) => {
+  const sessions = await Session.find({
+    user: req.user.userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  })
+    .select("userAgent ip lastSeenAt createdAt expiresAt")
+    .sort({ lastSeenAt: -1 })
+    .lean();
+
+  res.json({
+    success: true,
+    data: sessions.map((session) => ({
+      ...session,
+      current: session._id.toString() === req.user.sessionId,
+    })),
+  });
+});
+
+router.delete("/sessions/:sessionId", async (req, res) => {
+  const { sessionId } = req.params;
+  const session = mongoose.isValidObjectId(sessionId)
+    ? await Session.findOne({
+        _id: sessionId,
+        user: req.user.userId,
+        revokedAt: null,
+      })
+    : null;
+
+  if (!session) throw notFound("Session not found");
+
+  await revokeSession(session._id, "revoked_by_user");
+  res.json({ success: true, message: "Session revoked successfully" });
+});
+
+const DEFAULT_AVATAR_MAX_BYTES = 2 * 1024 * 1024;
+
+const AVATAR_MAX_BYTES =
+  parseInt(process.env.AVATAR_MAX_BYTES, 10) || DEFAULT_AVATAR_MAX_BYTES;
+
+const findMe = (req, fields = PROFILE_FIELDS) =>
+  User.findById(req.user.userId).select(fields);
+
+router.get("/profile", async (req, res) => {
+  const user = await findMe(req);
+  res.json({ success: true, data: await presentProfile(user, req.user) });
+});
+
+// Edit the public profile. null clears a field.
+router.put(
+  "/profile",
+  validate(updateProfileSchema, { partial: true }),
+  async (req, res) => {
+    const user = await findMe(req);
+    Object.entries(req.body).forEach(([field, value]) => {
+      user[field] = value === null && field !== "displayName" ? "" : value;
+    });
+    await user.save();
+    res.json({ success: true, data: await presentProfile(user, req.user) });
+  }
+);
+
+// Replace the avatar with an uploaded image, sent as multipart field
+// "avatar". The file's contents must be an image of an accepted type,
+// whatever the client says it is.
+router.put(
+  "/avatar",
+  (req, res, next) =>
+    singleFile("avatar", {
+      maxBytes: AVATAR_MAX_BYTES,
+      mimeTypes: IMAGE_TYPES,
+    })(req, res, next),
+  async (req, res) => {
+    const image = detectImage(req.file.buffer);
+    if (!image) {
+      throw badRequest(`Avatar must be one of: ${IMAGE_TYPES.join(", ")}`);
+    }
+
+    const user = await findMe(req, `${PROFILE_FIELDS} avatarKey`);
+    const previousKey = user.avatarKey;
+    const version = Date.now();
+    const key = `avatars/${user._id}-${version}.${image.extension}`;
+
+    await getStorage().put(key, req.file.buffer);
+    user.avatarKey = key;
+    user.avatar = `/users/${user.username}/avatar?v=${version}`;
+    await user.save();
+    if (previousKey) await getStorage().remove(previousKey);
+
+    res.json({ success: true, data: await presentProfile(user, req.user) });
+  }
+);
+
+router.delete("/avatar", async (req, res) => {
+  const user = await findMe(req, `${PROFILE_FIELDS} avatarKey`);
+  if (!user.avatarKey) throw notFound("No avatar to remove");
+
+  await getStorage().remove(user.avatarKey);
+  user.avatarKey = undefined;
+  user.avatar = undefined;
+  await user.save();
+
+  res.json({ success: true, data: await presentProfile(user, req.user) });
+});
+
+// Users whose direct messages the current user has blocked
+router.get("/blocks", async (req, res) => {
+  const user = await User.findById(req.user.userId)
+    .select("blockedUsers")
+    .populate("blockedUsers", "username avatar");
+  res.json({ success: true, data: user.blockedUsers });
+});
+
+router.put("/blocks/:userId", async (req, res) => {
+  const { userId } = req.params;
+  if (userId === req.user.userId) throw badRequest("You cannot block yourself");
+  const exists =
+    mongoose.isValidObjectId(userId) && (await User.exists({ _id: userId }));
+  if (!exists) throw notFound("User not found");
+
+  await User.updateOne(
+    { _id: req.user.userId },
+    { $addToSet: { blockedUsers: userId } }
+  );
+  res.json({ success: true, message: "User blocked" });
+});
+
+router.delete("/blocks/:userId", async (req, res) => {
+  const { userId } = req.params;
+  if (!mongoose.isValidObjectId(userId)) throw notFound("User not found");
+  await User.updateOne(
+    { _id: req.user.userId },
+    { $pull: { blockedUsers: userId } }
+  );
+  res.json({ success: true, message: "User unblocked" });
+});
+
+export default router;
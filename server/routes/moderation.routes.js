@@ -0,0 +1,332 @@
+import express from "express";
+import mongoose from "mongoose";
+import Thread from "../models/thread.model.js";
+import Comment from "../models/comment.model.js";
+import Message from "../models/message.model.js";
+import User, { PERMISSION_FIELDS } from "../models/user.model.js";
+import Report, { REPORT_STATUSES } from "../models/report.model.js";
+import ModerationLog, {
+  LOG_TARGET_TYPES,
+} from "../models/moderationLog.model.js";
+import auth from "../middleware/auth.js";
+import authorize from "../middleware/authorize.js";
+import { badRequest, notFound } from "../utils/errors.js";
+import { validate } from "../utils/validation.js";
+import {
+  applyModerationAction,
+  diffFields,
+  recordModeration,
+  resolveReports,
+} from "../utils/moderation.js";
+import { publishComment } from "../utils/realtime.js";
+import { reputationForModeration } from "../utils/reputation.js";
+import { categoryOfThread, categoryOfComment } from "../utils/categories.js";
+import {
+  assignReportSchema,
+  moderationActionSchema,
+} from "../validators/moderation.validator.js";
+import {
+  parseLimit,
+  parseCursor,
+  cursorMatch,
+  buildPage,
+} from "../utils/pagination.js";
+
+const router = express.Router();
+
+// The queue, the trash and the log are for site moderators; category
+// moderators can act directly on threads and comments in their categories
+const moderatorsOnly = authorize({ permissions: ["canModerate"] });
+
+router.use(auth);
+
+const findReport = async (id) => {
+  const report = mongoose.isValidObjectId(id)
+    ? await Report.findById(id)
+    : null;
+  if (!report) throw notFound("Report not found");
+  return report;
+};
+
+const REPORTED_MODELS = { Thread, Comment, Message };
+
+// The moderation queue, oldest first.
+//
+// Query: status (default open; "all" for every status), assignee ("me",
+// "unassigned" or a user id), targetType (thread, comment or message),
+// cursor, limit. Reported messages are the only direct messages moderators
+// get to see.
+router.get("/reports", moderatorsOnly, async (req, res) => {
+  const { status = "open", assignee, targetType } = req.query;
+  const limit = parseLimit(req.query.limit);
+  const cursor = parseCursor(req);
+
+  const filter = {};
+  if (status !== "all") {
+    if (!REPORT_STATUSES.includes(status)) {
+      throw badRequest(
+        `Unknown status "${status}". Use one of: all, ${REPORT_STATUSES.join(
+          ", "
+        )}`
+      );
+    }
+    filter.status = status;
+  }
+  if (assignee === "me") filter.assignedTo = req.user.userId;
+  else if (assignee === "unassigned") filter.assignedTo = null;
+  else if (assignee) {
+    if (!mongoose.isValidObjectId(assignee))
+      throw badRequest("Invalid assignee");
+    filter.assignedTo = assignee;
+  }
+  if (targetType === "thread") filter.targetType = "Thread";
+  else if (targetType === "comment") filter.targetType = "Comment";
+  else if (targetType === "message") filter.targetType = "Message";
+
+  const reports = await Report.find(
+    cursor ? { $and: [filter, cursorMatch("createdAt", cursor, 1)] } : filter
+  )
+    .sort({ createdAt: 1, _id: 1 })
+    .limit(limit + 1)
+    .populate("reporter", "username")
+    .populate("assignedTo", "username")
+    .populate("target")
+    .lean();
+
+  const { items, nextCursor } = buildPage(reports, limit, "createdAt");
+  res.json({ success: true, data: items, nextCursor });
+});
+
+// Assign a report to a moderator, by default the caller
+router.put(
+  "/reports/:id/assign",
+  moderatorsOnly,
+  validate(assignReportSchema),
+  async (req, res) => {
+    const report = await findReport(req.params.id);
+    if (!["open", "in_review"].includes(report.status)) {
+      throw badRequest("Report has already been closed");
+    }
+
+    const assigneeId =
+      req.body.assigneeId === undefined ? req.user.userId : req.body.assigneeId;
+    if (assigneeId) {
+      const assignee =
+        await User.findById(assigneeId).select(PERMISSION_FIELDS);
+      if (!assignee) throw notFound("User not found");
+      if (!assignee.permissions.canModerate) {
+        throw badRequest("Reports can only be assigned to moderators");
+      }
+    }
+
+    report.assignedTo = assigneeId;
+    report.status = assigneeId ? "in_review" : "open";
+    await report.save();
+    await report.populate("assignedTo", "username");
+
+    res.json({ success: true, data: report });
+  }
+);
+
+// Act on a report: hide, lock or restore the reported content, or dismiss
+// the report. Every open report on the same content is closed with it.
+router.post(
+  "/reports/:id/actions",
+  moderatorsOnly,
+  validate(moderationActionSchema),
+  async (req, res) => {
+    const report = await findReport(req.params.id);
+    if (!["open", "in_review"].includes(report.status)) {
+      throw badRequest("Report has already been closed");
+    }
+
+    const { action, note } = req.body;
+    if (action === "lock" && report.targetType === "Message") {
+      throw badRequest("Messages cannot be locked");
+    }
+    const Model = REPORTED_MODELS[report.targetType];
+    const target = await Model.findById(report.target);
+    if (!target && action !== "dismiss") {
+      throw notFound("Reported content no longer exists");
+    }
+
+    if (target) {
+      await applyModerationAction({
+        moderator: req.user.userId,
+        action,
+        targetType: report.targetType,
+        target,
+        note,
+        report,
+      });
+    }
+    const closed = await resolveReports(report, {
+      action,
+      note,
+      moderator: req.user.userId,
+    });
+
+    res.json({
+      success: true,
+      message: `Report ${action === "dismiss" ? "dismissed" : "resolved"}`,
+      data: { closedReports: closed },
+    });
+  }
+);
+
+// Moderate a thread or comment directly, without a report
+const moderateDirectly = (Model, targetType) => async (req, res) => {
+  const target = mongoose.isValidObjectId(req.params.id)
+    ? await Model.findById(req.params.id)
+    : null;
+  if (!target) throw notFound(`${targetType} not found`);
+
+  const { action, note } = req.body;
+  if (action === "dismiss") throw badRequest("Only reports can be dismissed");
+
+  const changed = await applyModerationAction({
+    moderator: req.user.userId,
+    action,
+    targetType,
+    target,
+    note,
+  });
+
+  res.json({ success: true, data: changed });
+};
+
+router.post(
+  "/threads/:id/actions",
+  authorize({
+    permissions: ["canModerate"],
+    category: categoryOfThread((req) => req.params.id),
+  }),
+  validate(moderationActionSchema),
+  moderateDirectly(Thread, "Thread")
+);
+
+router.post(
+  "/comments/:id/actions",
+  authorize({
+    permissions: ["canModerate"],
+    category: categoryOfComment((req) => req.params.id),
+  }),
+  validate(moderationActionSchema),
+  moderateDirectly(Comment, "Comment")
+);
+
+// Deleted comments that can still be restored, most recently deleted first.
+// Query: threadId, cursor, limit.
+router.get("/trash", moderatorsOnly, async (req, res) => {
+  const limit = parseLimit(req.query.limit);
+  const cursor = parseCursor(req);
+
+  const filter = { deletedAt: { $ne: null }, purgedAt: null };
+  if (req.query.threadId) {
+    if (!mongoose.isValidObjectId(req.query.threadId)) {
+      throw badRequest("Invalid threadId");
+    }
+    filter.thread = req.query.threadId;
+  }
+
+  const comments = await Comment.find(
+    cursor ? { $and: [filter, cursorMatch("deletedAt", cursor)] } : filter
+  )
+    .sort({ deletedAt: -1, _id: -1 })
+    .limit(limit + 1)
+    .populate("author", "username")
+    .populate("deletedBy", "username")
+    .populate("thread", "title")
+    .lean();
+
+  const { items, nextCursor } = buildPage(comments, limit, "deletedAt");
+  res.json({ success: true, data: items, nextCursor });
+});
+
+router.post("/trash/:id/restore", moderatorsOnly, async (req, res) => {
+  const comment = mongoose.isValidObjectId(req.params.id)
+    ? await Comment.findOne({
+        _id: req.params.id,
+        deletedAt: { $ne: null },
+        purgedAt: null,
+      })
+    : null;
+  if (!comment) throw notFound("Deleted comment not found");
+
+  const changes = diffFields(comment, { deletedAt: null });
+  const deletedBy = comment.deletedBy;
+  comment.deletedAt = null;
+  comment.deletedBy = undefined;
+  await comment.save();
+
+  if (!comment.heldForReview) {
+    await Thread.findByIdAndUpdate(comment.thread, {
+      $inc: { commentCount: 1 },
+    });
+  }
+  await recordModeration({
+    moderator: req.user.userId,
+    action: "undelete",
+    targetType: "Comment",
+    target: comment._id,
+    changes,
+  });
+  // Give back the points a moderator's deletion cost the author
+  if (deletedBy && !deletedBy.equals(comment.author)) {
+    await reputationForModeration({
+      doc: comment,
+      targetType: "Comment",
+      penalized: false,
+    });
+  }
+
+  await comment.populate("author", "username avatar");
+  publishComment("comment.updated", comment);
+  res.json({ success: true, data: comment });
+});
+
+// The moderation audit log, newest first. Mounted under /admin.
+//
+// Query: moderator, action, targetType (thread, comment, message or user),
+// target, cursor, limit.
+export const listModerationLog = async (req, res) => {
+  const { moderator, action, targetType, target } = req.query;
+  const limit = parseLimit(req.query.limit);
+  const cursor = parseCursor(req);
+
+  const filter = {};
+  for (const [field, value] of Object.entries({ moderator, target })) {
+    if (value === undefined) continue;
+    if (!mongoose.isValidObjectId(value)) throw badRequest(`Invalid ${field}`);
+    filter[field] = value;
+  }
+  if (action !== undefined) {
+    if (typeof action !== "string") throw badRequest("Invalid action");
+    filter.action = action;
+  }
+  if (targetType !== undefined) {
+    filter.targetType = LOG_TARGET_TYPES.find(
+      (type) =>
+        typeof targetType === "string" &&
+        type.toLowerCase() === targetType.toLowerCase()
+    );
+    if (!filter.targetType) {
+      throw badRequest(
+        `Invalid targetType. Use one of: ${LOG_TARGET_TYPES.join(", ")}`
+      );
+    }
+  }
+
+  const entries = await ModerationLog.find(
+    cursor ? { $and: [filter, cursorMatch("createdAt", cursor)] } : filter
+  )
+    .sort({ createdAt: -1, _id: -1 })
+    .limit(limit + 1)
+    .populate("moderator", "username")
+    .lean();
+
+  const { items, nextCursor } = buildPage(entries, limit, "createdAt");
+  res.json({ success: true, data: items, nextCursor });
+};
+
+export default router;
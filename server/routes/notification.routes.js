@@ -0,0 +1,124 @@
+import express from "express";
+import mongoose from "mongoose";
+import Notification from "../models/notification.model.js";
+import User from "../models/user.model.js";
+import auth from "../middleware/auth.js";
+import { notFound } from "../utils/errors.js";
+import { validate } from "../utils/validation.js";
+import { describeNotification } from "../utils/notifications.js";
+import { notificationPreferencesSchema } from "../validators/notification.validator.js";
+import {
+  parseLimit,
+  parseCursor,
+  cursorMatch,
+  buildPage,
+} from "../utils/pagination.js";
+
+const router = express.Router();
+
+router.use(auth);
+
+const unreadCount = (userId) =>
+  Notification.countDocuments({ recipient: userId, readAt: null });
+
+const present = (notification) => ({
+  ...notification,
+  ...describeNotification(notification),
+  read: Boolean(notification.readAt),
+});
+
+// The current user's notifications, newest first. ?unread=true lists only
+// unread ones.
+router.get("/", async (req, res) => {
+  const limit = parseLimit(req.query.limit);
+  const cursor = parseCursor(req);
+
+  const filter = { recipient: req.user.userId };
+  if (req.query.unread === "true") filter.readAt = null;
+
+  const notifications = await Notification.find(
+    cursor ? { $and: [filter, cursorMatch("createdAt", cursor)] } : filter
+  )
+    .sort({ createdAt: -1, _id: -1 })
+    .limit(limit + 1)
+    .populate("actor", "username avatar")
+    .populate("thread", "title")
+    .lean();
+
+  const { items, nextCursor } = buildPage(notifications, limit, "createdAt");
+  res.json({
+    success: true,
+    data: items.map(present),
+    nextCursor,
+    unreadCount: await unreadCount(req.user.userId),
+  });
+});
+
+router.get("/unread-count", async (req, res) => {
+  res.json({
+    success: true,
+    data: { unreadCount: await unreadCount(req.user.userId) },
+  });
+});
+
+router.put("/read-all", async (req, res) => {
+  const { modifiedCount } = await Notification.updateMany(
+    { recipient: req.user.userId, readAt: null },
+    { $set: { readAt: new Date() } }
+  );
+  res.json({
+    success: true,
+    message: `Marked ${modifiedCount} notification${
+      modifiedCount === 1 ? "" : "s"
+    } as read`,
+    data: { unreadCount: 0 },
+  });
+});
+
+router.get("/preferences", async (req, res) => {
+  const user = await User.findById(req.user.userId).select(
+    "notificationPreferences"
+  );
+  res.json({ success: true, data: user.notificationPreferences });
+});
+
+router.put(
+  "/preferences",
+  validate(notificationPreferencesSchema, { partial: true }),
+  async (req, res) => {
+    const $set = Object.fromEntries(
+      Object.entries(req.body).map(([key, value]) => [
+        `notificationPreferences.${key}`,
+        value,
+      ])
+    );
+    const user = await User.findByIdAndUpdate(
+      req.user.userId,
+      { $set },
+      { new: true }
+    ).select("notificationPreferences");
+    res.json({ success: true, data: user.notificationPreferences });
+  }
+);
+
+router.put("/:id/read", async (req, res) => {
+  const notification = mongoose.isValidObjectId(req.params.id)
+    ? await Notification.findOneAndUpdate(
+        { _id: req.params.id, recipient: req.user.userId },
+        [{ $set: { readAt: { $ifNull: ["$readAt", "$$NOW"] } } }],
+        { new: true }
+      )
+        .populate("actor", "username avatar")
+        .populate("thread", "title")
+        .lean()
+    : null;
+  if (!notification) throw notFound("Notification not found");
+
+  res.json({
+    success: true,
+    data: present(notification),
+    unreadCount: await unreadCount(req.user.userId),
+  });
+});
+
+export default router;
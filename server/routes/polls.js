@@ -0,0 +1,151 @@
+import mongoose from "mongoose";
+import Thread from "../models/thread.model.js";
+import PollVote from "../models/pollVote.model.js";
+import auth, { optionalAuth } from "../middleware/auth.js";
+import authorize from "../middleware/authorize.js";
+import { isPollClosed, pollSummary } from "../utils/polls.js";
+import { threadVisibility } from "../utils/visibility.js";
+import { categoryOfThread } from "../utils/categories.js";
+import { publish, threadChannel } from "../utils/realtime.js";
+import { badRequest, conflict, forbidden, notFound } from "../utils/errors.js";
+import { validate } from "../utils/validation.js";
+import { pollVoteSchema } from "../validators/poll.validator.js";
+import {
+  parseLimit,
+  parseCursor,
+  cursorMatch,
+  buildPage,
+} from "../utils/pagination.js";
+
+// Register the poll endpoints of the thread router:
+//
+//   POST   /:id/poll/votes  vote for { options }, or change the vote
+//   DELETE /:id/poll/votes  take the vote back
+//   GET    /:id/poll/votes  who voted for what, public polls only
+//
+// Voting takes the same permission as commenting in the thread's category,
+// so muted and read-only accounts cannot vote. It answers with the poll
+// summary, see utils/polls.js, and sends the new results to everyone
+// following the thread live.
+const registerPollRoutes = (router) => {
+  const canVote = authorize({
+    permissions: ["canComment"],
+    category: categoryOfThread((req) => req.params.id),
+  });
+
+  const findPoll = async (req) => {
+    const thread = mongoose.isValidObjectId(req.params.id)
+      ? await Thread.findOne({
+          _id: req.params.id,
+          ...threadVisibility(req.user),
+        })
+      : null;
+    if (!thread) throw notFound("Thread not found");
+    if (!thread.poll) throw notFound("This thread has no poll");
+    return thread;
+  };
+
+  const assertCanChange = (thread, vote) => {
+    if (isPollClosed(thread)) throw forbidden("The poll is closed");
+    if (vote && !thread.poll.allowVoteChange) {
+      throw conflict("Votes in this poll cannot be changed");
+    }
+  };
+
+  const respond = async (req, res, thread) => {
+    const { viewerVotes, ...results } = await pollSummary(
+      thread,
+      req.user.userId
+    );
+    publish(threadChannel(thread._id), "poll.updated", {
+      thread: thread._id,
+      poll: results,
+    });
+    res.json({ success: true, data: { ...results, viewerVotes } });
+  };
+
+  router.post(
+    "/:id/poll/votes",
+    auth,
+    canVote,
+    validate(pollVoteSchema),
+    async (req, res) => {
+      const thread = await findPoll(req);
+      const options = [...new Set(req.body.options)];
+      const known = new Set(
+        thread.poll.options.map((option) => option._id.toString())
+      );
+      if (!options.every((option) => known.has(option))) {
+        throw badRequest("Unknown poll option");
+      }
+      if (!thread.poll.multipleChoice && options.length > 1) {
+        throw badRequest("Choose a single option in this poll");
+      }
+
+      const vote = await PollVote.findOne({
+        thread: thread._id,
+        user: req.user.userId,
+      });
+      assertCanChange(thread, vote);
+      if (vote) {
+        vote.options = options;
+        await vote.save();
+      } else {
+        try {
+          await PollVote.create({
+            thread: thread._id,
+            user: req.user.userId,
+            options,
+          });
+        } catch (error) {
+          // Another request voted for the same user in the meantime
+          if (error.code === 11000) throw conflict("You have already voted");
+          throw error;
+        }
+      }
+      await respond(req, res, thread);
+    }
+  );
+
+  router.delete("/:id/poll/votes", auth, canVote, async (req, res) => {
+    const thread = await findPoll(req);
+    const vote = await PollVote.findOne({
+      thread: thread._id,
+      user: req.user.userId,
+    });
+    if (!vote) throw notFound("You have not voted in this poll");
+    assertCanChange(thread, vote);
+    await vote.deleteOne();
+    await respond(req, res, thread);
+  });
+
+  // Newest votes first; ?option=<id> lists the voters of one option
+  router.get("/:id/poll/votes", optionalAuth, async (req, res) => {
+    const thread = await findPoll(req);
+    if (thread.poll.anonymous) throw forbidden("This poll is anonymous");
+
+    const limit = parseLimit(req.query.limit);
+    const cursor = parseCursor(req);
+    const filter = { thread: thread._id };
+    if (req.query.option) {
+      if (!mongoose.isValidObjectId(req.query.option)) {
+        throw badRequest("Unknown poll option");
+      }
+      filter.options = req.query.option;
+    }
+
+    const votes = await PollVote.find(
+      cursor ? { $and: [filter, cursorMatch("createdAt", cursor)] } : filter
+    )
+      .select("user options createdAt")
+      .sort({ createdAt: -1, _id: -1 })
+      .limit(limit + 1)
+      .populate("user", "username avatar")
+      .lean();
+
+    const { items, nextCursor } = buildPage(votes, limit, "createdAt");
+    res.json({ success: true, data: items, nextCursor });
+  });
+};
+
+export default registerPollRoutes;
@@ -0,0 +1,123 @@
+import mongoose from "mongoose";
+import Thread from "../models/thread.model.js";
+import auth from "../middleware/auth.js";
+import authorize from "../middleware/authorize.js";
+import { reactionUpdate, summarizeReactions } from "../utils/reactions.js";
+import { publishReactions } from "../utils/realtime.js";
+import { notifyLike } from "../utils/notifications.js";
+import { reputationForLike } from "../utils/reputation.js";
+import { threadVisibility, hiddenVisibility } from "../utils/visibility.js";
+import { notFound } from "../utils/errors.js";
+import { validate } from "../utils/validation.js";
+import { reactionSchema } from "../validators/reaction.validator.js";
+
+// Register like and reaction endpoints for a Thread or Comment router:
+//
+//   PUT    /:id/like       like (idempotent)
+//   DELETE /:id/like       unlike (idempotent)
+//   POST   /:id/like       toggle the like
+//   PUT    /:id/reactions  set the viewer's reaction to { type }
+//   DELETE /:id/reactions  remove the viewer's reaction
+//
+// Every endpoint answers with the post's like count, reaction counts and the
+// viewer's own state. Liking a post notifies its author and earns them
+// reputation, which unliking takes back.
+const registerReactionRoutes = (router, Model, label) => {
+  // Reacting counts as taking part, so read-only accounts may not
+  const guard = [auth, authorize({ permissions: ["canComment"] })];
+
+  // Filter for the post, if the viewer can see it. Deleted comments can no
+  // longer be reacted to, and comments only where their thread is visible.
+  const visibleFilter = async (req) => {
+    if (!mongoose.isValidObjectId(req.params.id)) return null;
+    if (label === "Thread") {
+      return { _id: req.params.id, ...threadVisibility(req.user) };
+    }
+    const filter = {
+      _id: req.params.id,
+      deletedAt: null,
+      ...hiddenVisibility(req.user),
+    };
+    const comment = await Model.findOne(filter).select("thread");
+    const visible =
+      comment &&
+      (await Thread.exists({
+        _id: comment.thread,
+        ...threadVisibility(req.user),
+      }));
+    return visible ? filter : null;
+  };
+
+  const respond = async (req, res, update, { like = false } = {}) => {
+    const filter = await visibleFilter(req);
+    const doc = !filter
+      ? null
+      : typeof update === "function"
+        ? await update(filter)
+        : await Model.findOneAndUpdate(filter, update, { new: true });
+    if (!doc) throw notFound(`${label} not found`);
+    publishReactions(label, doc);
+
+    const { likeCount, reactionCounts, viewerReaction } = summarizeReactions(
+      doc,
+      req.user.userId
+    );
+    if (like) {
+      if (viewerReaction.liked) {
+        await notifyLike({ doc, targetType: label, actor: req.user.userId });
+      }
+      await reputationForLike({
+        doc,
+        targetType: label,
+        actor: req.user.userId,
+        liked: viewerReaction.liked,
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { likeCount, reactionCounts, viewerReaction },
+    });
+  };
+
+  router.put("/:id/like", guard, (req, res) =>
+    respond(req, res, { $addToSet: { likes: req.user.userId } }, { like: true })
+  );
+
+  router.delete("/:id/like", guard, (req, res) =>
+    respond(req, res, { $pull: { likes: req.user.userId } }, { like: true })
+  );
+
+  router.post("/:id/like", guard, (req, res) =>
+    respond(
+      req,
+      res,
+      async (filter) => {
+        const options = { new: true };
+        // Try to unlike first; if the viewer had not liked the post, like it
+        const unliked = await Model.findOneAndUpdate(
+          { ...filter, likes: req.user.userId },
+          { $pull: { likes: req.user.userId } },
+          options
+        );
+        if (unliked) return unliked;
+        return Model.findOneAndUpdate(
+          filter,
+          { $addToSet: { likes: req.user.userId } },
+          options
+        );
+      },
+      { like: true }
+    )
+  );
+
+  router.put("/:id/reactions", guard, validate(reactionSchema), (req, res) =>
+    respond(req, res, reactionUpdate(req.user.userId, req.body.type))
+  );
+
+  router.delete("/:id/reactions", guard, (req, res) =>
+    respond(req, res, reactionUpdate(req.user.userId, null))
+  );
+};
+
+export default registerReactionRoutes;
@@ -0,0 +1,89 @@
+import express from "express";
+import Thread from "../models/thread.model.js";
+import Comment from "../models/comment.model.js";
+import Message from "../models/message.model.js";
+import Conversation from "../models/conversation.model.js";
+import Report from "../models/report.model.js";
+import auth from "../middleware/auth.js";
+import { conflict, notFound } from "../utils/errors.js";
+import { validate } from "../utils/validation.js";
+import { threadVisibility, hiddenVisibility } from "../utils/visibility.js";
+import { createReportSchema } from "../validators/moderation.validator.js";
+
+const router = express.Router();
+
+// Find what is being reported, as the reporter can see it. Messages can
+// only be reported by the participants of their conversation.
+const TARGETS = {
+  thread: {
+    model: "Thread",
+    find: (id, user) => Thread.findOne({ _id: id, ...threadVisibility(user) }),
+    context: (thread) => ({ thread: thread._id }),
+  },
+  comment: {
+    model: "Comment",
+    find: async (id, user) => {
+      const comment = await Comment.findOne({
+        _id: id,
+        deletedAt: null,
+        ...hiddenVisibility(user),
+      });
+      const visible =
+        comment &&
+        (await Thread.exists({
+          _id: comment.thread,
+          ...threadVisibility(user),
+        }));
+      return visible ? comment : null;
+    },
+    context: (comment) => ({ thread: comment.thread }),
+  },
+  message: {
+    model: "Message",
+    find: async (id, user) => {
+      const message = await Message.findById(id);
+      const participant =
+        message &&
+        (await Conversation.exists({
+          _id: message.conversation,
+          "participants.user": user.userId,
+        }));
+      return participant ? message : null;
+    },
+    context: (message) => ({ conversation: message.conversation }),
+  },
+};
+
+// Report a thread, comment or direct message to the moderators
+router.post("/", auth, validate(createReportSchema), async (req, res) => {
+  const { targetType, targetId, reason, details } = req.body;
+  const { model, find, context } = TARGETS[targetType];
+
+  const target = await find(targetId, req.user);
+  if (!target) throw notFound(`${model} not found`);
+
+  // One pending report per user and post is enough
+  const existing = await Report.exists({
+    reporter: req.user.userId,
+    target: target._id,
+    status: { $in: ["open", "in_review"] },
+  });
+  if (existing) throw conflict("You have already reported this");
+
+  const report = await Report.create({
+    reporter: req.user.userId,
+    targetType: model,
+    target: target._id,
+    ...context(target),
+    reason,
+    details,
+  });
+
+  res.status(201).json({
+    success: true,
+    message: "Report submitted. Thank you for letting us know.",
+    data: report,
+  });
+});
+
+export default router;
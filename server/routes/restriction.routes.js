@@ -0,0 +1,134 @@
+import express from "express";
+import mongoose from "mongoose";
+import User from "../models/user.model.js";
+import auth from "../middleware/auth.js";
+import authorize from "../middleware/authorize.js";
+import { badRequest, notFound } from "../utils/errors.js";
+import { validate } from "../utils/validation.js";
+import { revokeAllSessions } from "../utils/sessions.js";
+import { recordModeration } from "../utils/moderation.js";
+import { describeRestriction, isActive } from "../utils/restrictions.js";
+import {
+  createRestrictionSchema,
+  liftRestrictionSchema,
+} from "../validators/restriction.validator.js";
+
+// Mounted at /admin/users/:userId/restrictions
+const router = express.Router({ mergeParams: true });
+
+router.use(auth, authorize({ permissions: ["canManageUsers"] }));
+
+const findUser = async (id) => {
+  const user = mongoose.isValidObjectId(id)
+    ? await User.findById(id).select("username restrictions")
+    : null;
+  if (!user) throw notFound("User not found");
+  return user;
+};
+
+const present = (restriction) => ({
+  ...describeRestriction(restriction),
+  active: isActive(restriction),
+  issuedBy: restriction.issuedBy,
+  issuedAt: restriction.issuedAt,
+  liftedAt: restriction.liftedAt || null,
+  liftedBy: restriction.liftedBy || null,
+});
+
+// Every restriction the user has had, newest first
+router.get("/", async (req, res) => {
+  const user = await findUser(req.params.userId);
+  const restrictions = [...user.restrictions].sort(
+    (a, b) => b.issuedAt - a.issuedAt
+  );
+  res.json({ success: true, data: restrictions.map(present) });
+});
+
+// Ban, suspend or mute a user. Bans and suspensions also end the user's
+// sessions so they take effect straight away.
+router.post("/", validate(createRestrictionSchema), async (req, res) => {
+  const { type, reason, durationHours, scope } = req.body;
+
+  if (req.params.userId === req.user.userId) {
+    throw badRequest("You cannot restrict your own account");
+  }
+  if (type === "suspension" && !durationHours) {
+    throw badRequest("Suspensions need a durationHours");
+  }
+  if (type === "ban" && durationHours) {
+    throw badRequest("Bans are permanent; use a suspension instead");
+  }
+  if (type !== "mute" && scope) {
+    throw badRequest("Only mutes can be scoped");
+  }
+
+  const user = await findUser(req.params.userId);
+  const restriction = user.restrictions.create({
+    type,
+    reason,
+    scope: type === "mute" ? scope : undefined,
+    expiresAt: durationHours
+      ? new Date(Date.now() + durationHours * 3600000)
+      : undefined,
+    issuedBy: req.user.userId,
+  });
+  // Not user.save(): that would mark the restricted user as active
+  await User.updateOne(
+    { _id: user._id },
+    { $push: { restrictions: restriction } }
+  );
+
+  if (type !== "mute") await revokeAllSessions(user._id, type);
+
+  await recordModeration({
+    moderator: req.user.userId,
+    action: type,
+    targetType: "User",
+    target: user._id,
+    note: reason,
+    changes: { restriction: describeRestriction(restriction) },
+  });
+
+  res.status(201).json({ success: true, data: present(restriction) });
+});
+
+// Lift a restriction before it runs out
+router.delete(
+  "/:restrictionId",
+  validate(liftRestrictionSchema),
+  async (req, res) => {
+    const user = await findUser(req.params.userId);
+    const restriction = mongoose.isValidObjectId(req.params.restrictionId)
+      ? user.restrictions.id(req.params.restrictionId)
+      : null;
+    if (!restriction) throw notFound("Restriction not found");
+    if (!isActive(restriction)) {
+      throw badRequest("Restriction is no longer active");
+    }
+
+    restriction.liftedAt = new Date();
+    restriction.liftedBy = req.user.userId;
+    await User.updateOne(
+      { _id: user._id, "restrictions._id": restriction._id },
+      {
+        $set: {
+          "restrictions.$.liftedAt": restriction.liftedAt,
+          "restrictions.$.liftedBy": restriction.liftedBy,
+        },
+      }
+    );
+
+    await recordModeration({
+      moderator: req.user.userId,
+      action: `lift_${restriction.type}`,
+      targetType: "User",
+      target: user._id,
+      note: req.body.note,
+      changes: { restriction: describeRestriction(restriction) },
+    });
+
+    res.json({ success: true, data: present(restriction) });
+  }
+);
+
+export default router;
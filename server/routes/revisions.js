@@ -0,0 +1,131 @@
+import mongoose from "mongoose";
+import auth, { optionalAuth } from "../middleware/auth.js";
+import authorize from "../middleware/authorize.js";
+import { badRequest, notFound } from "../utils/errors.js";
+import { validate } from "../utils/validation.js";
+import { summarizeReactions } from "../utils/reactions.js";
+import { recordModeration } from "../utils/moderation.js";
+import { publishThread, publishComment } from "../utils/realtime.js";
+import {
+  snapshot,
+  recordRevision,
+  listRevisions,
+  diffRevisions,
+} from "../utils/revisions.js";
+import { revertRevisionSchema } from "../validators/revision.validator.js";
+
+// Register edit history endpoints for a Thread or Comment router:
+//
+//   GET  /:id/revisions                    every version, each with a diff
+//                                          against the one before it
+//   GET  /:id/revisions/diff?from=&to=     diff between two versions (to
+//                                          defaults to the latest)
+//   POST /:id/revisions/:version/revert    moderators: restore a version
+//
+// `findVisible(req, id)` loads the post if the viewer may see it, and
+// returns null otherwise. `categoryOf` is the authorize() category resolver
+// for the post, so category moderators may revert too.
+const registerRevisionRoutes = (router, label, findVisible, categoryOf) => {
+  const load = async (req) => {
+    const doc = mongoose.isValidObjectId(req.params.id)
+      ? await findVisible(req, req.params.id)
+      : null;
+    if (!doc) throw notFound(`${label} not found`);
+    return doc;
+  };
+
+  const parseVersion = (value, revisions, name) => {
+    const version = parseInt(value, 10);
+    const revision = revisions.find((entry) => entry.version === version);
+    if (!revision) throw badRequest(`${name} must be an existing version`);
+    return revision;
+  };
+
+  router.get("/:id/revisions", optionalAuth, async (req, res) => {
+    const doc = await load(req);
+    const revisions = await listRevisions(doc, label);
+
+    res.json({
+      success: true,
+      data: revisions.map((revision, index) => ({
+        ...revision,
+        diff: diffRevisions(revisions[index - 1], revision, label),
+      })),
+    });
+  });
+
+  router.get("/:id/revisions/diff", optionalAuth, async (req, res) => {
+    const doc = await load(req);
+    const revisions = await listRevisions(doc, label);
+
+    const from = parseVersion(req.query.from, revisions, "from");
+    const to =
+      req.query.to === undefined
+        ? revisions[revisions.length - 1]
+        : parseVersion(req.query.to, revisions, "to");
+
+    res.json({
+      success: true,
+      data: {
+        from: from.version,
+        to: to.version,
+        diff: diffRevisions(from, to, label),
+      },
+    });
+  });
+
+  router.post(
+    "/:id/revisions/:version/revert",
+    auth,
+    authorize({ permissions: ["canModerate"], category: categoryOf }),
+    validate(revertRevisionSchema),
+    async (req, res) => {
+      const doc = await load(req);
+      const revisions = await listRevisions(doc, label);
+      const target = parseVersion(req.params.version, revisions, "version");
+
+      const before = snapshot(doc, label);
+      const restored = snapshot(target, label);
+      if (
+        Object.keys(restored).every(
+          (field) => restored[field] === before[field]
+        )
+      ) {
+        throw badRequest(`${label} already matches version ${target.version}`);
+      }
+
+      doc.set({ ...restored, isEdited: true });
+      await doc.save();
+
+      const revision = await recordRevision({
+        doc,
+        targetType: label,
+        before,
+        editor: req.user.userId,
+        reason: req.body.reason || `Reverted to version ${target.version}`,
+        revertedFrom: target.version,
+      });
+
+      await recordModeration({
+        moderator: req.user.userId,
+        action: "revert",
+        targetType: label,
+        target: doc._id,
+        note: req.body.reason,
+        changes: { version: { from: target.version, to: revision.version } },
+      });
+
+      await doc.populate("author", "username avatar");
+      if (label === "Thread") publishThread("thread.updated", doc);
+      else publishComment("comment.updated", doc);
+
+      res.json({
+        success: true,
+        data: summarizeReactions(doc, req.user.userId),
+        version: revision.version,
+      });
+    }
+  );
+};
+
+export default registerRevisionRoutes;
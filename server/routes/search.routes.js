@@ -0,0 +1,190 @@
+import express from "express";
+import mongoose from "mongoose";
+import Thread from "../models/thread.model.js";
+import Comment from "../models/comment.model.js";
+import User from "../models/user.model.js";
+import { optionalAuth } from "../middleware/auth.js";
+import { parseLimit } from "../utils/pagination.js";
+import { summarizeReactions } from "../utils/reactions.js";
+import { searchTerms, buildSnippet } from "../utils/search.js";
+import { threadVisibility, hiddenVisibility } from "../utils/visibility.js";
+import { badRequest } from "../utils/errors.js";
+
+const router = express.Router();
+
+// Upper bound on text matches ranked per collection. Results are merged and
+// paginated in memory, so pages past this many matches come back empty.
+const MAX_CANDIDATES = 200;
+
+const parseBoolean = (value) => {
+  if (value === "true") return true;
+  if (value === "false") return false;
+  return undefined;
+};
+
+const parseDate = (value) => {
+  if (!value) return undefined;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+// Thread filters shared by direct thread matches and by the threads that
+// matching comments belong to
+const buildThreadFilter = (req) => {
+  const filter = threadVisibility(req.user);
+
+  // Guests only ever see public threads; members may narrow with ?public=
+  const isPublic = parseBoolean(req.query.public);
+  if (req.user && isPublic !== undefined) filter.isPublic = isPublic;
+
+  const isLocked = parseBoolean(req.query.locked);
+  if (isLocked !== undefined) filter.isLocked = isLocked;
+
+  if (req.query.tags) {
+    const tags = String(req.query.tags)
+      .split(",")
+      .map((tag) => tag.trim())
+      .filter(Boolean);
+    if (tags.length > 0) filter.tags = { $in: tags };
+  }
+
+  return filter;
+};
+
+// Author and date filters, which apply to each matching thread or comment
+// itself
+const buildPostFilter = async (req) => {
+  const filter = {};
+
+  if (req.query.author) {
+    const author = mongoose.isValidObjectId(req.query.author)
+      ? await User.findById(req.query.author).select("_id")
+      : await User.findOne({ username: req.query.author }).select("_id");
+    // Unknown authors match nothing rather than everything
+    filter.author = author ? author._id : new mongoose.Types.ObjectId();
+  }
+
+  const from = parseDate(req.query.from);
+  const to = parseDate(req.query.to);
+  if (from === null || to === null) {
+    throw badRequest("Invalid date range");
+  }
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = from;
+    if (to) filter.createdAt.$lte = to;
+  }
+
+  return filter;
+};
+
+// Search threads, and optionally comments, by relevance.
+//
+// Query: q (required), tags, author (username or id), from, to, locked,
+// public, includeComments, page, limit.
+//
+// Each result is a thread with highlighted title/content snippets; with
+// ?includeComments=true, matching comments are grouped under their thread and
+// threads that only matched through their comments are included too.
+// author, from and to filter the matching threads and comments alike.
+router.get("/", optionalAuth, async (req, res) => {
+  const q = String(req.query.q || "").trim();
+  if (!q) {
+    throw badRequest("Search query is required");
+  }
+
+  const limit = parseLimit(req.query.limit);
+  const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+  const includeComments = parseBoolean(req.query.includeComments) === true;
+  const terms = searchTerms(q);
+  const threadFilter = buildThreadFilter(req);
+  const postFilter = await buildPostFilter(req);
+
+  const threadMatches = await Thread.find(
+    { $text: { $search: q }, ...threadFilter, ...postFilter },
+    { score: { $meta: "textScore" } }
+  )
+    .sort({ score: { $meta: "textScore" } })
+    .limit(MAX_CANDIDATES)
+    .lean();
+
+  const results = new Map(
+    threadMatches.map(({ score, ...thread }) => [
+      thread._id.toString(),
+      { thread, score, comments: [] },
+    ])
+  );
+
+  if (includeComments) {
+    const commentFilter = {
+      $text: { $search: q },
+      deletedAt: null,
+      ...hiddenVisibility(req.user),
+      ...postFilter,
+    };
+
+    const commentMatches = await Comment.find(commentFilter, {
+      score: { $meta: "textScore" },
+    })
+      .sort({ score: { $meta: "textScore" } })
+      .limit(MAX_CANDIDATES)
+      .lean();
+
+    // Threads reached only through their comments still have to pass the
+    // thread filters, but not the author and date ones
+    const missing = [
+      ...new Set(
+        commentMatches
+          .map((comment) => comment.thread.toString())
+          .filter((id) => !results.has(id))
+      ),
+    ];
+    if (missing.length > 0) {
+      const threads = await Thread.find({
+        _id: { $in: missing },
+        ...threadFilter,
+      }).lean();
+      threads.forEach((thread) =>
+        results.set(thread._id.toString(), { thread, score: 0, comments: [] })
+      );
+    }
+
+    commentMatches.forEach((comment) => {
+      const entry = results.get(comment.thread.toString());
+      if (!entry) return;
+      entry.comments.push(comment);
+      entry.score = Math.max(entry.score, comment.score);
+    });
+  }
+
+  const ranked = [...results.values()].sort((a, b) => b.score - a.score);
+  const pageItems = ranked.slice((page - 1) * limit, page * limit);
+
+  await Thread.populate(
+    pageItems.map((entry) => entry.thread),
+    { path: "author", select: "username" }
+  );
+  await Comment.populate(
+    pageItems.flatMap((entry) => entry.comments),
+    { path: "author", select: "username avatar" }
+  );
+
+  const viewerId = req.user && req.user.userId;
+  const data = pageItems.map(({ thread, score, comments }) => ({
+    thread: summarizeReactions(thread, viewerId),
+    score,
+    snippet: {
+      title: buildSnippet(thread.title, terms),
+      content: buildSnippet(thread.content, terms),
+    },
+    comments: comments.map(({ score: commentScore, ...comment }) => ({
+      ...summarizeReactions(comment, viewerId),
+      score: commentScore,
+      snippet: buildSnippet(comment.content, terms),
+    })),
+  }));
+
+  res.json({ success: true, data, page, total: ranked.length });
+});
+
+export default router;
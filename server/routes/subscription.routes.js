@@ -0,0 +1,102 @@
+import express from "express";
+import mongoose from "mongoose";
+import Subscription from "../models/subscription.model.js";
+import Thread from "../models/thread.model.js";
+import auth from "../middleware/auth.js";
+import { threadVisibility } from "../utils/visibility.js";
+import { badRequest, notFound } from "../utils/errors.js";
+import { validate } from "../utils/validation.js";
+import { subscriptionSchema } from "../validators/subscription.validator.js";
+
+// The current user's watched and muted threads and tags, mounted at
+// /me/subscriptions. See utils/subscriptions.js for what each level does.
+const router = express.Router();
+
+router.use(auth);
+
+const MAX_TAG_LENGTH = 30;
+
+const parseTag = (value) => {
+  const tag = value.trim();
+  if (!tag || tag.length > MAX_TAG_LENGTH) throw badRequest("Invalid tag");
+  return tag;
+};
+
+const findThread = async (req) => {
+  const { threadId } = req.params;
+  const thread = mongoose.isValidObjectId(threadId)
+    ? await Thread.findOne({ _id: threadId, ...threadVisibility(req.user) })
+    : null;
+  if (!thread) throw notFound("Thread not found");
+  return thread;
+};
+
+const setLevel = (user, target, level) =>
+  Subscription.findOneAndUpdate(
+    { user, thread: null, tag: null, ...target },
+    { $set: { level } },
+    { upsert: true, new: true, runValidators: true }
+  );
+
+router.get("/", async (req, res) => {
+  const subscriptions = await Subscription.find({ user: req.user.userId })
+    .sort({ createdAt: -1 })
+    .populate({
+      path: "thread",
+      select: "title",
+      match: threadVisibility(req.user),
+    })
+    .lean();
+
+  res.json({
+    success: true,
+    data: {
+      threads: subscriptions
+        .filter(({ thread }) => thread)
+        .map(({ thread, level }) => ({ thread, level })),
+      tags: subscriptions
+        .filter(({ tag }) => tag)
+        .map(({ tag, level }) => ({ tag, level })),
+    },
+  });
+});
+
+router.put(
+  "/threads/:threadId",
+  validate(subscriptionSchema),
+  async (req, res) => {
+    const thread = await findThread(req);
+    const subscription = await setLevel(
+      req.user.userId,
+      { thread: thread._id },
+      req.body.level
+    );
+    res.json({ success: true, data: subscription });
+  }
+);
+
+router.delete("/threads/:threadId", async (req, res) => {
+  const { threadId } = req.params;
+  if (!mongoose.isValidObjectId(threadId)) throw notFound("Thread not found");
+  await Subscription.deleteOne({ user: req.user.userId, thread: threadId });
+  res.json({ success: true, message: "Subscription removed" });
+});
+
+router.put("/tags/:tag", validate(subscriptionSchema), async (req, res) => {
+  const subscription = await setLevel(
+    req.user.userId,
+    { tag: parseTag(req.params.tag) },
+    req.body.level
+  );
+  res.json({ success: true, data: subscription });
+});
+
+router.delete("/tags/:tag", async (req, res) => {
+  await Subscription.deleteOne({
+    user: req.user.userId,
+    tag: parseTag(req.params.tag),
+  });
+  res.json({ success: true, message: "Subscription removed" });
+});
+
+export default router;
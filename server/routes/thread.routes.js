@@ -0,0 +1,461 @@
+import express from "express";
+import mongoose from "mongoose";
+import Thread from "../models/thread.model.js";
+import Comment from "../models/comment.model.js";
+import Revision from "../models/revision.model.js";
+import Report from "../models/report.model.js";
+import Notification from "../models/notification.model.js";
+import ReadState from "../models/readState.model.js";
+import Bookmark from "../models/bookmark.model.js";
+import Subscription from "../models/subscription.model.js";
+import PollVote from "../models/pollVote.model.js";
+import auth, { optionalAuth } from "../middleware/auth.js";
+import authorize from "../middleware/authorize.js";
+import registerReactionRoutes from "./reactions.js";
+import registerPollRoutes from "./polls.js";
+import registerRevisionRoutes from "./revisions.js";
+import { summarizeReactions } from "../utils/reactions.js";
+import { can, isOwner } from "../utils/permissions.js";
+import { recordModeration } from "../utils/moderation.js";
+import { notifyMentions, notifyNewThread } from "../utils/notifications.js";
+import {
+  readSummaries,
+  readSummary,
+  markRead,
+  clearReadState,
+} from "../utils/readState.js";
+import { threadSubscription } from "../utils/subscriptions.js";
+import { buildPoll, pollSummaries, pollSummary } from "../utils/polls.js";
+import { setAcceptedAnswer } from "../utils/answers.js";
+import { snapshot, recordRevision } from "../utils/revisions.js";
+import {
+  checkBadges,
+  reputationForModeration,
+  revokeReputationFor,
+} from "../utils/reputation.js";
+import { postingLimits } from "../utils/rateLimit.js";
+import {
+  ATTACHMENT_FIELDS,
+  checkAttachments,
+  syncAttachments,
+} from "../utils/attachments.js";
+import {
+  assertNotDuplicate,
+  spamSuspicion,
+  holdForReview,
+} from "../utils/spam.js";
+import { categoryOfThread, categoryRules } from "../utils/categories.js";
+import { threadVisibility } from "../utils/visibility.js";
+import {
+  publish,
+  publishThread,
+  threadChannel,
+  parseUpdatedSince,
+} from "../utils/realtime.js";
+import { badRequest, forbidden, notFound } from "../utils/errors.js";
+import { validate } from "../utils/validation.js";
+import {
+  createThreadSchema,
+  updateThreadSchema,
+  readThreadSchema,
+  acceptAnswerSchema,
+} from "../validators/thread.validator.js";
+import {
+  parseLimit,
+  parseCursor,
+  cursorMatch,
+  buildPage,
+} from "../utils/pagination.js";
+
+const router = express.Router();
+
+// Sort modes exposed through ?sort=, mapped to the field the list is ordered by
+const SORT_FIELDS = {
+  newest: "createdAt",
+  most_liked: "likeCount",
+  most_viewed: "views",
+  most_active: "lastActivityAt",
+};
+
+// Q&A filters exposed through ?status=
+const STATUS_FILTERS = {
+  questions: { isQuestion: true },
+  unanswered: { isQuestion: true, acceptedAnswer: null },
+  solved: { isQuestion: true, acceptedAnswer: { $ne: null } },
+};
+
+const parseTags = (value) => {
+  if (!value) return [];
+  const list = Array.isArray(value) ? value : String(value).split(",");
+  return list.map((tag) => tag.trim()).filter(Boolean);
+};
+
+const viewerId = (req) => req.user && req.user.userId;
+
+const THREAD_POPULATE = [
+  { path: "author", select: "username" },
+  { path: "category", select: "name slug" },
+  { path: "attachments", select: ATTACHMENT_FIELDS },
+];
+
+const findThread = async (id) => {
+  const thread = mongoose.isValidObjectId(id)
+    ? await Thread.findById(id)
+    : null;
+  if (!thread) throw notFound("Thread not found");
+  return thread;
+};
+
+// List threads. Earlier middleware may narrow the list by setting
+// res.locals.threadFilter, as the per-category listing does.
+export const listThreads = async (req, res) => {
+  const sort = req.query.sort || "newest";
+  const field = SORT_FIELDS[sort];
+  if (!field) {
+    throw badRequest(
+      `Unknown sort "${sort}". Use one of: ${Object.keys(SORT_FIELDS).join(
+        ", "
+      )}`
+    );
+  }
+
+  const limit = parseLimit(req.query.limit);
+  const cursor = parseCursor(req);
+
+  const { status } = req.query;
+  if (status && !STATUS_FILTERS[status]) {
+    throw badRequest(
+      `Unknown status "${status}". Use one of: ${Object.keys(
+        STATUS_FILTERS
+      ).join(", ")}`
+    );
+  }
+
+  const match = {
+    ...threadVisibility(req.user),
+    ...res.locals.threadFilter,
+    ...STATUS_FILTERS[status],
+  };
+  const tags = parseTags(req.query.tags);
+  if (tags.length > 0) {
+    match.tags = req.query.tagMode === "all" ? { $all: tags } : { $in: tags };
+  }
+  // Polling fallback for clients without a live stream
+  const updatedSince = parseUpdatedSince(req.query.updatedSince);
+  if (updatedSince) match.updatedAt = { $gt: updatedSince };
+  const serverTime = new Date();
+
+  const pipeline = [
+    { $match: match },
+    {
+      $addFields: {
+        likeCount: { $size: { $ifNull: ["$likes", []] } },
+        lastActivityAt: { $ifNull: ["$lastActivityAt", "$createdAt"] },
+      },
+    },
+  ];
+  if (cursor) pipeline.push({ $match: cursorMatch(field, cursor) });
+  pipeline.push({ $sort: { [field]: -1, _id: -1 } }, { $limit: limit + 1 });
+
+  const results = await Thread.aggregate(pipeline);
+  const { items, nextCursor } = buildPage(results, limit, field);
+  await Thread.populate(items, [
+    { path: "author", select: "username" },
+    { path: "category", select: "name slug" },
+  ]);
+  const reads = await readSummaries(items, req.user);
+  const polls = await pollSummaries(items, viewerId(req));
+
+  res.json({
+    success: true,
+    data: items.map((item, index) => ({
+      ...summarizeReactions(item, viewerId(req)),
+      poll: polls[index],
+      read: reads[index],
+    })),
+    nextCursor,
+    serverTime,
+  });
+};
+
+router.get("/", optionalAuth, listThreads);
+
+// Category moderators count as moderators for the thread's category
+const inThreadCategory = categoryOfThread((req) => req.params.id);
+
+// Create a thread. Threads that look like spam are held for review, see
+// utils/spam.js.
+router.post(
+  "/",
+  auth,
+  ...postingLimits("thread"),
+  validate(createThreadSchema),
+  authorize({
+    permissions: ["canPost"],
+    category: (req) => req.body.category,
+  }),
+  async (req, res) => {
+    if (!req.category) throw notFound("Category not found");
+
+    await assertNotDuplicate({
+      Model: Thread,
+      author: req.user.userId,
+      content: req.body.content,
+    });
+    const suspicion = await spamSuspicion(req.user, req.body.content);
+
+    const attachments = req.body.attachments
+      ? await checkAttachments(req.body.attachments, req.user)
+      : [];
+    const poll = req.body.poll && buildPoll(req.body.poll);
+
+    const { membersOnly } = await categoryRules(req.category);
+    const thread = await Thread.create({
+      ...req.body,
+      poll,
+      attachments,
+      membersOnly,
+      isHidden: Boolean(suspicion),
+      heldForReview: Boolean(suspicion),
+      author: req.user.userId,
+    });
+    await syncAttachments(thread, "Thread");
+    await thread.populate(THREAD_POPULATE);
+    publishThread("thread.created", thread);
+    if (suspicion) {
+      await holdForReview({ doc: thread, targetType: "Thread", suspicion });
+    } else {
+      await notifyNewThread({ thread, actor: req.user.userId });
+    }
+    await checkBadges(req.user.userId);
+    res.status(201).json({
+      success: true,
+      ...(suspicion && {
+        message: "Your thread will appear once a moderator has reviewed it.",
+      }),
+      data: {
+        ...summarizeReactions(thread, req.user.userId),
+        poll: await pollSummary(thread, req.user.userId),
+      },
+    });
+  }
+);
+
+router.get("/:id", optionalAuth, async (req, res) => {
+  const thread = mongoose.isValidObjectId(req.params.id)
+    ? await Thread.findOneAndUpdate(
+        { _id: req.params.id, ...threadVisibility(req.user) },
+        { $inc: { views: 1 } },
+        { new: true, timestamps: false }
+      ).populate(THREAD_POPULATE)
+    : null;
+
+  if (!thread) throw notFound("Thread not found");
+
+  res.json({
+    success: true,
+    data: {
+      ...summarizeReactions(thread, viewerId(req)),
+      poll: await pollSummary(thread, viewerId(req)),
+      read: await readSummary(thread, req.user),
+      subscription: req.user
+        ? await threadSubscription(req.user.userId, thread._id)
+        : null,
+    },
+  });
+});
+
+// Record that the viewer read the thread up to `commentId`, or all of it
+router.put("/:id/read", auth, validate(readThreadSchema), async (req, res) => {
+  const thread = mongoose.isValidObjectId(req.params.id)
+    ? await Thread.findOne({
+        _id: req.params.id,
+        ...threadVisibility(req.user),
+      })
+    : null;
+  if (!thread) throw notFound("Thread not found");
+
+  let comment;
+  if (req.body.commentId) {
+    comment = await Comment.findOne({
+      _id: req.body.commentId,
+      thread: thread._id,
+    }).select("createdAt");
+    if (!comment) throw notFound("Comment not found");
+  }
+
+  await markRead(thread, req.user, comment);
+  res.json({ success: true, data: await readSummary(thread, req.user) });
+});
+
+const findQuestion = async (req) => {
+  const thread = await findThread(req.params.id);
+  if (!can(req.user, "thread:acceptAnswer", thread)) {
+    throw forbidden("Only the author or a moderator can accept an answer");
+  }
+  if (!thread.isQuestion) {
+    throw badRequest("Only questions can have an accepted answer");
+  }
+  return thread;
+};
+
+// Accept a comment as the answer to a question, replacing any earlier one
+router.put(
+  "/:id/accepted-answer",
+  auth,
+  validate(acceptAnswerSchema),
+  authorize({ category: inThreadCategory }),
+  async (req, res) => {
+    const thread = await findQuestion(req);
+    const comment = await Comment.findOne({
+      _id: req.body.commentId,
+      thread: thread._id,
+      deletedAt: null,
+      isHidden: { $ne: true },
+    });
+    if (!comment) throw notFound("Comment not found");
+
+    await setAcceptedAnswer(thread, comment, req.user.userId);
+    res.json({
+      success: true,
+      data: { acceptedAnswer: thread.acceptedAnswer },
+    });
+  }
+);
+
+router.delete(
+  "/:id/accepted-answer",
+  auth,
+  authorize({ category: inThreadCategory }),
+  async (req, res) => {
+    const thread = await findQuestion(req);
+    await setAcceptedAnswer(thread, null, req.user.userId);
+    res.json({ success: true, data: { acceptedAnswer: null } });
+  }
+);
+
+// Mark the thread unread again
+router.delete("/:id/read", auth, async (req, res) => {
+  const thread = await findThread(req.params.id);
+  await clearReadState(thread, req.user);
+  res.json({ success: true, data: null });
+});
+
+router.put(
+  "/:id",
+  auth,
+  validate(updateThreadSchema, { partial: true }),
+  authorize({ permissions: ["canPost"], category: inThreadCategory }),
+  async (req, res) => {
+    const thread = await findThread(req.params.id);
+
+    if (!can(req.user, "thread:update", thread)) {
+      throw forbidden("Not authorized to update this thread");
+    }
+
+    if (thread.isLocked && !can(req.user, "thread:editLocked")) {
+      throw forbidden("Thread is locked");
+    }
+
+    const { reason, ...updates } = req.body;
+    if (updates.attachments) {
+      updates.attachments = await checkAttachments(
+        updates.attachments,
+        req.user,
+        thread
+      );
+    }
+    const before = snapshot(thread, "Thread");
+    const previousMentions = [...thread.mentions];
+    thread.set(updates);
+    if (thread.isModified("title") || thread.isModified("content")) {
+      thread.isEdited = true;
+    }
+    await thread.save();
+    if (updates.attachments) await syncAttachments(thread, "Thread");
+    // A thread that is no longer a question has no answer either
+    if (!thread.isQuestion && thread.acceptedAnswer) {
+      await setAcceptedAnswer(thread, null, req.user.userId);
+    }
+    await recordRevision({
+      doc: thread,
+      targetType: "Thread",
+      before,
+      editor: req.user.userId,
+      reason,
+    });
+    await thread.populate(THREAD_POPULATE);
+    publishThread("thread.updated", thread);
+    await notifyMentions({
+      mentions: thread.mentions,
+      previousMentions,
+      actor: req.user.userId,
+      thread: thread._id,
+    });
+
+    res.json({
+      success: true,
+      data: {
+        ...summarizeReactions(thread, viewerId(req)),
+        poll: await pollSummary(thread, viewerId(req)),
+      },
+    });
+  }
+);
+
+router.delete(
+  "/:id",
+  auth,
+  authorize({ category: inThreadCategory }),
+  async (req, res) => {
+    const thread = await findThread(req.params.id);
+
+    if (!can(req.user, "thread:delete", thread)) {
+      throw forbidden("Not authorized to delete this thread");
+    }
+
+    // The edit history of the thread and of its comments goes with them, as
+    // does the reputation their likes and accepted answer earned
+    const commentIds = await Comment.distinct("_id", { thread: thread._id });
+    const targets = [thread._id, ...commentIds];
+    await Revision.deleteMany({ target: { $in: targets } });
+    await revokeReputationFor(targets);
+    await Comment.deleteMany({ thread: thread._id });
+    await thread.deleteOne();
+    await Promise.all(
+      [Report, Notification, ReadState, Bookmark, Subscription, PollVote].map(
+        (Model) => Model.deleteMany({ thread: thread._id })
+      )
+    );
+    publish(threadChannel(thread._id), "thread.deleted", { _id: thread._id });
+
+    if (!isOwner(req.user, thread)) {
+      await recordModeration({
+        moderator: req.user.userId,
+        action: "delete",
+        targetType: "Thread",
+        target: thread._id,
+        note: thread.title,
+      });
+      await reputationForModeration({
+        doc: thread,
+        targetType: "Thread",
+        moderator: req.user.userId,
+        penalized: true,
+      });
+    }
+
+    res.json({ success: true, message: "Thread deleted successfully" });
+  }
+);
+
+registerReactionRoutes(router, Thread, "Thread");
+registerPollRoutes(router);
+registerRevisionRoutes(
+  router,
+  "Thread",
+  (req, id) => Thread.findOne({ _id: id, ...threadVisibility(req.user) }),
+  inThreadCategory
+);
+
+export default router;
@@ -0,0 +1,195 @@
+import express from "express";
+import path from "path";
+import User from "../models/user.model.js";
+import Comment from "../models/comment.model.js";
+import ReputationEvent from "../models/reputationEvent.model.js";
+import auth, { optionalAuth } from "../middleware/auth.js";
+import { listThreads } from "./thread.routes.js";
+import { summarizeReactions } from "../utils/reactions.js";
+import { sendStoredFile } from "../utils/storage.js";
+import {
+  PROFILE_FIELDS,
+  commentsByMatch,
+  joinVisibleThread,
+  presentProfile,
+} from "../utils/profiles.js";
+import { badRequest, notFound } from "../utils/errors.js";
+import {
+  parseLimit,
+  parseCursor,
+  cursorMatch,
+  buildPage,
+} from "../utils/pagination.js";
+
+const router = express.Router();
+
+const DEFAULT_SUGGESTIONS = 8;
+const MAX_SUGGESTIONS = 20;
+
+// Username suggestions for @mentions in the composer: users whose name
+// starts with ?q= (ignoring case and a leading @), exact matches first, then
+// the most recently active.
+router.get("/autocomplete", auth, async (req, res) => {
+  const q = String(req.query.q || "")
+    .trim()
+    .replace(/^@/, "");
+  if (!/^[A-Za-z0-9_]{1,30}$/.test(q)) {
+    throw badRequest("q must be the start of a username");
+  }
+  const limit = Math.min(
+    parseLimit(req.query.limit, DEFAULT_SUGGESTIONS),
+    MAX_SUGGESTIONS
+  );
+
+  const users = await User.find({
+    // q holds only name characters, so it is safe in a pattern
+    username: { $regex: `^${q}`, $options: "i" },
+    role: { $ne: "guest" },
+  })
+    .select("username avatar")
+    .sort({ lastActive: -1 })
+    .limit(limit)
+    .lean();
+
+  const exact = q.toLowerCase();
+  users.sort(
+    (a, b) =>
+      (b.username.toLowerCase() === exact) -
+      (a.username.toLowerCase() === exact)
+  );
+
+  res.json({ success: true, data: users });
+});
+
+const LEADERBOARD_PERIODS = {
+  week: 7 * 24 * 60 * 60 * 1000,
+  month: 30 * 24 * 60 * 60 * 1000,
+  all: null,
+};
+
+// Members with the most reputation, overall or gained over the last ?period=
+// (week or month). Guest accounts are left out.
+router.get("/leaderboard", async (req, res) => {
+  const period = req.query.period || "all";
+  if (!(period in LEADERBOARD_PERIODS)) {
+    throw badRequest(
+      `Unknown period "${period}". Use one of: ${Object.keys(
+        LEADERBOARD_PERIODS
+      ).join(", ")}`
+    );
+  }
+  const limit = parseLimit(req.query.limit);
+  const fields = "username displayName avatar reputation";
+
+  if (!LEADERBOARD_PERIODS[period]) {
+    const users = await User.find({
+      reputation: { $gt: 0 },
+      role: { $ne: "guest" },
+    })
+      .select(fields)
+      .sort({ reputation: -1, _id: 1 })
+      .limit(limit)
+      .lean();
+    return res.json({
+      success: true,
+      data: users.map((user, index) => ({
+        rank: index + 1,
+        user,
+        points: user.reputation,
+      })),
+    });
+  }
+
+  const since = new Date(Date.now() - LEADERBOARD_PERIODS[period]);
+  const totals = await ReputationEvent.aggregate([
+    { $match: { createdAt: { $gte: since } } },
+    { $group: { _id: "$user", points: { $sum: "$points" } } },
+    { $match: { points: { $gt: 0 } } },
+    { $sort: { points: -1, _id: 1 } },
+    { $limit: limit },
+  ]);
+  const users = await User.find({
+    _id: { $in: totals.map(({ _id }) => _id) },
+    role: { $ne: "guest" },
+  })
+    .select(fields)
+    .lean();
+  const byId = new Map(users.map((user) => [user._id.toString(), user]));
+
+  res.json({
+    success: true,
+    data: totals
+      .filter(({ _id }) => byId.has(_id.toString()))
+      .map(({ _id, points }, index) => ({
+        rank: index + 1,
+        user: byId.get(_id.toString()),
+        points,
+      })),
+  });
+});
+
+const findUser = async (username, fields = PROFILE_FIELDS) => {
+  const user = await User.findOne({ username }).select(fields);
+  if (!user) throw notFound("User not found");
+  return user;
+};
+
+router.get("/:username", optionalAuth, async (req, res) => {
+  const user = await findUser(req.params.username);
+  res.json({ success: true, data: await presentProfile(user, req.user) });
+});
+
+// The user's threads, with the same sorting and pagination as GET /threads
+router.get(
+  "/:username/threads",
+  optionalAuth,
+  async (req, res, next) => {
+    const user = await findUser(req.params.username, "_id");
+    res.locals.threadFilter = { author: user._id };
+    next();
+  },
+  listThreads
+);
+
+// The user's comments, newest first, each with the id and title of its
+// thread. Comments in threads the viewer cannot see are dropped after
+// paging, so a page can have fewer than `limit` comments.
+router.get("/:username/comments", optionalAuth, async (req, res) => {
+  const user = await findUser(req.params.username, "_id");
+  const limit = parseLimit(req.query.limit);
+  const cursor = parseCursor(req);
+
+  const pipeline = [{ $match: commentsByMatch(user._id, req.user) }];
+  if (cursor) pipeline.push({ $match: cursorMatch("createdAt", cursor) });
+  pipeline.push(
+    { $sort: { createdAt: -1, _id: -1 } },
+    { $limit: limit + 1 },
+    ...joinVisibleThread(req.user, { keepHidden: true })
+  );
+
+  const comments = await Comment.aggregate(pipeline);
+  const { items, nextCursor } = buildPage(comments, limit, "createdAt");
+  res.json({
+    success: true,
+    data: items
+      .filter((comment) => comment.thread)
+      .map((comment) =>
+        summarizeReactions(comment, req.user && req.user.userId)
+      ),
+    nextCursor,
+  });
+});
+
+// Avatars are public. Each upload gets a new URL, so they can be cached.
+router.get("/:username/avatar", async (req, res) => {
+  const user = await findUser(req.params.username, "avatarKey");
+  if (!user.avatarKey) throw notFound("Avatar not found");
+
+  res.type(path.extname(user.avatarKey));
+  const sent = await sendStoredFile(res, user.avatarKey, {
+    "Cache-Control": "public, max-age=86400",
+  });
+  if (!sent) throw notFound("Avatar not found");
+});
+
+export default router;
@@ -1,51 +1,144 @@
+import "dotenv/config";
 import express from "express";
-import dotenv from "dotenv";
 import connectDB from "./database/db.js";
 import { Todo } from "./models/todo.model.js";
-import User from "./models/user.model.js";
+import User, { PERMISSION_FIELDS } from "./models/user.model.js";
 import bcrypt from "bcryptjs";
-import jwt from "jsonwebtoken";
 import cors from "cors";
 import auth from "./middleware/auth.js";
 import authorize from "./middleware/authorize.js";
-import nodemailer from "nodemailer";
+import errorHandler, { notFoundHandler } from "./middleware/errorHandler.js";
+import {
+  ApiError,
+  badRequest,
+  forbidden,
+  notFound,
+  unauthorized,
+  validationError,
+} from "./utils/errors.js";
+import { validate } from "./utils/validation.js";
+import {
+  signupSchema,
+  loginSchema,
+  RESERVED_USERNAMES,
+  forgotPasswordSchema,
+  resetPasswordSchema,
+} from "./validators/auth.validator.js";
+import { createThreadCommentSchema } from "./validators/comment.validator.js";
+import { moderateThreadSchema } from "./validators/thread.validator.js";
+import {
+  roleSchema,
+  permissionOverridesSchema,
+} from "./validators/admin.validator.js";
+import { createTodoSchema } from "./validators/todo.validator.js";
+import { previewSchema } from "./validators/preview.validator.js";
+import { createSession, revokeAllSessions } from "./utils/sessions.js";
+import { sendMail, frontendUrl } from "./utils/mailer.js";
 import crypto from "crypto";
 import Thread from "./models/thread.model.js";
-import Comment from "./models/comment.model.js";
-
-dotenv.config();
+import threadRoutes, { listThreads } from "./routes/thread.routes.js";
+import commentRoutes, { createComment } from "./routes/comment.routes.js";
+import searchRoutes from "./routes/search.routes.js";
+import authRoutes from "./routes/auth.routes.js";
+import meRoutes from "./routes/me.routes.js";
+import bookmarkRoutes from "./routes/bookmark.routes.js";
+import subscriptionRoutes from "./routes/subscription.routes.js";
+import reportRoutes from "./routes/report.routes.js";
+import moderationRoutes, {
+  listModerationLog,
+} from "./routes/moderation.routes.js";
+import restrictionRoutes from "./routes/restriction.routes.js";
+import { diffFields, recordModeration } from "./utils/moderation.js";
+import { accessRestriction, restrictionError } from "./utils/restrictions.js";
+import { publishThread } from "./utils/realtime.js";
+import liveRoutes from "./routes/live.routes.js";
+import notificationRoutes from "./routes/notification.routes.js";
+import userRoutes from "./routes/user.routes.js";
+import categoryRoutes from "./routes/category.routes.js";
+import conversationRoutes from "./routes/conversation.routes.js";
+import attachmentRoutes from "./routes/attachment.routes.js";
+import { startDigestScheduler } from "./utils/digest.js";
+import { startTrashPurgeScheduler } from "./utils/trash.js";
+import { startAttachmentCleanupScheduler } from "./utils/attachments.js";
+import {
+  loadCategory,
+  categoryRules,
+  categoryPermissions,
+  categoryOfThread,
+  ensureDefaultCategory,
+} from "./utils/categories.js";
+import { renderMarkdown } from "./utils/markdown.js";
+import { resolveMentions } from "./utils/mentions.js";
+import { snapshot, recordRevision } from "./utils/revisions.js";
+import {
+  rateLimit,
+  postingLimits,
+  byIp,
+  byUser,
+  byBodyField,
+} from "./utils/rateLimit.js";
+import {
+  assertNotLocked,
+  recordFailedLogin,
+  clearFailedLogins,
+} from "./utils/lockout.js";
 
 const app = express();
 const port = process.env.PORT || 4000;
 
-console.log("JWT_SECRET:", process.env.JWT_SECRET);
+// Behind a reverse proxy, TRUST_PROXY (a hop count or "true") makes req.ip
+// the client's address, which sessions and rate limits rely on
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set(
+    "trust proxy",
+    Number.isInteger(hops) ? hops : process.env.TRUST_PROXY === "true"
+  );
+}
 
 // Middleware
 app.use(express.json());
 app.use(cors());
 
-// Configure Nodemailer (ensure these env variables are set in your .env file)
-const transporter = nodemailer.createTransport({
-  service: process.env.EMAIL_SERVICE, // e.g., 'Gmail'
-  auth: {
-    user: process.env.EMAIL_USERNAME,
-    pass: process.env.EMAIL_PASSWORD,
-  },
-});
+const VERIFICATION_TOKEN_TTL_HOURS = 24;
+
+// Store a new email verification token on the user and mail them the link
+const sendVerificationEmail = async (user) => {
+  const verificationToken = crypto.randomBytes(32).toString("hex");
+  user.emailVerificationToken = crypto
+    .createHash("sha256")
+    .update(verificationToken)
+    .digest("hex");
+  user.emailVerificationExpires =
+    Date.now() + VERIFICATION_TOKEN_TTL_HOURS * 3600000;
+  await user.save();
+
+  await sendMail(user.email, "verify-email", {
+    username: user.username,
+    verifyURL: frontendUrl(`/verify-email/${verificationToken}`),
+    expiresInHours: VERIFICATION_TOKEN_TTL_HOURS,
+  });
+};
 
 // Connect to database and start server
 const startServer = async () => {
   try {
     await connectDB();
+    await ensureDefaultCategory();
 
     // Example of a route accessible only by admins
-    app.get("/admin-dashboard", auth, authorize(["admin"]), (req, res) => {
-      res.send({
-        success: true,
-        message: "Welcome to the Admin Dashboard!",
-        user: req.user,
-      });
-    });
+    app.get(
+      "/admin-dashboard",
+      auth,
+      authorize({ roles: ["admin"] }),
+      (req, res) => {
+        res.send({
+          success: true,
+          message: "Welcome to the Admin Dashboard!",
+          user: req.user,
+        });
+      }
+    );
 
     // Example of a protected route (requires authentication)
     app.get("/protected-route", auth, (req, res) => {
@@ -57,112 +150,130 @@ const startServer = async () => {
     });
 
     app.get("/todos", async (req, res) => {
-      try {
-        const result = await Todo.find();
-        res.send({
-          success: true,
-          message: "Todos fetched successfully",
-          data: result,
-        });
-      } catch (error) {
-        res.status(500).send({
-          success: false,
-          message: "Error fetching todos",
-          error: error.message,
-        });
-      }
+      const result = await Todo.find();
+      res.send({
+        success: true,
+        message: "Todos fetched successfully",
+        data: result,
+      });
     });
 
-    app.post("/signup", async (req, res) => {
-      try {
+    app.post(
+      "/signup",
+      rateLimit("signup", byIp),
+      validate(signupSchema),
+      async (req, res) => {
         const { username, email, password } = req.body;
+        if (RESERVED_USERNAMES.includes(username.toLowerCase())) {
+          throw validationError({ username: "username is reserved" });
+        }
 
         // Hash password
         const hashedPassword = await bcrypt.hash(password, 10);
 
-        // Create new user with default role
+        // Create new user with default role; read-only until verified
         const newUser = await User.create({
           username,
           email,
           password: hashedPassword,
           role: "community_member", // Default role
+          emailVerified: false,
         });
 
+        // The account exists either way; a failed mail can be resent
+        try {
+          await sendVerificationEmail(newUser);
+        } catch (error) {
+          console.error("Verification email error:", error);
+        }
+
         res.status(201).send({
           success: true,
-          message: "User registered successfully",
+          message:
+            "User registered successfully. Check your email to verify your account.",
           data: newUser,
         });
-      } catch (error) {
-        res.status(500).send({
-          success: false,
-          message: "Error registering user",
-          error: error.message,
-        });
       }
-    });
+    );
 
-    app.post("/login", async (req, res) => {
-      try {
+    app.post(
+      "/login",
+      rateLimit("login", byIp),
+      validate(loginSchema),
+      async (req, res) => {
         const { email, password } = req.body;
 
         // Find user by email
         const user = await User.findOne({ email });
-        if (!user) {
-          return res.status(400).send({
-            success: false,
-            message: "Invalid credentials",
-          });
-        }
+
+        // Locked accounts are refused before the password is even checked.
+        // Unknown emails lock too, so this does not reveal which exist.
+        assertNotLocked(user, email);
 
         // Compare passwords
-        const isMatch = await bcrypt.compare(password, user.password);
+        const isMatch =
+          user &&
+          user.password &&
+          (await bcrypt.compare(password, user.password));
         if (!isMatch) {
-          return res.status(400).send({
-            success: false,
-            message: "Invalid credentials",
-          });
+          await recordFailedLogin(user, email);
+          throw new ApiError(400, "INVALID_CREDENTIALS", "Invalid credentials");
         }
+        await clearFailedLogins(user);
 
-        // Generate JWT token
-        const token = jwt.sign(
-          { userId: user._id, role: user.role },
-          process.env.JWT_SECRET,
-          {
-            expiresIn: "1h",
-          }
-        );
+        // Banned and suspended accounts are told why instead of signed in
+        const restriction = accessRestriction(user);
+        if (restriction) throw restrictionError(restriction);
+
+        // Start a session: short-lived access token plus a refresh token
+        const { token, refreshToken } = await createSession(user, req);
 
         res.status(200).send({
           success: true,
           message: "Logged in successfully",
           token,
+          refreshToken,
           role: user.role,
+          permissions: user.permissions,
+          emailVerified: user.emailVerified !== false,
           username: user.username,
           email: user.email,
         });
-      } catch (error) {
-        console.error("Login error:", error);
-        res.status(500).send({
-          success: false,
-          message: "Error logging in",
-          error: error.message,
-        });
       }
-    });
+    );
+
+    // Token refresh, logout and the current user's sessions, profile,
+    // bookmarks and subscriptions
+    app.use("/auth", authRoutes);
+    app.use("/me/bookmarks", bookmarkRoutes);
+    app.use("/me/subscriptions", subscriptionRoutes);
+    app.use("/me", meRoutes);
+
+    // In-app notifications and notification preferences
+    app.use("/notifications", notificationRoutes);
+
+    // User lookups, e.g. @mention suggestions
+    app.use("/users", userRoutes);
 
     // Password reset request route
-    app.post("/forgot-password", async (req, res) => {
-      try {
+    app.post(
+      "/forgot-password",
+      rateLimit("passwordReset", byIp),
+      validate(forgotPasswordSchema),
+      // Also per address, so one mailbox cannot be flooded from many IPs
+      rateLimit("passwordResetEmail", byBodyField("email")),
+      async (req, res) => {
         const { email } = req.body;
         const user = await User.findOne({ email });
 
-        if (!user) {
-          return res.status(404).send({
-            success: false,
-            message: "User with that email does not exist.",
-          });
-        }
+        // Same answer whether or not the email has an account, so the form
+        // does not reveal which emails are registered
+        const response = {
+          success: true,
+          message:
+            "If an account exists for that email, a password reset link has been sent.",
+        };
+        if (!user) return res.status(200).send(response);
 
         // Generate reset token
         const resetToken = crypto.randomBytes(32).toString("hex");
@@ -176,42 +287,70 @@ const startServer = async () => {
         user.passwordResetExpires = passwordResetExpires;
         await user.save();
 
-        // Send email
-        const resetURL = `${req.protocol}://${req.get(
-          "host"
-        )}/reset-password/${resetToken}`;
-
-        const mailOptions = {
-          to: user.email,
-          from: process.env.EMAIL_USERNAME,
-          subject: "Password Reset Request",
-          html: `
-            <p>You are receiving this because you (or someone else) have requested the reset of the password for your account.</p>
-            <p>Please click on the following link, or paste this into your browser to complete the process:</p>
-            <p><a href="${resetURL}">${resetURL}</a></p>
-            <p>If you did not request this, please ignore this email and your password will remain unchanged.</p>
-          `,
-        };
+        // Send email with a link to the frontend's reset page
+        await sendMail(user.email, "password-reset", {
+          username: user.username,
+          resetURL: frontendUrl(`/reset-password/${resetToken}`),
+          expiresInHours: 1,
+        });
+
+        res.status(200).send(response);
+      }
+    );
+
+    // Email verification link target
+    app.get("/verify-email/:token", async (req, res) => {
+      const hashedToken = crypto
+        .createHash("sha256")
+        .update(req.params.token)
+        .digest("hex");
 
-        await transporter.sendMail(mailOptions);
+      const user = await User.findOne({
+        emailVerificationToken: hashedToken,
+        emailVerificationExpires: { $gt: Date.now() },
+      });
+
+      if (!user) {
+        throw badRequest("Verification token is invalid or has expired.");
+      }
+
+      user.emailVerified = true;
+      user.emailVerificationToken = undefined;
+      user.emailVerificationExpires = undefined;
+      await user.save();
+
+      res.status(200).send({
+        success: true,
+        message: "Email verified successfully.",
+      });
+    });
+
+    // Send a new verification link to the signed-in user
+    app.post(
+      "/resend-verification",
+      auth,
+      rateLimit("verificationEmail", byUser),
+      async (req, res) => {
+        const user = await User.findById(req.user.userId);
+
+        if (user.emailVerified !== false) {
+          throw badRequest("Email is already verified.");
+        }
+
+        await sendVerificationEmail(user);
 
         res.status(200).send({
           success: true,
-          message: "Password reset email sent successfully.",
-        });
-      } catch (error) {
-        console.error("Forgot password error:", error);
-        res.status(500).send({
-          success: false,
-          message: "Error sending password reset email.",
-          error: error.message,
+          message: "Verification email sent successfully.",
         });
       }
-    });
+    );
 
     // Reset password route
-    app.put("/reset-password/:token", async (req, res) => {
-      try {
+    app.put(
+      "/reset-password/:token",
+      validate(resetPasswordSchema),
+      async (req, res) => {
         const { token } = req.params;
         const { password } = req.body;
 
@@ -226,130 +365,149 @@ const startServer = async () => {
         });
 
         if (!user) {
-          return res.status(400).send({
-            success: false,
-            message: "Password reset token is invalid or has expired.",
-          });
+          throw badRequest("Password reset token is invalid or has expired.");
         }
 
         // Set new password
         user.password = await bcrypt.hash(password, 10);
         user.passwordResetToken = undefined;
         user.passwordResetExpires = undefined;
+        // A new password also ends any lockout
+        user.failedLogins = 0;
+        user.lockedUntil = undefined;
         await user.save();
 
+        // Anyone holding the old password may have signed in with it
+        await revokeAllSessions(user._id, "password_reset");
+
         res.status(200).send({
           success: true,
           message: "Password has been reset successfully.",
         });
-      } catch (error) {
-        console.error("Reset password error:", error);
-        res.status(500).send({
-          success: false,
-          message: "Error resetting password.",
-          error: error.message,
-        });
       }
-    });
+    );
 
-    app.post("/create-todo", async (req, res) => {
-      const todoDetails = req.body;
-      try {
-        const result = await Todo.create(todoDetails);
-        res.send({
-          success: true,
-          message: "Todo created successfully",
-          data: result,
-        });
-      } catch (error) {
-        res.send({
-          success: false,
-          message: "Error creating todo",
-          data: result,
-        });
-      }
+    app.post("/create-todo", validate(createTodoSchema), async (req, res) => {
+      const result = await Todo.create(req.body);
+      res.send({
+        success: true,
+        message: "Todo created successfully",
+        data: result,
+      });
     });
 
     // Guest routes (no authentication required)
-    app.get("/public/threads", async (req, res) => {
-      try {
-        const threads = await Thread.find({ isPublic: true })
-          .populate("author", "username")
-          .sort({ createdAt: -1 });
-        res.json({ success: true, data: threads });
-      } catch (error) {
-        res.status(500).json({ success: false, message: error.message });
-      }
+    app.get("/public/threads", listThreads);
+
+    // Full-text search over threads and comments
+    app.use("/search", searchRoutes);
+
+    // Server-sent event streams of thread and comment activity
+    app.use("/live", liveRoutes);
+
+    // Render Markdown exactly as it would be published, for the composer
+    app.post("/preview", auth, validate(previewSchema), async (req, res) => {
+      const users = await resolveMentions(req.body.content);
+      res.json({
+        success: true,
+        data: {
+          contentHtml: renderMarkdown(req.body.content, users),
+          mentions: users,
+        },
+      });
     });
 
-    // Community Member routes
-    app.post(
-      "/threads",
-      auth,
-      authorize({ permissions: ["canPost"] }),
-      async (req, res) => {
-        try {
-          const thread = await Thread.create({
-            ...req.body,
-            author: req.user.userId,
-          });
-          res.status(201).json({ success: true, data: thread });
-        } catch (error) {
-          res.status(500).json({ success: false, message: error.message });
-        }
-      }
-    );
+    // Thread read/create/update/delete
+    app.use("/threads", threadRoutes);
 
+    // Community Member routes
     app.post(
       "/threads/:threadId/comments",
       auth,
-      authorize({ permissions: ["canComment"] }),
-      async (req, res) => {
-        try {
-          const comment = await Comment.create({
-            ...req.body,
-            author: req.user.userId,
-            thread: req.params.threadId,
-          });
-          res.status(201).json({ success: true, data: comment });
-        } catch (error) {
-          res.status(500).json({ success: false, message: error.message });
-        }
-      }
+      ...postingLimits("comment"),
+      authorize({
+        permissions: ["canComment"],
+        category: categoryOfThread((req) => req.params.threadId),
+      }),
+      validate(createThreadCommentSchema),
+      createComment
     );
 
+    // Comment trees, replies, edits and deletion
+    app.use("/comments", commentRoutes);
+
+    // Categories, their threads, and their administration
+    app.use("/categories", categoryRoutes);
+
+    // Private conversations between members
+    app.use("/conversations", conversationRoutes);
+
+    // Files attached to threads and comments
+    app.use("/attachments", attachmentRoutes);
+
     // Moderator routes
     app.put(
       "/threads/:threadId/moderate",
       auth,
-      authorize({ permissions: ["canModerate"] }),
+      authorize({
+        permissions: ["canModerate"],
+        category: categoryOfThread((req) => req.params.threadId),
+      }),
+      validate(moderateThreadSchema, { partial: true }),
       async (req, res) => {
-        try {
-          const thread = await Thread.findByIdAndUpdate(
-            req.params.threadId,
-            { $set: req.body },
-            { new: true }
+        const thread = await Thread.findById(req.params.threadId);
+        if (!thread) throw notFound("Thread not found");
+
+        const { reason, ...updates } = req.body;
+        // Moving the thread: it takes on the new category's visibility
+        if (updates.category) {
+          const category = await loadCategory(updates.category);
+          if (!category) throw notFound("Category not found");
+          const rules = await categoryRules(category);
+          // req.user.permissions are those of the current category; the
+          // moderator must also moderate the one the thread moves to
+          const moderator = await User.findById(req.user.userId).select(
+            PERMISSION_FIELDS
           );
-          res.json({ success: true, data: thread });
-        } catch (error) {
-          res.status(500).json({ success: false, message: error.message });
+          if (!moderator) throw unauthorized("User no longer exists");
+          const destination = categoryPermissions(
+            { ...req.user, permissions: moderator.permissions },
+            rules
+          );
+          if (!destination.canModerate) {
+            throw forbidden("You cannot move threads into this category.");
+          }
+          updates.membersOnly = rules.membersOnly;
         }
+        const before = snapshot(thread, "Thread");
+        const changes = diffFields(thread, updates);
+        thread.set(updates);
+        if (thread.isModified("title")) thread.isEdited = true;
+        await thread.save();
+        await recordRevision({
+          doc: thread,
+          targetType: "Thread",
+          before,
+          editor: req.user.userId,
+          reason,
+        });
+        publishThread("thread.updated", thread);
+
+        await recordModeration({
+          moderator: req.user.userId,
+          action: "update",
+          targetType: "Thread",
+          target: thread._id,
+          note: reason,
+          changes,
+        });
+        res.json({ success: true, data: thread });
       }
     );
 
-    app.delete(
-      "/comments/:commentId",
-      auth,
-      authorize({ permissions: ["canModerate"] }),
-      async (req, res) => {
-        try {
-          await Comment.findByIdAndDelete(req.params.commentId);
-          res.json({ success: true, message: "Comment deleted successfully" });
-        } catch (error) {
-          res.status(500).json({ success: false, message: error.message });
-        }
-      }
-    );
+    // Reports from members, and the moderator queue and actions
+    app.use("/reports", reportRoutes);
+    app.use("/mod", moderationRoutes);
 
     // Admin routes
     app.get(
@@ -357,12 +515,8 @@ const startServer = async () => {
       auth,
       authorize({ permissions: ["canManageUsers"] }),
       async (req, res) => {
-        try {
-          const users = await User.find().select("-password");
-          res.json({ success: true, data: users });
-        } catch (error) {
-          res.status(500).json({ success: false, message: error.message });
-        }
+        const users = await User.find().select("-password");
+        res.json({ success: true, data: users });
       }
     );
 
@@ -370,23 +524,73 @@ const startServer = async () => {
       "/admin/users/:userId/role",
       auth,
       authorize({ permissions: ["canManageUsers"] }),
+      validate(roleSchema),
       async (req, res) => {
-        try {
-          const user = await User.findByIdAndUpdate(
-            req.params.userId,
-            { $set: { role: req.body.role } },
-            { new: true }
-          ).select("-password");
-          res.json({ success: true, data: user });
-        } catch (error) {
-          res.status(500).json({ success: false, message: error.message });
+        const user = await User.findByIdAndUpdate(
+          req.params.userId,
+          { $set: { role: req.body.role } },
+          { new: true }
+        ).select("-password");
+        if (!user) throw notFound("User not found");
+        await revokeAllSessions(user._id, "role_change");
+        res.json({ success: true, data: user });
+      }
+    );
+
+    // Bans, suspensions and mutes
+    app.use("/admin/users/:userId/restrictions", restrictionRoutes);
+
+    app.get(
+      "/admin/moderation-log",
+      auth,
+      authorize({ permissions: ["canManageUsers"] }),
+      listModerationLog
+    );
+
+    // Per-user permission overrides on top of the role defaults. A boolean
+    // grants or revokes a permission, null reverts it to the role default.
+    app.put(
+      "/admin/users/:userId/permissions",
+      auth,
+      authorize({ permissions: ["canManageUsers"] }),
+      validate(permissionOverridesSchema, { partial: true }),
+      async (req, res) => {
+        const $set = {};
+        const $unset = {};
+        for (const [permission, value] of Object.entries(req.body)) {
+          if (value === null) {
+            $unset[`permissionOverrides.${permission}`] = "";
+          } else {
+            $set[`permissionOverrides.${permission}`] = value;
+          }
         }
+
+        const user = await User.findByIdAndUpdate(
+          req.params.userId,
+          { $set, $unset },
+          { new: true }
+        ).select("-password");
+        if (!user) throw notFound("User not found");
+        res.json({ success: true, data: user });
       }
     );
 
+    // Anything not matched above, then the shared error envelope
+    app.use(notFoundHandler);
+    app.use(errorHandler);
+
     app.listen(port, () => {
       console.log(`Server is running on port ${port}`);
     });
+
+    // Email digests of unread notifications
+    startDigestScheduler();
+
+    // Final removal of comments deleted longer ago than the retention period
+    startTrashPurgeScheduler();
+
+    // Removal of uploads that never made it onto a post
+    startAttachmentCleanupScheduler();
   } catch (error) {
     console.error("Failed to start server:", error);
     process.exit(1);
@@ -0,0 +1,115 @@
+import { describe, it, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import threadRoutes from "../routes/thread.routes.js";
+import Thread from "../models/thread.model.js";
+import Comment from "../models/comment.model.js";
+import ReputationEvent from "../models/reputationEvent.model.js";
+import { setAcceptedAnswer } from "../utils/answers.js";
+import {
+  appWith,
+  callsOf,
+  id,
+  query,
+  request,
+  signIn,
+  stub,
+  stubModels,
+} from "./helpers.js";
+
+const app = appWith("/threads", threadRoutes);
+
+beforeEach(stubModels);
+afterEach(() => mock.restoreAll());
+
+const question = (fields = {}) =>
+  new Thread({ title: "How do I index?", isQuestion: true, ...fields });
+
+describe("setAcceptedAnswer", () => {
+  it("moves the accepted answer and its reputation", async () => {
+    const previous = id();
+    const thread = question({ acceptedAnswer: previous });
+    const answer = new Comment({
+      content: "Like this",
+      thread: thread._id,
+      author: id(),
+    });
+    const actor = id();
+
+    await setAcceptedAnswer(thread, answer, actor);
+    assert.equal(thread.acceptedAnswer, answer._id);
+    assert.ok(answer.acceptedAt);
+    assert.deepEqual(callsOf(Comment, "findByIdAndUpdate")[0].slice(0, 2), [
+      previous,
+      { $set: { acceptedAt: null } },
+    ]);
+    assert.deepEqual(callsOf(ReputationEvent, "findOneAndDelete")[0][0], {
+      key: `accepted:${previous}`,
+    });
+    assert.deepEqual(callsOf(ReputationEvent, "updateOne")[0][0], {
+      key: `accepted:${answer._id}`,
+    });
+  });
+
+  it("does nothing when the answer is already accepted", async () => {
+    const answer = new Comment({ content: "Like this" });
+    const thread = question({ acceptedAnswer: answer._id });
+
+    await setAcceptedAnswer(thread, answer, id());
+    assert.equal(Thread.prototype.save.mock.callCount(), 0);
+  });
+});
+
+describe("PUT /threads/:id/accepted-answer", () => {
+  const accept = (token, thread, comment) =>
+    request(app, "PUT", `/threads/${thread._id}/accepted-answer`, {
+      token,
+      body: { commentId: comment.toString() },
+    });
+
+  it("lets the question's author accept a visible comment", async () => {
+    const { user, token } = signIn();
+    const thread = question({ author: user._id });
+    const answer = new Comment({ content: "Like this", thread: thread._id });
+    stub(Thread, "findById", () => query(thread));
+    stub(Comment, "findOne", () => query(answer));
+
+    const { status, body } = await accept(token, thread, answer._id);
+    assert.equal(status, 200);
+    assert.equal(body.data.acceptedAnswer, answer._id.toString());
+    const [[filter]] = callsOf(Comment, "findOne");
+    assert.equal(filter.thread, thread._id);
+    assert.deepEqual(filter.isHidden, { $ne: true });
+  });
+
+  it("is for the author and moderators only", async () => {
+    const { token } = signIn();
+    const thread = question({ author: id() });
+    stub(Thread, "findById", () => query(thread));
+
+    const { status } = await accept(token, thread, id());
+    assert.equal(status, 403);
+  });
+
+  it("only applies to questions", async () => {
+    const { user, token } = signIn();
+    const thread = question({ author: user._id, isQuestion: false });
+    stub(Thread, "findById", () => query(thread));
+
+    const { status } = await accept(token, thread, id());
+    assert.equal(status, 400);
+  });
+});
+
+describe("GET /threads", () => {
+  it("filters questions by whether they are solved", async () => {
+    await request(app, "GET", "/threads?status=unanswered");
+    const [[[{ $match }]]] = callsOf(Thread, "aggregate");
+    assert.equal($match.isQuestion, true);
+    assert.equal($match.acceptedAnswer, null);
+  });
+
+  it("refuses unknown statuses", async () => {
+    const { status } = await request(app, "GET", "/threads?status=open");
+    assert.equal(status, 400);
+  });
+});
@@ -0,0 +1,181 @@
+import { describe, it, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import attachmentRoutes from "../routes/attachment.routes.js";
+import Thread from "../models/thread.model.js";
+import Comment from "../models/comment.model.js";
+import { canAccessAttachment } from "../utils/attachments.js";
+import { resolvePermissions } from "../utils/permissions.js";
+import { memoryStore, setRateLimitStore } from "../utils/rateLimit.js";
+import {
+  appWith,
+  id,
+  query,
+  request,
+  signIn,
+  stub,
+  stubModels,
+} from "./helpers.js";
+
+const app = appWith("/attachments", attachmentRoutes);
+
+const userWith = (role) => ({
+  userId: id().toString(),
+  role,
+  permissions: resolvePermissions(role),
+});
+
+const uploader = userWith("community_member");
+const member = userWith("community_member");
+const moderator = userWith("moderator");
+
+// Just enough of a MongoDB filter for the visibility filters: plain
+// equality and $ne
+const matches = (doc, filter) =>
+  Object.entries(filter).every(([field, condition]) =>
+    condition && typeof condition === "object" && "$ne" in condition
+      ? doc[field] !== condition.$ne
+      : String(doc[field]) === String(condition)
+  );
+
+// In-memory stand-ins for the thread and comment queries
+let threads;
+let comments;
+
+beforeEach(() => {
+  stubModels();
+  setRateLimitStore(memoryStore());
+  threads = [];
+  comments = [];
+  stub(Thread, "exists", (filter) =>
+    query(threads.some((thread) => matches(thread, filter)))
+  );
+  stub(Comment, "findOne", (filter) =>
+    query(comments.find((comment) => matches(comment, filter)) || null)
+  );
+});
+
+afterEach(() => mock.restoreAll());
+
+const addThread = (fields = {}) => {
+  const thread = {
+    _id: id(),
+    isPublic: true,
+    membersOnly: false,
+    isHidden: false,
+    ...fields,
+  };
+  threads.push(thread);
+  return thread;
+};
+
+const addComment = (thread, fields = {}) => {
+  const comment = {
+    _id: id(),
+    thread: thread._id,
+    deletedAt: null,
+    isHidden: false,
+    ...fields,
+  };
+  comments.push(comment);
+  return comment;
+};
+
+const attachmentOn = (targetType, target) => ({
+  uploader: uploader.userId,
+  targetType,
+  target: target && target._id,
+});
+
+describe("canAccessAttachment", () => {
+  it("always lets the uploader in, even before the file is attached", async () => {
+    assert.equal(await canAccessAttachment(attachmentOn(), uploader), true);
+    assert.equal(await canAccessAttachment(attachmentOn(), member), false);
+  });
+
+  it("follows the visibility of the thread the file is on", async () => {
+    const attachment = attachmentOn("Thread", addThread());
+    assert.equal(await canAccessAttachment(attachment, null), true);
+    assert.equal(await canAccessAttachment(attachment, member), true);
+  });
+
+  it("keeps files in members-only threads from guests", async () => {
+    const attachment = attachmentOn("Thread", addThread({ membersOnly: true }));
+    assert.equal(await canAccessAttachment(attachment, null), false);
+    assert.equal(await canAccessAttachment(attachment, member), true);
+  });
+
+  it("keeps files in private threads from guests", async () => {
+    const attachment = attachmentOn("Thread", addThread({ isPublic: false }));
+    assert.equal(await canAccessAttachment(attachment, null), false);
+    assert.equal(await canAccessAttachment(attachment, member), true);
+  });
+
+  it("only lets moderators at files on hidden posts", async () => {
+    const hiddenThread = attachmentOn("Thread", addThread({ isHidden: true }));
+    assert.equal(await canAccessAttachment(hiddenThread, member), false);
+    assert.equal(await canAccessAttachment(hiddenThread, moderator), true);
+
+    const hiddenComment = attachmentOn(
+      "Comment",
+      addComment(addThread(), { isHidden: true })
+    );
+    assert.equal(await canAccessAttachment(hiddenComment, member), false);
+    assert.equal(await canAccessAttachment(hiddenComment, moderator), true);
+  });
+
+  it("checks the thread a comment's file is in", async () => {
+    const attachment = attachmentOn(
+      "Comment",
+      addComment(addThread({ membersOnly: true }))
+    );
+    assert.equal(await canAccessAttachment(attachment, null), false);
+    assert.equal(await canAccessAttachment(attachment, member), true);
+  });
+
+  it("keeps files on deleted comments from everyone but the uploader", async () => {
+    const attachment = attachmentOn(
+      "Comment",
+      addComment(addThread(), { deletedAt: new Date() })
+    );
+    assert.equal(await canAccessAttachment(attachment, moderator), false);
+    assert.equal(await canAccessAttachment(attachment, uploader), true);
+  });
+});
+
+describe("POST /attachments", () => {
+  const mutedFrom = (scope) =>
+    signIn({
+      restrictions: [{ type: "mute", scope: [scope], reason: "Cool off" }],
+    });
+
+  it("takes canPost to upload for a thread", async () => {
+    const { token } = mutedFrom("post");
+    const { status, body } = await request(
+      app,
+      "POST",
+      "/attachments?for=thread",
+      { token }
+    );
+    assert.equal(status, 403);
+    assert.equal(body.code, "ACCOUNT_MUTED");
+  });
+
+  it("takes canComment to upload for a comment", async () => {
+    const { token } = mutedFrom("comment");
+    const { status } = await request(app, "POST", "/attachments", { token });
+    assert.equal(status, 403);
+
+    const forThread = await request(app, "POST", "/attachments?for=thread", {
+      token,
+    });
+    assert.notEqual(forThread.status, 403);
+  });
+
+  it("refuses other kinds of upload", async () => {
+    const { token } = signIn();
+    const { status } = await request(app, "POST", "/attachments?for=avatar", {
+      token,
+    });
+    assert.equal(status, 400);
+  });
+});
@@ -0,0 +1,157 @@
+import { describe, it, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import categoryRoutes from "../routes/category.routes.js";
+import threadRoutes from "../routes/thread.routes.js";
+import Category from "../models/category.model.js";
+import Thread from "../models/thread.model.js";
+import { categoryPermissions, categoryRules } from "../utils/categories.js";
+import { resolvePermissions } from "../utils/permissions.js";
+import { memoryStore, setRateLimitStore } from "../utils/rateLimit.js";
+import {
+  appWith,
+  id,
+  query,
+  request,
+  signIn,
+  stub,
+  stubModels,
+} from "./helpers.js";
+
+const categories = appWith("/categories", categoryRoutes);
+const threads = appWith("/threads", threadRoutes);
+
+beforeEach(() => {
+  stubModels();
+  setRateLimitStore(memoryStore());
+});
+afterEach(() => mock.restoreAll());
+
+// Categories as Category.findById finds them
+const saved = (...list) => {
+  stub(Category, "findById", (categoryId) =>
+    query(list.find((category) => category._id.equals(categoryId)) || null)
+  );
+  return list;
+};
+
+const member = (role = "community_member") => ({
+  userId: id().toString(),
+  role,
+  permissions: resolvePermissions(role),
+});
+
+describe("categoryRules", () => {
+  it("adds the parent's rules to a subcategory's own", async () => {
+    const moderator = id();
+    const [parent, child] = saved(
+      new Category({ name: "Staff", slug: "staff", membersOnly: true }),
+      new Category({ name: "News", slug: "news", readOnly: true })
+    );
+    parent.moderators = [moderator];
+    child.parent = parent._id;
+
+    const rules = await categoryRules(child);
+    assert.equal(rules.membersOnly, true);
+    assert.equal(rules.readOnly, true);
+    assert.deepEqual(rules.moderators.map(String), [moderator.toString()]);
+  });
+});
+
+describe("categoryPermissions", () => {
+  it("lets only moderators start threads in read-only categories", async () => {
+    const user = member();
+    const rules = await categoryRules(
+      new Category({ name: "News", slug: "news", readOnly: true })
+    );
+    assert.equal(categoryPermissions(user, rules).canPost, false);
+    assert.equal(categoryPermissions(user, rules).canComment, true);
+    assert.equal(categoryPermissions(member("moderator"), rules).canPost, true);
+  });
+
+  it("makes category moderators moderators inside the category", async () => {
+    const user = member();
+    const rules = await categoryRules(
+      new Category({ name: "Help", slug: "help", moderators: [user.userId] })
+    );
+    assert.equal(user.permissions.canModerate, false);
+    assert.equal(categoryPermissions(user, rules).canModerate, true);
+  });
+});
+
+describe("GET /categories", () => {
+  const list = () => {
+    const open = new Category({ name: "General", slug: "general" });
+    const closed = new Category({
+      name: "Members",
+      slug: "members",
+      membersOnly: true,
+    });
+    const inside = new Category({
+      name: "Lounge",
+      slug: "lounge",
+      parent: closed._id,
+    });
+    stub(Category, "find", () =>
+      query([open, closed, inside].map((category) => category.toObject()))
+    );
+  };
+
+  it("leaves members-only categories and their subcategories out for guests", async () => {
+    list();
+    const { body } = await request(categories, "GET", "/categories");
+    assert.deepEqual(
+      body.data.map(({ slug }) => slug),
+      ["general"]
+    );
+  });
+
+  it("shows members everything, subcategories under their parent", async () => {
+    list();
+    const { token } = signIn();
+    const { body } = await request(categories, "GET", "/categories", {
+      token,
+    });
+    assert.deepEqual(
+      body.data.map(({ slug, subcategories }) => [
+        slug,
+        subcategories.map((child) => child.slug),
+      ]),
+      [
+        ["general", []],
+        ["members", ["lounge"]],
+      ]
+    );
+  });
+
+  it("is a 404 for guests asking for a members-only category", async () => {
+    const category = new Category({
+      name: "Members",
+      slug: "members",
+      membersOnly: true,
+    });
+    stub(Category, "findOne", () => query(category));
+    const { status } = await request(categories, "GET", "/categories/members");
+    assert.equal(status, 404);
+  });
+});
+
+describe("POST /threads", () => {
+  it("explains why members cannot post in read-only categories", async () => {
+    const { token } = signIn();
+    const [news] = saved(
+      new Category({ name: "News", slug: "news", readOnly: true })
+    );
+
+    const { status, body } = await request(threads, "POST", "/threads", {
+      token,
+      body: {
+        title: "Breaking",
+        content: "Something happened",
+        category: news._id.toString(),
+      },
+    });
+    assert.equal(status, 403);
+    assert.match(body.message, /Only moderators can start threads/);
+    assert.equal(Thread.prototype.save.mock.callCount(), 0);
+  });
+});
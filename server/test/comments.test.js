@@ -0,0 +1,113 @@
+import { describe, it, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import commentRoutes from "../routes/comment.routes.js";
+import Thread from "../models/thread.model.js";
+import Comment from "../models/comment.model.js";
+import {
+  appWith,
+  callsOf,
+  id,
+  query,
+  request,
+  signIn,
+  stub,
+  stubModels,
+} from "./helpers.js";
+
+const app = appWith("/comments", commentRoutes);
+
+beforeEach(stubModels);
+afterEach(() => mock.restoreAll());
+
+const comment = (fields = {}) => ({
+  _id: id(),
+  content: "A comment",
+  createdAt: new Date(),
+  likes: [],
+  ...fields,
+});
+
+describe("GET /comments/thread/:threadId", () => {
+  it("nests replies up to the requested depth", async () => {
+    const thread = new Thread({ title: "Tree" });
+    const root = comment();
+    const reply = comment({ parentComment: root._id, level: 0 });
+    const nested = comment({ parentComment: reply._id, level: 1 });
+    stub(Thread, "findOne", () => query(thread));
+    stub(Comment, "aggregate", () =>
+      query([{ ...root, descendants: [reply, nested] }])
+    );
+
+    const { status, body } = await request(
+      app,
+      "GET",
+      `/comments/thread/${thread._id}?depth=2`
+    );
+    assert.equal(status, 200);
+    const [tree] = body.data;
+    assert.equal(tree.replyCount, 1);
+    assert.equal(tree.replies[0]._id, reply._id.toString());
+    // The deepest level fetched is only counted
+    assert.equal(tree.replies[0].replyCount, 1);
+    assert.deepEqual(tree.replies[0].replies, []);
+  });
+
+  it("is a 404 when the thread cannot be seen", async () => {
+    const { status } = await request(app, "GET", `/comments/thread/${id()}`);
+    assert.equal(status, 404);
+    assert.equal(callsOf(Comment, "aggregate").length, 0);
+  });
+});
+
+describe("POST /comments", () => {
+  it("adds the comment and counts it on the thread", async () => {
+    const { user, token } = signIn();
+    const thread = new Thread({ title: "Open" });
+    stub(Thread, "findOne", () => query(thread));
+
+    const { status, body } = await request(app, "POST", "/comments", {
+      token,
+      body: { content: "First!", threadId: thread._id.toString() },
+    });
+    assert.equal(status, 201);
+    assert.equal(body.data.content, "First!");
+    assert.equal(body.data.author, user._id.toString());
+    const [[threadId, update]] = callsOf(Thread, "findByIdAndUpdate");
+    assert.equal(threadId, thread._id);
+    assert.deepEqual(update.$inc, { commentCount: 1 });
+  });
+
+  it("refuses comments on locked threads", async () => {
+    const { token } = signIn();
+    const thread = new Thread({ title: "Closed", isLocked: true });
+    stub(Thread, "findOne", () => query(thread));
+
+    const { status } = await request(app, "POST", "/comments", {
+      token,
+      body: { content: "Too late", threadId: thread._id.toString() },
+    });
+    assert.equal(status, 403);
+    assert.equal(Comment.prototype.save.mock.callCount(), 0);
+  });
+
+  it("only replies to visible comments in the same thread", async () => {
+    const { token } = signIn();
+    const thread = new Thread({ title: "Open" });
+    const elsewhere = new Comment({ content: "Hi", thread: id() });
+    stub(Thread, "findOne", () => query(thread));
+    stub(Comment, "findOne", () => query(elsewhere));
+
+    const { status } = await request(app, "POST", "/comments", {
+      token,
+      body: {
+        content: "Reply",
+        threadId: thread._id.toString(),
+        parentId: elsewhere._id.toString(),
+      },
+    });
+    assert.equal(status, 404);
+    assert.deepEqual(callsOf(Comment, "findOne")[0][0].isHidden, {
+      $ne: true,
+    });
+  });
+});
@@ -0,0 +1,146 @@
+import { describe, it, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import conversationRoutes from "../routes/conversation.routes.js";
+import Conversation from "../models/conversation.model.js";
+import Message from "../models/message.model.js";
+import User from "../models/user.model.js";
+import { memoryStore, setRateLimitStore } from "../utils/rateLimit.js";
+import {
+  appWith,
+  callsOf,
+  id,
+  query,
+  request,
+  signIn,
+  stub,
+  stubModels,
+} from "./helpers.js";
+
+const app = appWith("/conversations", conversationRoutes);
+
+beforeEach(() => {
+  stubModels();
+  setRateLimitStore(memoryStore());
+});
+afterEach(() => mock.restoreAll());
+
+// Users the recipient lookup finds
+const existing = (...ids) =>
+  stub(User, "find", () => query(ids.map((_id) => ({ _id }))));
+
+const start = (token, recipients, fields = {}) =>
+  request(app, "POST", "/conversations", {
+    token,
+    body: {
+      recipients: recipients.map(String),
+      content: "Hi there",
+      ...fields,
+    },
+  });
+
+describe("POST /conversations", () => {
+  it("starts a conversation with its first message", async () => {
+    const { user, token } = signIn();
+    const recipient = id();
+    existing(recipient);
+
+    const { status, body } = await start(token, [recipient]);
+    assert.equal(status, 201);
+    assert.deepEqual(
+      body.data.conversation.participants.map(({ user }) => user),
+      [user._id.toString(), recipient.toString()]
+    );
+    assert.equal(body.data.message.content, "Hi there");
+    assert.deepEqual(
+      callsOf(Conversation, "findOne")[0][0]["participants.user"],
+      { $all: [user._id.toString(), recipient.toString()] }
+    );
+  });
+
+  it("continues an existing two-person conversation", async () => {
+    const { user, token } = signIn();
+    const recipient = id();
+    existing(recipient);
+    const conversation = new Conversation({
+      participants: [{ user: user._id }, { user: recipient }],
+      createdBy: recipient,
+    });
+    stub(Conversation, "findOne", () => query(conversation));
+
+    const { status, body } = await start(token, [recipient]);
+    assert.equal(status, 200);
+    assert.equal(body.data.conversation._id, conversation._id.toString());
+    assert.equal(Conversation.create.mock.callCount(), 0);
+  });
+
+  it("refuses recipients who blocked the sender", async () => {
+    const { token } = signIn();
+    const recipient = id();
+    existing(recipient);
+    stub(User, "exists", () => query({ _id: recipient }));
+
+    const { status } = await start(token, [recipient]);
+    assert.equal(status, 403);
+    assert.equal(Message.create.mock.callCount(), 0);
+  });
+
+  it("refuses recipients the sender blocked", async () => {
+    const recipient = id();
+    const { token } = signIn({ blockedUsers: [recipient] });
+    existing(recipient);
+
+    const { status } = await start(token, [recipient]);
+    assert.equal(status, 403);
+  });
+
+  it("is a 404 for unknown recipients", async () => {
+    const { token } = signIn();
+    const { status } = await start(token, [id()]);
+    assert.equal(status, 404);
+  });
+
+  it("needs someone other than the sender", async () => {
+    const { user, token } = signIn();
+    const { status } = await start(token, [user._id]);
+    assert.equal(status, 400);
+  });
+});
+
+describe("GET /conversations/:id/messages", () => {
+  it("is only for participants", async () => {
+    const { user, token } = signIn();
+    const { status } = await request(
+      app,
+      "GET",
+      `/conversations/${id()}/messages`,
+      { token }
+    );
+    assert.equal(status, 404);
+    assert.equal(
+      callsOf(Conversation, "findOne")[0][0]["participants.user"],
+      user._id.toString()
+    );
+  });
+
+  it("leaves out blocked users and what hidden messages said", async () => {
+    const blocked = id();
+    const { user, token } = signIn({ blockedUsers: [blocked] });
+    const conversation = new Conversation({
+      participants: [{ user: user._id }, { user: id() }, { user: blocked }],
+      createdBy: user._id,
+    });
+    stub(Conversation, "findOne", () => query(conversation));
+    stub(Message, "find", () =>
+      query([{ _id: id(), content: "Rude", isHidden: true }])
+    );
+
+    const { body } = await request(
+      app,
+      "GET",
+      `/conversations/${conversation._id}/messages`,
+      { token }
+    );
+    assert.equal(body.data[0].content, null);
+    assert.deepEqual(callsOf(Message, "find")[0][0].author.$nin, [blocked]);
+  });
+});
@@ -0,0 +1,161 @@
+import { mock } from "node:test";
+import express from "express";
+import mongoose from "mongoose";
+import jwt from "jsonwebtoken";
+import User from "../models/user.model.js";
+import Session from "../models/session.model.js";
+import errorHandler from "../middleware/errorHandler.js";
+
+// Shared helpers for the route tests. There is no database: every model
+// registered with Mongoose is stubbed to find nothing, and tests replace the
+// queries they care about with `stub`.
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || "test-secret";
+
+export const id = () => new mongoose.Types.ObjectId();
+
+// Stand-in for a Mongoose query or aggregate resolving to `result`. Every
+// chained call (select, sort, populate, lean...) returns the query itself.
+export const query = (result) => {
+  const stand = new Proxy(
+    {},
+    {
+      get: (target, property) => {
+        if (property === "then") {
+          return (resolve, reject) =>
+            Promise.resolve(result).then(resolve, reject);
+        }
+        if (property === "exec") return () => Promise.resolve(result);
+        return () => stand;
+      },
+    }
+  );
+  return stand;
+};
+
+const STATIC_RESULTS = {
+  find: () => query([]),
+  findOne: () => query(null),
+  findById: () => query(null),
+  findOneAndUpdate: () => query(null),
+  findByIdAndUpdate: () => query(null),
+  findOneAndDelete: () => query(null),
+  findByIdAndDelete: () => query(null),
+  exists: () => query(null),
+  countDocuments: () => query(0),
+  distinct: () => query([]),
+  aggregate: () => query([]),
+  updateOne: () => query({ matchedCount: 0, modifiedCount: 0 }),
+  updateMany: () => query({ matchedCount: 0, modifiedCount: 0 }),
+  deleteOne: () => query({ deletedCount: 0 }),
+  deleteMany: () => query({ deletedCount: 0 }),
+  bulkWrite: async () => ({}),
+  insertMany: async (docs) => docs,
+  populate: async (docs) => docs,
+};
+
+// Stub every model registered so far. Call in beforeEach, after importing the
+// routes under test, and undo with mock.restoreAll().
+export const stubModels = () => {
+  Object.values(mongoose.models).forEach((Model) => {
+    Object.entries(STATIC_RESULTS).forEach(([method, result]) =>
+      mock.method(Model, method, result)
+    );
+    mock.method(Model, "create", async (fields) =>
+      Array.isArray(fields)
+        ? fields.map((item) => new Model(item))
+        : new Model(fields)
+    );
+    mock.method(Model.prototype, "save", async function save() {
+      return this;
+    });
+    mock.method(Model.prototype, "deleteOne", async function deleteOne() {
+      return this;
+    });
+    mock.method(Model.prototype, "populate", async function populate() {
+      return this;
+    });
+  });
+};
+
+// Replace the implementation of a method stubbed by stubModels
+export const stub = (Model, method, implementation) =>
+  Model[method].mock.mockImplementation(implementation);
+
+// Calls made to a stubbed method, as argument lists
+export const callsOf = (Model, method) =>
+  Model[method].mock.calls.map((call) => call.arguments);
+
+// Create a user and an access token for them. The user and their session are
+// what `auth` finds for the token.
+const signedIn = new Map();
+
+export const signIn = (fields = {}) => {
+  const user = new User({
+    username: `member${signedIn.size}`,
+    email: `member${signedIn.size}@example.com`,
+    password: "Secret-password-1",
+    role: "community_member",
+    ...fields,
+  });
+  const sessionId = id();
+  signedIn.set(user._id.toString(), user);
+
+  stub(User, "findById", (userId) =>
+    query(signedIn.get(String(userId)) || null)
+  );
+  stub(Session, "findOne", () =>
+    query({ _id: sessionId, lastSeenAt: new Date() })
+  );
+
+  const token = jwt.sign(
+    { userId: user._id.toString(), sid: sessionId.toString() },
+    process.env.JWT_SECRET,
+    { expiresIn: "1h" }
+  );
+  return { user, token, sessionId };
+};
+
+// Mount `router` at `path` on an app with the real error handler
+export const appWith = (path, router) => {
+  const app = express();
+  app.use(express.json());
+  app.use(path, router);
+  app.use(errorHandler);
+  return app;
+};
+
+// Send one request to `app` and resolve with its status and parsed body
+export const request = async (
+  app,
+  method,
+  url,
+  { body, token, headers = {} } = {}
+) => {
+  const server = app.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  try {
+    const response = await fetch(
+      `http://127.0.0.1:${server.address().port}${url}`,
+      {
+        method,
+        headers: {
+          ...(body ? { "Content-Type": "application/json" } : {}),
+          ...(token ? { Authorization: `Bearer ${token}` } : {}),
+          ...headers,
+        },
+        // Strings are sent as they are, e.g. to test malformed JSON
+        body: typeof body === "string" ? body : body && JSON.stringify(body),
+      }
+    );
+    const text = await response.text();
+    return {
+      status: response.status,
+      headers: response.headers,
+      body: text ? JSON.parse(text) : null,
+    };
+  } finally {
+    server.closeAllConnections();
+    server.close();
+  }
+};
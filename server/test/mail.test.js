@@ -0,0 +1,65 @@
+import { describe, it, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import {
+  frontendUrl,
+  renderTemplate,
+  sendMail,
+  setTransport,
+} from "../utils/mailer.js";
+
+afterEach(() => {
+  delete process.env.FRONTEND_URL;
+  delete process.env.APP_NAME;
+});
+
+describe("renderTemplate", () => {
+  it("fills in the placeholders of all three parts", async () => {
+    process.env.APP_NAME = "Test Forum";
+    const { subject, text, html } = await renderTemplate("verify-email", {
+      username: "ada",
+      verifyURL: "https://forum.test/verify-email/abc",
+      expiresInHours: 24,
+    });
+    assert.equal(subject, "Confirm your email for Test Forum");
+    assert.match(text, /^Hi ada,/);
+    assert.match(text, /https:\/\/forum\.test\/verify-email\/abc/);
+    assert.match(text, /expires in 24 hours/);
+    assert.match(html, /ada/);
+  });
+
+  it("escapes values in the html part only", async () => {
+    const { text, html } = await renderTemplate("verify-email", {
+      username: "<script>",
+    });
+    assert.match(text, /Hi <script>,/);
+    assert.doesNotMatch(html, /<script>/);
+    assert.match(html, /&lt;script&gt;/);
+  });
+
+  it("fails for unknown templates", async () => {
+    await assert.rejects(renderTemplate("no-such-template"));
+  });
+});
+
+describe("sendMail", () => {
+  it("hands the rendered message to the transport", async () => {
+    const sent = [];
+    setTransport({ sendMail: async (message) => sent.push(message) });
+
+    await sendMail("ada@example.com", "password-reset", {
+      username: "ada",
+      resetURL: "https://forum.test/reset-password/xyz",
+    });
+    assert.equal(sent.length, 1);
+    assert.equal(sent[0].to, "ada@example.com");
+    assert.ok(sent[0].subject);
+    assert.match(sent[0].text, /reset-password\/xyz/);
+  });
+});
+
+describe("frontendUrl", () => {
+  it("joins the configured frontend and a path", () => {
+    process.env.FRONTEND_URL = "https://forum.test/";
+    assert.equal(frontendUrl("/threads/1"), "https://forum.test/threads/1");
+  });
+});
@@ -0,0 +1,72 @@
+import { describe, it, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import User from "../models/user.model.js";
+import { renderMarkdown, renderContent } from "../utils/markdown.js";
+import { extractMentions } from "../utils/mentions.js";
+import { id, query, stub, stubModels } from "./helpers.js";
+
+beforeEach(stubModels);
+afterEach(() => mock.restoreAll());
+
+describe("renderMarkdown", () => {
+  it("renders GitHub-flavoured Markdown", () => {
+    const html = renderMarkdown(
+      "# Title\n\n- **bold**\n- ~~gone~~\n\n```js\nx()\n```"
+    );
+    assert.match(html, /<h1>Title<\/h1>/);
+    assert.match(html, /<li><strong>bold<\/strong><\/li>/);
+    assert.match(html, /<del>gone<\/del>/);
+    assert.match(html, /<code class="language-js">x\(\)/);
+  });
+
+  it("strips scripts, event handlers and javascript: links", () => {
+    const html = renderMarkdown(
+      '<script>alert(1)</script><img src="https://x.test/a.png" onerror="alert(1)">\n\n[click](javascript:alert(1))'
+    );
+    assert.doesNotMatch(html, /script|onerror|javascript:/);
+    assert.match(html, /<a rel="[^"]*">click<\/a>/);
+    assert.match(html, /<img src="https:\/\/x\.test\/a\.png" \/>/);
+  });
+
+  it("marks links off the site nofollow", () => {
+    assert.match(
+      renderMarkdown("[site](https://example.com)"),
+      /rel="nofollow ugc noopener noreferrer"/
+    );
+    assert.doesNotMatch(renderMarkdown("[home](/threads)"), /nofollow/);
+  });
+
+  it("links mentions of known users only, and never inside code", () => {
+    const ada = { _id: id(), username: "ada" };
+    const html = renderMarkdown("@ada and @bob, but not `@ada`", [ada]);
+    assert.match(
+      html,
+      new RegExp(
+        `<a href="/users/ada" class="mention" data-user-id="${ada._id}">@ada</a>`
+      )
+    );
+    assert.match(html, /@bob/);
+    assert.match(html, /<code>@ada<\/code>/);
+  });
+});
+
+describe("extractMentions", () => {
+  it("skips code spans and code blocks", () => {
+    assert.deepEqual(
+      extractMentions("@ada `@bob`\n\n```\n@cy\n```\n\n> @dee"),
+      ["ada", "dee"]
+    );
+  });
+});
+
+describe("renderContent", () => {
+  it("stores the mentioned users alongside the HTML", async () => {
+    const ada = new User({ username: "ada" });
+    stub(User, "find", () => query([ada]));
+
+    const { mentions, contentHtml } = await renderContent("Hi @ada <b>!</b>");
+    assert.deepEqual(mentions, [ada._id]);
+    assert.match(contentHtml, /class="mention"/);
+    assert.doesNotMatch(contentHtml, /<b>/);
+  });
+});
@@ -0,0 +1,85 @@
+import { describe, it, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import userRoutes from "../routes/user.routes.js";
+import User from "../models/user.model.js";
+import {
+  MAX_MENTIONS,
+  extractMentions,
+  resolveMentions,
+} from "../utils/mentions.js";
+import {
+  appWith,
+  callsOf,
+  query,
+  request,
+  signIn,
+  stub,
+  stubModels,
+} from "./helpers.js";
+
+const app = appWith("/users", userRoutes);
+
+beforeEach(stubModels);
+afterEach(() => mock.restoreAll());
+
+describe("extractMentions", () => {
+  it("finds each mentioned username once, in order", () => {
+    assert.deepEqual(
+      extractMentions("@ada thanks! cc @bob_b and @ada again."),
+      ["ada", "bob_b"]
+    );
+  });
+
+  it("ignores email addresses and names that are too short", () => {
+    assert.deepEqual(extractMentions("mail ada@example.com or @al"), []);
+  });
+
+  it("stops at MAX_MENTIONS", () => {
+    const text = Array.from({ length: 30 }, (_, i) => `@user${i}`).join(" ");
+    assert.equal(extractMentions(text).length, MAX_MENTIONS);
+  });
+});
+
+describe("resolveMentions", () => {
+  it("looks up the mentioned users only when there are any", async () => {
+    assert.deepEqual(await resolveMentions("no one here"), []);
+    assert.equal(User.find.mock.callCount(), 0);
+
+    await resolveMentions("hi @ada");
+    assert.deepEqual(callsOf(User, "find")[0][0], {
+      username: { $in: ["ada"] },
+    });
+  });
+});
+
+describe("GET /users/autocomplete", () => {
+  it("suggests members by prefix, exact match first", async () => {
+    const { token } = signIn();
+    stub(User, "find", () =>
+      query([{ username: "adam" }, { username: "Ada" }, { username: "adal" }])
+    );
+
+    const { status, body } = await request(
+      app,
+      "GET",
+      "/users/autocomplete?q=@ada",
+      { token }
+    );
+    assert.equal(status, 200);
+    assert.deepEqual(
+      body.data.map(({ username }) => username),
+      ["Ada", "adam", "adal"]
+    );
+    const [[filter]] = callsOf(User, "find");
+    assert.deepEqual(filter.username, { $regex: "^ada", $options: "i" });
+    assert.deepEqual(filter.role, { $ne: "guest" });
+  });
+
+  it("refuses queries that cannot start a username", async () => {
+    const { token } = signIn();
+    const { status } = await request(app, "GET", "/users/autocomplete?q=a.*", {
+      token,
+    });
+    assert.equal(status, 400);
+  });
+});
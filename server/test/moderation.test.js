@@ -0,0 +1,163 @@
+import { describe, it, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import express from "express";
+import reportRoutes from "../routes/report.routes.js";
+import moderationRoutes, {
+  listModerationLog,
+} from "../routes/moderation.routes.js";
+import Thread from "../models/thread.model.js";
+import Comment from "../models/comment.model.js";
+import Report from "../models/report.model.js";
+import ModerationLog from "../models/moderationLog.model.js";
+import { applyModerationAction, diffFields } from "../utils/moderation.js";
+import {
+  appWith,
+  callsOf,
+  id,
+  query,
+  request,
+  signIn,
+  stub,
+  stubModels,
+} from "./helpers.js";
+
+const reports = appWith("/reports", reportRoutes);
+const mod = appWith("/mod", moderationRoutes);
+const log = appWith("/log", express.Router().get("/", listModerationLog));
+
+beforeEach(stubModels);
+afterEach(() => mock.restoreAll());
+
+describe("POST /reports", () => {
+  const reportComment = (token, comment) =>
+    request(reports, "POST", "/reports", {
+      token,
+      body: {
+        targetType: "comment",
+        targetId: comment._id.toString(),
+        reason: "spam",
+      },
+    });
+
+  it("files a report on a visible comment", async () => {
+    const { token } = signIn();
+    const comment = new Comment({ content: "Buy now", thread: id() });
+    stub(Comment, "findOne", () => query(comment));
+    stub(Thread, "exists", () => query({ _id: comment.thread }));
+
+    const { status, body } = await reportComment(token, comment);
+    assert.equal(status, 201);
+    assert.equal(body.data.targetType, "Comment");
+    assert.equal(body.data.thread, comment.thread.toString());
+    assert.deepEqual(callsOf(Comment, "findOne")[0][0].isHidden, {
+      $ne: true,
+    });
+  });
+
+  it("does not reach comments in threads the reporter cannot see", async () => {
+    const { token } = signIn();
+    const comment = new Comment({ content: "Psst", thread: id() });
+    stub(Comment, "findOne", () => query(comment));
+
+    const { status } = await reportComment(token, comment);
+    assert.equal(status, 404);
+    assert.equal(Report.create.mock.callCount(), 0);
+  });
+
+  it("takes one pending report per user and post", async () => {
+    const { token } = signIn();
+    const comment = new Comment({ content: "Again", thread: id() });
+    stub(Comment, "findOne", () => query(comment));
+    stub(Thread, "exists", () => query({ _id: comment.thread }));
+    stub(Report, "exists", () => query({ _id: id() }));
+
+    const { status } = await reportComment(token, comment);
+    assert.equal(status, 409);
+  });
+});
+
+describe("PUT /mod/reports/:id/assign", () => {
+  it("only assigns reports to existing moderators", async () => {
+    const { token } = signIn({ role: "moderator" });
+    const report = new Report({ status: "open" });
+    stub(Report, "findById", () => query(report));
+
+    const assign = (assigneeId) =>
+      request(mod, "PUT", `/mod/reports/${report._id}/assign`, {
+        token,
+        body: { assigneeId },
+      });
+
+    const member = signIn().user;
+    assert.equal((await assign(member._id.toString())).status, 400);
+    assert.equal((await assign(id().toString())).status, 404);
+
+    const moderator = signIn({ role: "moderator" }).user;
+    const { status, body } = await assign(moderator._id.toString());
+    assert.equal(status, 200);
+    assert.equal(body.data.status, "in_review");
+  });
+});
+
+describe("applyModerationAction", () => {
+  it("locks the thread a comment is in and logs the change", async () => {
+    const thread = new Thread({ title: "Heated" });
+    const comment = new Comment({ content: "Flame", thread: thread._id });
+    stub(Thread, "findById", () => query(thread));
+
+    const changed = await applyModerationAction({
+      moderator: id(),
+      action: "lock",
+      targetType: "Comment",
+      target: comment,
+    });
+    assert.equal(changed, thread);
+    assert.equal(thread.isLocked, true);
+    const [[entry]] = callsOf(ModerationLog, "create");
+    assert.equal(entry.targetType, "Thread");
+    assert.deepEqual(entry.changes, { isLocked: { from: false, to: true } });
+  });
+
+  it("is a 404 when the comment's thread is gone", async () => {
+    const comment = new Comment({ content: "Orphan", thread: id() });
+    await assert.rejects(
+      applyModerationAction({
+        moderator: id(),
+        action: "lock",
+        targetType: "Comment",
+        target: comment,
+      }),
+      { status: 404 }
+    );
+  });
+});
+
+describe("diffFields", () => {
+  it("only lists the fields that change", () => {
+    const thread = new Thread({ isHidden: false, isLocked: true });
+    assert.deepEqual(diffFields(thread, { isHidden: true, isLocked: true }), {
+      isHidden: { from: false, to: true },
+    });
+  });
+});
+
+describe("listModerationLog", () => {
+  it("filters by target type in any case", async () => {
+    const { status } = await request(log, "GET", "/log?targetType=thread");
+    assert.equal(status, 200);
+    assert.equal(callsOf(ModerationLog, "find")[0][0].targetType, "Thread");
+  });
+
+  it("refuses unknown and repeated target types", async () => {
+    for (const search of ["targetType=post", "targetType=a&targetType=b"]) {
+      const { status } = await request(log, "GET", `/log?${search}`);
+      assert.equal(status, 400);
+    }
+    assert.equal(callsOf(ModerationLog, "find").length, 0);
+  });
+
+  it("refuses malformed ids", async () => {
+    const { status } = await request(log, "GET", "/log?moderator=someone");
+    assert.equal(status, 400);
+  });
+});
@@ -0,0 +1,180 @@
+import { describe, it, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import notificationRoutes from "../routes/notification.routes.js";
+import Notification from "../models/notification.model.js";
+import Comment from "../models/comment.model.js";
+import User from "../models/user.model.js";
+import {
+  describeNotification,
+  notifyLike,
+  notifyReply,
+} from "../utils/notifications.js";
+import { sendDigest } from "../utils/digest.js";
+import { setTransport } from "../utils/mailer.js";
+import {
+  appWith,
+  callsOf,
+  id,
+  query,
+  request,
+  signIn,
+  stub,
+  stubModels,
+} from "./helpers.js";
+
+const app = appWith("/notifications", notificationRoutes);
+
+beforeEach(stubModels);
+afterEach(() => mock.restoreAll());
+
+// Recipients as notify() finds them
+const recipients = (...users) =>
+  stub(User, "findById", (userId) =>
+    query(users.find((user) => user._id.equals(userId)) || null)
+  );
+
+describe("notifyReply", () => {
+  it("notifies the author of the comment replied to", async () => {
+    const threadAuthor = new User({ username: "op" });
+    const parentAuthor = new User({ username: "parent" });
+    recipients(threadAuthor, parentAuthor);
+    const parent = new Comment({ author: parentAuthor._id });
+    stub(Comment, "findById", () => query(parent));
+
+    const thread = { _id: id(), author: threadAuthor._id };
+    const comment = { _id: id(), parentComment: parent._id };
+    await notifyReply({ comment, thread, actor: id() });
+
+    const [[notification]] = callsOf(Notification, "create");
+    assert.equal(notification.recipient, parentAuthor._id);
+    assert.equal(notification.type, "reply");
+    assert.equal(notification.comment, comment._id);
+  });
+
+  it("does not notify people about their own replies", async () => {
+    const author = new User({ username: "op" });
+    recipients(author);
+    const thread = { _id: id(), author: author._id };
+    await notifyReply({ comment: { _id: id() }, thread, actor: author._id });
+    assert.equal(Notification.create.mock.callCount(), 0);
+  });
+
+  it("respects notification types switched off", async () => {
+    const author = new User({
+      username: "quiet",
+      notificationPreferences: { reply: false },
+    });
+    recipients(author);
+    const thread = { _id: id(), author: author._id };
+    await notifyReply({ comment: { _id: id() }, thread, actor: id() });
+    assert.equal(Notification.create.mock.callCount(), 0);
+  });
+});
+
+describe("notifyLike", () => {
+  it("notifies once per post and liker", async () => {
+    const author = new User({ username: "liked" });
+    recipients(author);
+    const comment = { _id: id(), thread: id(), author: author._id };
+    const actor = id();
+
+    await notifyLike({ doc: comment, targetType: "Comment", actor });
+    const [[filter, update, options]] = callsOf(
+      Notification,
+      "findOneAndUpdate"
+    );
+    assert.equal(filter.type, "like");
+    assert.equal(filter.actor, actor);
+    assert.equal(filter.comment, comment._id);
+    assert.deepEqual(update, { $setOnInsert: filter });
+    assert.equal(options.upsert, true);
+  });
+});
+
+describe("describeNotification", () => {
+  it("summarizes a notification with a link to the post", () => {
+    const thread = { _id: id(), title: "Indexes" };
+    const comment = id();
+    const { message, url } = describeNotification({
+      type: "reply",
+      actor: { username: "ada" },
+      thread,
+      comment,
+    });
+    assert.equal(message, 'ada replied in "Indexes"');
+    assert.ok(url.endsWith(`/threads/${thread._id}#comment-${comment}`));
+  });
+
+  it("does not name moderators", () => {
+    const { message } = describeNotification({
+      type: "moderation",
+      action: "hide",
+      thread: { _id: id(), title: "Spam" },
+      comment: id(),
+    });
+    assert.equal(message, 'A moderator hid your comment in "Spam"');
+  });
+});
+
+describe("sendDigest", () => {
+  it("mails unread notifications and marks them as emailed", async () => {
+    const sent = [];
+    setTransport({ sendMail: async (message) => sent.push(message) });
+    const user = new User({ username: "ada", email: "ada@example.com" });
+    stub(Notification, "find", () =>
+      query([
+        { type: "mention", actor: { username: "bob" } },
+        { type: "like", actor: { username: "cy" }, comment: id() },
+      ])
+    );
+    stub(Notification, "countDocuments", () => query(3));
+
+    assert.equal(await sendDigest(user, "daily"), true);
+    assert.equal(sent[0].to, "ada@example.com");
+    assert.match(sent[0].text, /bob mentioned you/);
+    assert.match(sent[0].text, /…and 1 more/);
+    assert.ok(callsOf(Notification, "updateMany")[0][1].$set.emailedAt);
+    assert.ok(callsOf(User, "updateOne")[0][1].$set.lastDigestAt);
+  });
+
+  it("sends nothing when there is nothing new", async () => {
+    const user = new User({ username: "ada", email: "ada@example.com" });
+    assert.equal(await sendDigest(user, "weekly"), false);
+    assert.equal(callsOf(Notification, "updateMany").length, 0);
+  });
+});
+
+describe("/notifications", () => {
+  it("lists the user's notifications with the unread count", async () => {
+    const { user, token } = signIn();
+    stub(Notification, "find", () =>
+      query([
+        {
+          _id: id(),
+          type: "mention",
+          actor: { username: "bob" },
+          readAt: null,
+        },
+      ])
+    );
+    stub(Notification, "countDocuments", () => query(1));
+
+    const { body } = await request(app, "GET", "/notifications", { token });
+    assert.equal(body.unreadCount, 1);
+    assert.equal(body.data[0].read, false);
+    assert.equal(body.data[0].message, "bob mentioned you");
+    assert.equal(
+      callsOf(Notification, "find")[0][0].recipient,
+      user._id.toString()
+    );
+  });
+
+  it("marks every notification read", async () => {
+    const { token } = signIn();
+    stub(Notification, "updateMany", () => query({ modifiedCount: 2 }));
+    const { body } = await request(app, "PUT", "/notifications/read-all", {
+      token,
+    });
+    assert.equal(body.message, "Marked 2 notifications as read");
+  });
+});
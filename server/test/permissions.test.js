@@ -0,0 +1,133 @@
+import { describe, it, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import {
+  can,
+  resolvePermissions,
+  withoutWritePermissions,
+} from "../utils/permissions.js";
+import auth from "../middleware/auth.js";
+import User from "../models/user.model.js";
+import { query, signIn, stub, stubModels } from "./helpers.js";
+
+const AUTHOR_ID = "64b000000000000000000001";
+
+const userWith = (role, userId = AUTHOR_ID) => ({
+  userId,
+  role,
+  permissions: resolvePermissions(role),
+});
+
+const author = userWith("community_member");
+const otherMember = userWith("community_member", "64b000000000000000000002");
+const moderator = userWith("moderator", "64b000000000000000000003");
+const post = { _id: "p1", author: AUTHOR_ID };
+
+describe("resolvePermissions", () => {
+  it("applies per-user overrides on top of the role defaults", () => {
+    const permissions = resolvePermissions("community_member", {
+      canPost: false,
+      canModerate: true,
+    });
+    assert.equal(permissions.canPost, false);
+    assert.equal(permissions.canModerate, true);
+    assert.equal(permissions.canComment, true);
+  });
+
+  it("treats unknown roles as guests", () => {
+    assert.deepEqual(resolvePermissions("nobody"), resolvePermissions("guest"));
+  });
+});
+
+describe("withoutWritePermissions", () => {
+  it("takes away posting, commenting and messaging only", () => {
+    const permissions = withoutWritePermissions(
+      resolvePermissions("moderator")
+    );
+    assert.equal(permissions.canPost, false);
+    assert.equal(permissions.canComment, false);
+    assert.equal(permissions.canMessage, false);
+    assert.equal(permissions.canModerate, true);
+  });
+});
+
+describe("can", () => {
+  it("lets authors edit their own posts only", () => {
+    assert.equal(can(author, "thread:update", post), true);
+    assert.equal(can(author, "comment:update", post), true);
+    assert.equal(can(otherMember, "thread:update", post), false);
+    assert.equal(can(moderator, "comment:update", post), false);
+  });
+
+  it("recognizes populated authors", () => {
+    const populated = { ...post, author: { _id: AUTHOR_ID, username: "a" } };
+    assert.equal(can(author, "thread:update", populated), true);
+  });
+
+  it("lets authors and moderators delete posts", () => {
+    assert.equal(can(author, "thread:delete", post), true);
+    assert.equal(can(moderator, "comment:delete", post), true);
+    assert.equal(can(otherMember, "comment:delete", post), false);
+  });
+
+  it("only lets moderators see hidden content and edit locked threads", () => {
+    assert.equal(can(moderator, "content:viewHidden"), true);
+    assert.equal(can(moderator, "thread:editLocked"), true);
+    assert.equal(can(author, "content:viewHidden"), false);
+    assert.equal(can(author, "thread:editLocked"), false);
+  });
+
+  it("denies guests and unknown actions, and allows admins everything", () => {
+    assert.equal(can(null, "content:viewHidden"), false);
+    assert.equal(can(moderator, "thread:teleport"), false);
+    assert.equal(can(userWith("admin"), "thread:update", post), true);
+  });
+});
+
+describe("auth", () => {
+  beforeEach(stubModels);
+  afterEach(() => mock.restoreAll());
+
+  // Run the middleware and resolve with the user it attached, or the error
+  // it passed on
+  const authenticate = (token) =>
+    new Promise((resolve) => {
+      const req = {
+        header: (name) =>
+          name === "Authorization" ? `Bearer ${token}` : undefined,
+      };
+      auth(req, {}, (error) => resolve(error || req.user));
+    });
+
+  it("loads the role and permissions from the database", async () => {
+    const { user, token } = signIn();
+    assert.equal((await authenticate(token)).permissions.canModerate, false);
+
+    // Promotions apply to tokens issued before them
+    user.role = "moderator";
+    const promoted = await authenticate(token);
+    assert.equal(promoted.role, "moderator");
+    assert.equal(promoted.permissions.canModerate, true);
+  });
+
+  it("applies per-user overrides", async () => {
+    const { token } = signIn({ permissionOverrides: { canPost: false } });
+    const { permissions } = await authenticate(token);
+    assert.equal(permissions.canPost, false);
+    assert.equal(permissions.canComment, true);
+  });
+
+  it("keeps unverified accounts read-only", async () => {
+    const { token } = signIn({ emailVerified: false });
+    const { permissions } = await authenticate(token);
+    assert.equal(permissions.canPost, false);
+    assert.equal(permissions.canComment, false);
+  });
+
+  it("refuses invalid tokens and tokens of deleted users", async () => {
+    assert.equal((await authenticate("not-a-token")).status, 401);
+
+    const { token } = signIn();
+    stub(User, "findById", () => query(null));
+    assert.equal((await authenticate(token)).status, 401);
+  });
+});
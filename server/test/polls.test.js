@@ -0,0 +1,173 @@
+import { describe, it, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import threadRoutes from "../routes/thread.routes.js";
+import Thread from "../models/thread.model.js";
+import PollVote from "../models/pollVote.model.js";
+import { buildPoll, isPollClosed, pollSummary } from "../utils/polls.js";
+import {
+  appWith,
+  callsOf,
+  id,
+  query,
+  request,
+  signIn,
+  stub,
+  stubModels,
+} from "./helpers.js";
+
+const app = appWith("/threads", threadRoutes);
+
+beforeEach(stubModels);
+afterEach(() => mock.restoreAll());
+
+const threadWithPoll = (poll = {}, fields = {}) =>
+  new Thread({
+    title: "Which database?",
+    poll: {
+      question: "Which one?",
+      options: [{ text: "MongoDB" }, { text: "Postgres" }],
+      allowVoteChange: true,
+      ...poll,
+    },
+    ...fields,
+  });
+
+const vote = (token, thread, options) =>
+  request(app, "POST", `/threads/${thread._id}/poll/votes`, {
+    token,
+    body: { options: options.map(String) },
+  });
+
+describe("buildPoll", () => {
+  it("stores the options as subdocuments", () => {
+    assert.deepEqual(
+      buildPoll({ question: "Tabs?", options: ["Yes", "No"] }).options,
+      [{ text: "Yes" }, { text: "No" }]
+    );
+  });
+
+  it("refuses repeated options and closing times in the past", () => {
+    assert.throws(
+      () => buildPoll({ question: "Tabs?", options: ["Yes", "yes"] }),
+      { status: 400 }
+    );
+    assert.throws(
+      () =>
+        buildPoll({
+          question: "Tabs?",
+          options: ["Yes", "No"],
+          closesAt: new Date(Date.now() - 1000),
+        }),
+      { status: 400 }
+    );
+  });
+});
+
+describe("isPollClosed", () => {
+  it("closes at closesAt, or when the thread is locked", () => {
+    const now = new Date("2026-05-01");
+    const closesAt = new Date("2026-04-30");
+    assert.equal(isPollClosed({ poll: {} }, now), false);
+    assert.equal(isPollClosed({ poll: { closesAt } }, now), true);
+    assert.equal(isPollClosed({ poll: {}, isLocked: true }, now), true);
+  });
+});
+
+describe("pollSummary", () => {
+  it("counts votes per option and shows the viewer's own", async () => {
+    const thread = threadWithPoll();
+    const mongo = thread.poll.options[0]._id;
+    stub(PollVote, "aggregate", (pipeline) =>
+      query(
+        pipeline.length === 3
+          ? [{ _id: mongo, count: 2 }]
+          : [{ _id: thread._id, count: 2 }]
+      )
+    );
+    stub(PollVote, "find", () =>
+      query([{ thread: thread._id, options: [mongo] }])
+    );
+
+    const summary = await pollSummary(thread, id());
+    assert.equal(summary.voterCount, 2);
+    assert.deepEqual(
+      summary.options.map(({ voteCount }) => voteCount),
+      [2, 0]
+    );
+    assert.deepEqual(summary.viewerVotes, [mongo]);
+  });
+});
+
+describe("POST /threads/:id/poll/votes", () => {
+  it("records the vote and answers with the results", async () => {
+    const { user, token } = signIn();
+    const thread = threadWithPoll();
+    stub(Thread, "findOne", () => query(thread));
+    const option = thread.poll.options[0]._id;
+
+    const { status, body } = await vote(token, thread, [option]);
+    assert.equal(status, 200);
+    assert.equal(body.data.question, "Which one?");
+    const [[created]] = callsOf(PollVote, "create");
+    assert.equal(created.user, user._id.toString());
+    assert.deepEqual(created.options, [option.toString()]);
+  });
+
+  it("takes one option in single-choice polls", async () => {
+    const { token } = signIn();
+    const thread = threadWithPoll();
+    stub(Thread, "findOne", () => query(thread));
+
+    const { status } = await vote(
+      token,
+      thread,
+      thread.poll.options.map(({ _id }) => _id)
+    );
+    assert.equal(status, 400);
+  });
+
+  it("refuses votes once the poll is closed", async () => {
+    const { token } = signIn();
+    const thread = threadWithPoll({}, { isLocked: true });
+    stub(Thread, "findOne", () => query(thread));
+
+    const { status } = await vote(token, thread, [thread.poll.options[0]._id]);
+    assert.equal(status, 403);
+  });
+
+  it("takes the same permission as commenting", async () => {
+    const { token } = signIn({
+      restrictions: [{ type: "mute", scope: ["comment"], reason: "Cool off" }],
+    });
+    const thread = threadWithPoll();
+    stub(Thread, "findOne", () => query(thread));
+
+    const { status, body } = await vote(token, thread, [
+      thread.poll.options[0]._id,
+    ]);
+    assert.equal(status, 403);
+    assert.equal(body.code, "ACCOUNT_MUTED");
+
+    const taken = await request(
+      app,
+      "DELETE",
+      `/threads/${thread._id}/poll/votes`,
+      { token }
+    );
+    assert.equal(taken.status, 403);
+    assert.equal(PollVote.findOne.mock.callCount(), 0);
+  });
+});
+
+describe("GET /threads/:id/poll/votes", () => {
+  it("keeps anonymous polls anonymous", async () => {
+    const thread = threadWithPoll({ anonymous: true });
+    stub(Thread, "findOne", () => query(thread));
+    const { status } = await request(
+      app,
+      "GET",
+      `/threads/${thread._id}/poll/votes`
+    );
+    assert.equal(status, 403);
+  });
+});
@@ -0,0 +1,84 @@
+import { describe, it, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import userRoutes from "../routes/user.routes.js";
+import User from "../models/user.model.js";
+import Thread from "../models/thread.model.js";
+import Comment from "../models/comment.model.js";
+import { detectImage } from "../utils/images.js";
+import {
+  appWith,
+  callsOf,
+  id,
+  query,
+  request,
+  stub,
+  stubModels,
+} from "./helpers.js";
+
+const app = appWith("/users", userRoutes);
+
+beforeEach(stubModels);
+afterEach(() => mock.restoreAll());
+
+describe("detectImage", () => {
+  it("goes by the file's leading bytes", () => {
+    const png = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a]);
+    assert.deepEqual(detectImage(png), { type: "image/png", extension: "png" });
+
+    const webp = Buffer.from("RIFF\0\0\0\0WEBPVP8 ");
+    assert.equal(detectImage(webp).type, "image/webp");
+  });
+
+  it("refuses anything else", () => {
+    assert.equal(detectImage(Buffer.from("<svg></svg>")), null);
+    assert.equal(detectImage(Buffer.from("RIFF\0\0\0\0WAVE")), null);
+    assert.equal(detectImage(Buffer.alloc(0)), null);
+  });
+});
+
+describe("GET /users/:username", () => {
+  it("shows the profile with what the viewer may see of its activity", async () => {
+    const ada = new User({ username: "ada", bio: "Hello" });
+    stub(User, "findOne", () => query(ada));
+    stub(Thread, "countDocuments", () => query(4));
+    stub(Comment, "aggregate", () => query([{ count: 2 }]));
+
+    const { status, body } = await request(app, "GET", "/users/ada");
+    assert.equal(status, 200);
+    assert.equal(body.data.bio, "Hello");
+    assert.equal(body.data.threadCount, 4);
+    assert.equal(body.data.commentCount, 2);
+    assert.equal(body.data.email, undefined);
+    const [[filter]] = callsOf(Thread, "countDocuments");
+    assert.equal(filter.isPublic, true);
+    assert.deepEqual(filter.isHidden, { $ne: true });
+  });
+
+  it("is a 404 for unknown users", async () => {
+    const { status } = await request(app, "GET", "/users/nobody");
+    assert.equal(status, 404);
+  });
+});
+
+describe("GET /users/:username/comments", () => {
+  it("pages the comments before looking up their threads", async () => {
+    const ada = new User({ username: "ada" });
+    stub(User, "findOne", () => query(ada));
+    const shown = { _id: id(), thread: { _id: id(), title: "Open" } };
+    const inHiddenThread = { _id: id(), thread: null };
+    stub(Comment, "aggregate", () => query([shown, inHiddenThread]));
+
+    const { body } = await request(app, "GET", "/users/ada/comments?limit=5");
+    assert.deepEqual(
+      body.data.map(({ _id }) => _id),
+      [shown._id.toString()]
+    );
+    const stages = callsOf(Comment, "aggregate")[0][0].map(
+      (stage) => Object.keys(stage)[0]
+    );
+    assert.ok(stages.indexOf("$limit") < stages.indexOf("$lookup"));
+    assert.deepEqual(callsOf(Comment, "aggregate")[0][0][0].$match.isHidden, {
+      $ne: true,
+    });
+  });
+});
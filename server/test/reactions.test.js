@@ -0,0 +1,122 @@
+import { describe, it, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import threadRoutes from "../routes/thread.routes.js";
+import commentRoutes from "../routes/comment.routes.js";
+import Thread from "../models/thread.model.js";
+import Comment from "../models/comment.model.js";
+import { summarizeReactions } from "../utils/reactions.js";
+import {
+  appWith,
+  callsOf,
+  id,
+  query,
+  request,
+  signIn,
+  stub,
+  stubModels,
+} from "./helpers.js";
+
+const threads = appWith("/threads", threadRoutes);
+const comments = appWith("/comments", commentRoutes);
+
+beforeEach(stubModels);
+afterEach(() => mock.restoreAll());
+
+describe("summarizeReactions", () => {
+  it("counts likes and reactions and reports the viewer's own", () => {
+    const viewer = id();
+    const summary = summarizeReactions(
+      {
+        title: "Post",
+        likes: [viewer, id()],
+        reactions: [
+          { user: viewer, type: "heart" },
+          { user: id(), type: "heart" },
+          { user: id(), type: "laugh" },
+        ],
+      },
+      viewer.toString()
+    );
+    assert.equal(summary.title, "Post");
+    assert.equal(summary.likeCount, 2);
+    assert.deepEqual(summary.reactionCounts, {
+      upvote: 0,
+      heart: 2,
+      laugh: 1,
+      insightful: 0,
+    });
+    assert.deepEqual(summary.viewerReaction, { liked: true, type: "heart" });
+    assert.equal(summary.likes, undefined);
+  });
+
+  it("gives guests an empty viewer state", () => {
+    const summary = summarizeReactions({ likes: [id()] }, undefined);
+    assert.deepEqual(summary.viewerReaction, { liked: false, type: null });
+  });
+});
+
+describe("likes", () => {
+  it("likes a thread and answers with the new state", async () => {
+    const { user, token } = signIn();
+    const thread = new Thread({ title: "Likeable", likes: [user._id] });
+    stub(Thread, "findOneAndUpdate", () => query(thread));
+
+    const { status, body } = await request(
+      threads,
+      "PUT",
+      `/threads/${thread._id}/like`,
+      { token }
+    );
+    assert.equal(status, 200);
+    assert.equal(body.data.likeCount, 1);
+    assert.equal(body.data.viewerReaction.liked, true);
+    assert.deepEqual(callsOf(Thread, "findOneAndUpdate")[0][1], {
+      $addToSet: { likes: user._id.toString() },
+    });
+  });
+
+  it("toggles a like off when the viewer already liked the post", async () => {
+    const { token } = signIn();
+    const thread = new Thread({ title: "Liked" });
+    stub(Thread, "findOneAndUpdate", () => query(thread));
+
+    const { body } = await request(
+      threads,
+      "POST",
+      `/threads/${thread._id}/like`,
+      { token }
+    );
+    assert.equal(body.data.viewerReaction.liked, false);
+    const calls = callsOf(Thread, "findOneAndUpdate");
+    assert.equal(calls.length, 1);
+    assert.ok(calls[0][1].$pull);
+  });
+});
+
+describe("reactions", () => {
+  it("refuses unknown reaction types", async () => {
+    const { token } = signIn();
+    const { status } = await request(
+      threads,
+      "PUT",
+      `/threads/${id()}/reactions`,
+      { token, body: { type: "angry" } }
+    );
+    assert.equal(status, 400);
+  });
+
+  it("does not reach comments in threads the viewer cannot see", async () => {
+    const { token } = signIn();
+    const comment = new Comment({ content: "Hi", thread: id() });
+    stub(Comment, "findOne", () => query(comment));
+
+    const { status } = await request(
+      comments,
+      "PUT",
+      `/comments/${comment._id}/reactions`,
+      { token, body: { type: "heart" } }
+    );
+    assert.equal(status, 404);
+    assert.equal(callsOf(Comment, "findOneAndUpdate").length, 0);
+  });
+});
@@ -0,0 +1,165 @@
+import { describe, it, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import liveRoutes from "../routes/live.routes.js";
+import Session from "../models/session.model.js";
+import {
+  FEED_CHANNEL,
+  threadChannel,
+  publish,
+  publishComment,
+  subscribe,
+  eventForViewer,
+  parseUpdatedSince,
+} from "../utils/realtime.js";
+import { resolvePermissions } from "../utils/permissions.js";
+import { appWith, id, query, signIn, stub, stubModels } from "./helpers.js";
+
+beforeEach(stubModels);
+afterEach(() => {
+  mock.restoreAll();
+  mock.timers.reset();
+});
+
+const member = {
+  userId: id().toString(),
+  role: "community_member",
+  permissions: resolvePermissions("community_member"),
+};
+
+describe("subscribe", () => {
+  it("delivers events on the channel until unsubscribed", () => {
+    const received = [];
+    const unsubscribe = subscribe(FEED_CHANNEL, (event) =>
+      received.push(event)
+    );
+    publish(FEED_CHANNEL, "thread.created", { title: "One" });
+    publish(threadChannel(id()), "thread.updated", { title: "Elsewhere" });
+    unsubscribe();
+    publish(FEED_CHANNEL, "thread.created", { title: "Two" });
+
+    assert.deepEqual(
+      received.map(({ type, data }) => [type, data.title]),
+      [["thread.created", "One"]]
+    );
+    assert.ok(!Number.isNaN(Date.parse(received[0].id)));
+  });
+
+  it("broadcasts comments on their thread's channel, without viewer state", () => {
+    const thread = id();
+    const received = [];
+    const unsubscribe = subscribe(threadChannel(thread), (event) =>
+      received.push(event)
+    );
+    publishComment("comment.created", {
+      _id: id(),
+      thread,
+      content: "Hi",
+      likes: [id()],
+    });
+    unsubscribe();
+
+    assert.equal(received[0].data.likeCount, 1);
+    assert.equal(received[0].data.viewerReaction, undefined);
+  });
+});
+
+describe("eventForViewer", () => {
+  it("hides what hidden comments say", () => {
+    const event = {
+      id: "1",
+      type: "comment.updated",
+      data: { _id: id(), content: "Rude", isHidden: true },
+    };
+    assert.equal(eventForViewer(event, member).data.content, null);
+  });
+
+  it("passes other events through unchanged", () => {
+    const event = {
+      id: "1",
+      type: "reactions.updated",
+      data: { likeCount: 2 },
+    };
+    assert.equal(eventForViewer(event, null), event);
+  });
+});
+
+describe("parseUpdatedSince", () => {
+  it("parses ISO dates and refuses anything else", () => {
+    assert.equal(parseUpdatedSince(undefined), undefined);
+    assert.equal(
+      parseUpdatedSince("2024-05-01T10:00:00Z").toISOString(),
+      "2024-05-01T10:00:00.000Z"
+    );
+    assert.throws(() => parseUpdatedSince("yesterday"), { status: 400 });
+  });
+});
+
+describe("GET /live/threads", () => {
+  const app = appWith("/live", liveRoutes);
+
+  // Open a stream and collect what it sends until it ends or `until` matches
+  const openStream = async (url, until) => {
+    const server = app.listen(0);
+    await new Promise((resolve) => server.once("listening", resolve));
+    const serverClosed = new Promise((resolve) =>
+      server.once("request", (req) => req.once("close", resolve))
+    );
+    const response = await fetch(
+      `http://127.0.0.1:${server.address().port}${url}`
+    );
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let text = "";
+    const received = (async () => {
+      for (;;) {
+        const { value, done } = await reader.read();
+        if (done) return text;
+        text += decoder.decode(value);
+        if (until.test(text)) return text;
+      }
+    })();
+    return {
+      response,
+      received: () => text,
+      // Settles once the server has seen the stream end too
+      done: received.then(async () => {
+        server.closeAllConnections();
+        server.close();
+        await serverClosed;
+        return text;
+      }),
+    };
+  };
+
+  it("streams new public threads to guests", async () => {
+    const stream = await openStream("/live/threads", /event: thread\.created/);
+    assert.equal(
+      stream.response.headers.get("content-type"),
+      "text/event-stream; charset=utf-8"
+    );
+    publish(FEED_CHANNEL, "thread.created", {
+      _id: id(),
+      title: "Fresh",
+      isPublic: true,
+    });
+    assert.match(await stream.done, /"title":"Fresh"/);
+  });
+
+  it("ends the stream once its session is revoked", async () => {
+    mock.timers.enable({ apis: ["setInterval"] });
+    const { token } = signIn();
+    stub(Session, "exists", () => query({ _id: id() }));
+
+    const stream = await openStream(
+      `/live/threads?access_token=${token}`,
+      /event: session\.revoked/
+    );
+    mock.timers.tick(25 * 1000);
+    await new Promise((resolve) => setImmediate(resolve));
+    assert.doesNotMatch(stream.received(), /session\.revoked/);
+
+    stub(Session, "exists", () => query(null));
+    mock.timers.tick(25 * 1000);
+    assert.match(await stream.done, /event: session\.revoked/);
+  });
+});
@@ -0,0 +1,242 @@
+import { describe, it, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import userRoutes from "../routes/user.routes.js";
+import User from "../models/user.model.js";
+import Category from "../models/category.model.js";
+import Thread from "../models/thread.model.js";
+import Notification from "../models/notification.model.js";
+import ReputationEvent from "../models/reputationEvent.model.js";
+import {
+  REPUTATION_POINTS,
+  checkBadges,
+  reputationForLike,
+  reputationForModeration,
+  revokeReputationFor,
+} from "../utils/reputation.js";
+import { describeBadges } from "../utils/badges.js";
+import {
+  categoryPermissions,
+  categoryRules,
+  reputationShortfall,
+} from "../utils/categories.js";
+import { resolvePermissions } from "../utils/permissions.js";
+import {
+  appWith,
+  callsOf,
+  id,
+  query,
+  request,
+  stub,
+  stubModels,
+} from "./helpers.js";
+
+const app = appWith("/users", userRoutes);
+
+beforeEach(stubModels);
+afterEach(() => mock.restoreAll());
+
+// The ledger as award() sees it: whether the upsert added an entry
+const ledgerAccepts = (accepted) =>
+  stub(ReputationEvent, "updateOne", () =>
+    query({ upsertedCount: accepted ? 1 : 0 })
+  );
+
+describe("reputationForLike", () => {
+  it("awards the author points once per liker", async () => {
+    ledgerAccepts(true);
+    const post = { _id: id(), author: id() };
+    const actor = id();
+
+    await reputationForLike({
+      doc: post,
+      targetType: "Thread",
+      actor,
+      liked: true,
+    });
+    const [[filter, update, options]] = callsOf(ReputationEvent, "updateOne");
+    assert.deepEqual(filter, { key: `like:${post._id}:${actor}` });
+    assert.equal(update.$setOnInsert.points, REPUTATION_POINTS.like);
+    assert.equal(options.upsert, true);
+    assert.deepEqual(callsOf(User, "updateOne")[0], [
+      { _id: post.author },
+      { $inc: { reputation: REPUTATION_POINTS.like } },
+    ]);
+  });
+
+  it("changes nothing when the like was already counted", async () => {
+    ledgerAccepts(false);
+    await reputationForLike({
+      doc: { _id: id(), author: id() },
+      targetType: "Thread",
+      actor: id(),
+      liked: true,
+    });
+    assert.equal(User.updateOne.mock.callCount(), 0);
+  });
+
+  it("earns nothing for liking your own post", async () => {
+    const author = id();
+    await reputationForLike({
+      doc: { _id: id(), author },
+      targetType: "Comment",
+      actor: author,
+      liked: true,
+    });
+    assert.equal(ReputationEvent.updateOne.mock.callCount(), 0);
+  });
+
+  it("takes the points back on unlike", async () => {
+    const author = id();
+    stub(ReputationEvent, "findOneAndDelete", () =>
+      query({ user: author, points: 2 })
+    );
+    await reputationForLike({
+      doc: { _id: id(), author },
+      targetType: "Comment",
+      actor: id(),
+      liked: false,
+    });
+    assert.deepEqual(callsOf(User, "updateOne")[0], [
+      { _id: author },
+      { $inc: { reputation: -2 } },
+    ]);
+  });
+});
+
+describe("reputationForModeration", () => {
+  it("costs the author points when a moderator removes a post", async () => {
+    ledgerAccepts(true);
+    const post = { _id: id(), author: id() };
+    await reputationForModeration({
+      doc: post,
+      targetType: "Comment",
+      moderator: id(),
+      penalized: true,
+    });
+    const [[filter, update]] = callsOf(ReputationEvent, "updateOne");
+    assert.deepEqual(filter, { key: `moderation:${post._id}` });
+    assert.equal(update.$setOnInsert.points, REPUTATION_POINTS.moderation);
+  });
+});
+
+describe("revokeReputationFor", () => {
+  it("takes back what deleted posts earned, but not penalties", async () => {
+    const targets = [id(), id()];
+    stub(ReputationEvent, "find", () => query([{ key: "like:a:b" }]));
+    stub(ReputationEvent, "findOneAndDelete", () =>
+      query({ user: id(), points: 2 })
+    );
+
+    await revokeReputationFor(targets);
+    const [[filter]] = callsOf(ReputationEvent, "find");
+    assert.deepEqual(filter.target, { $in: targets });
+    assert.ok(!filter.reason.$in.includes("moderation"));
+    assert.deepEqual(callsOf(ReputationEvent, "findOneAndDelete")[0][0], {
+      key: "like:a:b",
+    });
+  });
+});
+
+describe("checkBadges", () => {
+  it("awards badges whose rule is met and notifies the member", async () => {
+    const user = new User({ username: "ada" });
+    stub(User, "findById", () => query(user));
+    stub(Thread, "exists", () => query({ _id: id() }));
+    stub(User, "updateOne", () => query({ modifiedCount: 1 }));
+
+    const awarded = await checkBadges(user._id);
+    assert.deepEqual(
+      awarded.map((badge) => badge.id),
+      ["first-post"]
+    );
+    const [[filter, update]] = callsOf(User, "updateOne");
+    assert.deepEqual(filter["badges.badge"], { $ne: "first-post" });
+    assert.equal(update.$push.badges.badge, "first-post");
+    assert.equal(callsOf(Notification, "create")[0][0].type, "badge");
+  });
+
+  it("skips badges the member already has", async () => {
+    const user = new User({
+      username: "ada",
+      badges: [{ badge: "first-post", awardedAt: new Date() }],
+    });
+    stub(User, "findById", () => query(user));
+    assert.deepEqual(await checkBadges(user._id), []);
+    assert.equal(Thread.exists.mock.callCount(), 0);
+  });
+});
+
+describe("describeBadges", () => {
+  it("names known badges and drops retired ones", () => {
+    const awardedAt = new Date();
+    assert.deepEqual(
+      describeBadges([
+        { badge: "first-post", awardedAt },
+        { badge: "retired", awardedAt },
+      ]),
+      [
+        {
+          id: "first-post",
+          name: "First Post",
+          description: "Started a thread or wrote a comment",
+          awardedAt,
+        },
+      ]
+    );
+  });
+});
+
+describe("GET /users/leaderboard", () => {
+  it("ranks members by reputation", async () => {
+    stub(User, "find", () =>
+      query([
+        { username: "ada", reputation: 40 },
+        { username: "bob", reputation: 12 },
+      ])
+    );
+    const { body } = await request(app, "GET", "/users/leaderboard");
+    assert.deepEqual(
+      body.data.map(({ rank, points }) => [rank, points]),
+      [
+        [1, 40],
+        [2, 12],
+      ]
+    );
+    assert.deepEqual(callsOf(User, "find")[0][0].role, { $ne: "guest" });
+  });
+
+  it("refuses unknown periods", async () => {
+    const { status } = await request(
+      app,
+      "GET",
+      "/users/leaderboard?period=year"
+    );
+    assert.equal(status, 400);
+  });
+});
+
+describe("category reputation thresholds", () => {
+  it("hold back posting until members have the reputation", async () => {
+    const rules = await categoryRules(
+      new Category({ name: "Experts", slug: "experts", minPostReputation: 50 })
+    );
+    const user = {
+      userId: id().toString(),
+      role: "community_member",
+      permissions: resolvePermissions("community_member"),
+      reputation: 20,
+    };
+
+    assert.equal(categoryPermissions(user, rules).canPost, false);
+    assert.equal(categoryPermissions(user, rules).canComment, true);
+    assert.deepEqual(reputationShortfall(user, rules, ["canPost"]), {
+      permission: "canPost",
+      required: 50,
+      current: 20,
+    });
+    assert.equal(
+      categoryPermissions({ ...user, reputation: 50 }, rules).canPost,
+      true
+    );
+  });
+});
@@ -0,0 +1,182 @@
+import { describe, it, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { muteFor, applyMutes } from "../utils/restrictions.js";
+import { resolvePermissions } from "../utils/permissions.js";
+import authorize from "../middleware/authorize.js";
+import restrictionRoutes from "../routes/restriction.routes.js";
+import User from "../models/user.model.js";
+import Session from "../models/session.model.js";
+import { appWith, callsOf, request, signIn, stubModels } from "./helpers.js";
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const mute = (fields = {}) => ({
+  type: "mute",
+  reason: "Flooding",
+  expiresAt: new Date(Date.now() + HOUR_MS),
+  ...fields,
+});
+
+const memberWith = (restrictions) => ({
+  userId: "64b000000000000000000001",
+  role: "community_member",
+  permissions: resolvePermissions("community_member"),
+  restrictions,
+});
+
+// Run the middleware and resolve with what it passed to next()
+const runAuthorize = (options, user) =>
+  new Promise((resolve) => {
+    authorize(options)({ user }, {}, resolve);
+  });
+
+describe("muteFor", () => {
+  it("applies a mute only to the activities in its scope", () => {
+    const user = memberWith([mute({ scope: ["comment"] })]);
+    assert.ok(muteFor(user, "canComment"));
+    assert.equal(muteFor(user, "canPost"), undefined);
+  });
+
+  it("mutes every activity when the mute has no scope", () => {
+    const user = memberWith([mute()]);
+    assert.ok(muteFor(user, "canPost"));
+    assert.ok(muteFor(user, "canComment"));
+    assert.ok(muteFor(user, "canMessage"));
+  });
+
+  it("ignores mutes that expired or were lifted", () => {
+    const user = memberWith([
+      mute({ expiresAt: new Date(Date.now() - HOUR_MS) }),
+      mute({ liftedAt: new Date() }),
+    ]);
+    assert.equal(muteFor(user, "canPost"), undefined);
+  });
+});
+
+describe("applyMutes", () => {
+  it("removes the muted permissions and keeps the rest", () => {
+    const user = memberWith([mute({ scope: ["post", "message"] })]);
+    const permissions = applyMutes(user, user.permissions);
+    assert.equal(permissions.canPost, false);
+    assert.equal(permissions.canMessage, false);
+    assert.equal(permissions.canComment, true);
+  });
+});
+
+describe("authorize", () => {
+  it("explains a mute instead of failing with a bare 403", async () => {
+    const user = memberWith([mute({ scope: ["post"] })]);
+    user.permissions = applyMutes(user, user.permissions);
+
+    const error = await runAuthorize({ permissions: ["canPost"] }, user);
+    assert.equal(error.status, 403);
+    assert.equal(error.code, "ACCOUNT_MUTED");
+    assert.equal(error.details.restriction.scope[0], "post");
+  });
+
+  it("lets muted users do what the mute does not cover", async () => {
+    const user = memberWith([mute({ scope: ["post"] })]);
+    user.permissions = applyMutes(user, user.permissions);
+
+    assert.equal(
+      await runAuthorize({ permissions: ["canComment"] }, user),
+      undefined
+    );
+  });
+
+  it("refuses missing permissions and unauthenticated requests", async () => {
+    const member = memberWith([]);
+    const error = await runAuthorize({ permissions: ["canModerate"] }, member);
+    assert.equal(error.status, 403);
+    assert.equal(error.code, "FORBIDDEN");
+
+    const guest = await runAuthorize({ permissions: ["canPost"] }, undefined);
+    assert.equal(guest.status, 401);
+  });
+});
+
+describe("/admin/users/:userId/restrictions", () => {
+  const app = appWith("/admin/users/:userId/restrictions", restrictionRoutes);
+
+  beforeEach(stubModels);
+  afterEach(() => mock.restoreAll());
+
+  const restrict = (token, user, body) =>
+    request(app, "POST", `/admin/users/${user._id}/restrictions`, {
+      token,
+      body,
+    });
+
+  it("bans a user and ends their sessions", async () => {
+    const { token } = signIn({ role: "admin" });
+    const { user } = signIn();
+
+    const { status, body } = await restrict(token, user, {
+      type: "ban",
+      reason: "Spam",
+    });
+    assert.equal(status, 201);
+    assert.equal(body.data.type, "ban");
+    assert.equal(body.data.active, true);
+    assert.equal(callsOf(Session, "updateMany")[0][0].user, user._id);
+  });
+
+  it("mutes without touching the user's other fields", async () => {
+    const { token } = signIn({ role: "admin" });
+    const { user } = signIn();
+
+    await restrict(token, user, {
+      type: "mute",
+      reason: "Flooding",
+      durationHours: 2,
+      scope: ["comment"],
+    });
+    assert.equal(User.prototype.save.mock.callCount(), 0);
+    const [[filter, update]] = callsOf(User, "updateOne");
+    assert.equal(filter._id, user._id);
+    assert.deepEqual(update.$push.restrictions.scope, ["comment"]);
+    assert.equal(callsOf(Session, "updateMany").length, 0);
+  });
+
+  it("lifts a restriction in place", async () => {
+    const { token } = signIn({ role: "admin" });
+    const { user } = signIn({ restrictions: [mute()] });
+    const [restriction] = user.restrictions;
+
+    const { status, body } = await request(
+      app,
+      "DELETE",
+      `/admin/users/${user._id}/restrictions/${restriction._id}`,
+      { token }
+    );
+    assert.equal(status, 200);
+    assert.equal(body.data.active, false);
+    assert.equal(User.prototype.save.mock.callCount(), 0);
+    const [[filter, update]] = callsOf(User, "updateOne");
+    assert.equal(filter["restrictions._id"], restriction._id);
+    assert.ok(update.$set["restrictions.$.liftedAt"]);
+  });
+
+  it("is for user managers only", async () => {
+    const { token } = signIn({ role: "moderator" });
+    const { user } = signIn();
+    const { status } = await restrict(token, user, {
+      type: "ban",
+      reason: "Spam",
+    });
+    assert.equal(status, 403);
+  });
+
+  it("keeps banned users out", async () => {
+    const banned = signIn({
+      role: "admin",
+      restrictions: [{ type: "ban", reason: "Spam" }],
+    });
+    const { status, body } = await restrict(banned.token, signIn().user, {
+      type: "ban",
+      reason: "Revenge",
+    });
+    assert.equal(status, 403);
+    assert.equal(body.code, "ACCOUNT_BANNED");
+  });
+});
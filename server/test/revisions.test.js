@@ -0,0 +1,186 @@
+import { describe, it, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import threadRoutes from "../routes/thread.routes.js";
+import Thread from "../models/thread.model.js";
+import Revision from "../models/revision.model.js";
+import { diffRevisions, recordRevision, snapshot } from "../utils/revisions.js";
+import {
+  appWith,
+  callsOf,
+  id,
+  query,
+  request,
+  signIn,
+  stub,
+  stubModels,
+} from "./helpers.js";
+
+const app = appWith("/threads", threadRoutes);
+
+beforeEach(stubModels);
+afterEach(() => mock.restoreAll());
+
+const versions = (target, ...texts) =>
+  texts.map((content, index) => ({
+    _id: id(),
+    target,
+    version: index + 1,
+    title: "Title",
+    content,
+  }));
+
+describe("recordRevision", () => {
+  it("stores the original along with the first edit", async () => {
+    const author = id();
+    const editor = id();
+    const thread = new Thread({ title: "Title", content: "New", author });
+
+    await recordRevision({
+      doc: thread,
+      targetType: "Thread",
+      before: { title: "Title", content: "Old" },
+      editor,
+      reason: "typo",
+    });
+    const [[original], [edit]] = callsOf(Revision, "create");
+    assert.deepEqual(
+      [original.version, original.content, original.editor],
+      [1, "Old", author]
+    );
+    assert.deepEqual(
+      [edit.version, edit.content, edit.editor, edit.reason],
+      [2, "New", editor, "typo"]
+    );
+  });
+
+  it("numbers later edits after the latest version", async () => {
+    const thread = new Thread({ title: "Title", content: "Third" });
+    stub(Revision, "findOne", () => query({ version: 2 }));
+
+    await recordRevision({
+      doc: thread,
+      targetType: "Thread",
+      before: { title: "Title", content: "Second" },
+      editor: id(),
+    });
+    const calls = callsOf(Revision, "create");
+    assert.equal(calls.length, 1);
+    assert.equal(calls[0][0].version, 3);
+  });
+
+  it("stores nothing when no revised field changed", async () => {
+    const thread = new Thread({ title: "Same", content: "Same" });
+    const revision = await recordRevision({
+      doc: thread,
+      targetType: "Thread",
+      before: snapshot(thread, "Thread"),
+      editor: id(),
+    });
+    assert.equal(revision, null);
+    assert.equal(Revision.create.mock.callCount(), 0);
+  });
+});
+
+describe("diffRevisions", () => {
+  it("diffs titles by word and content by line", () => {
+    const diff = diffRevisions(
+      { title: "Slow query", content: "a\nb\n" },
+      { title: "Fast query", content: "a\nc\n" },
+      "Thread"
+    );
+    assert.deepEqual(diff.title, [
+      { type: "removed", value: "Slow" },
+      { type: "added", value: "Fast" },
+      { type: "unchanged", value: " query" },
+    ]);
+    assert.deepEqual(
+      diff.content.map(({ type }) => type),
+      ["unchanged", "removed", "added"]
+    );
+  });
+});
+
+describe("GET /threads/:id/revisions", () => {
+  it("lists every version with a diff against the one before", async () => {
+    const thread = new Thread({ title: "Title", content: "two" });
+    stub(Thread, "findOne", () => query(thread));
+    stub(Revision, "find", () => query(versions(thread._id, "one", "two")));
+
+    const { status, body } = await request(
+      app,
+      "GET",
+      `/threads/${thread._id}/revisions`
+    );
+    assert.equal(status, 200);
+    assert.deepEqual(
+      body.data.map(({ version }) => version),
+      [1, 2]
+    );
+    assert.deepEqual(body.data[1].diff.content, [
+      { type: "removed", value: "one" },
+      { type: "added", value: "two" },
+    ]);
+  });
+
+  it("shows an unedited thread as its only version", async () => {
+    const thread = new Thread({ title: "Title", content: "Original" });
+    stub(Thread, "findOne", () => query(thread));
+
+    const { body } = await request(
+      app,
+      "GET",
+      `/threads/${thread._id}/revisions`
+    );
+    assert.equal(body.data.length, 1);
+    assert.equal(body.data[0].content, "Original");
+  });
+});
+
+describe("POST /threads/:id/revisions/:version/revert", () => {
+  it("lets moderators restore an earlier version", async () => {
+    const { token } = signIn({ role: "moderator" });
+    const thread = new Thread({ title: "Title", content: "vandalized" });
+    stub(Thread, "findOne", () => query(thread));
+    stub(Revision, "find", () =>
+      query(versions(thread._id, "fine", "vandalized"))
+    );
+    stub(Revision, "findOne", () => query({ version: 2 }));
+
+    const { status, body } = await request(
+      app,
+      "POST",
+      `/threads/${thread._id}/revisions/1/revert`,
+      { token, body: {} }
+    );
+    assert.equal(status, 200);
+    assert.equal(body.data.content, "fine");
+    assert.equal(body.version, 3);
+    assert.equal(callsOf(Revision, "create")[0][0].revertedFrom, 1);
+  });
+
+  it("is for moderators only", async () => {
+    const { token } = signIn();
+    const { status } = await request(
+      app,
+      "POST",
+      `/threads/${id()}/revisions/1/revert`,
+      { token, body: {} }
+    );
+    assert.equal(status, 403);
+  });
+});
+
+describe("DELETE /threads/:id", () => {
+  it("drops the history of the thread and its comments", async () => {
+    const { user, token } = signIn();
+    const thread = new Thread({ title: "Gone", author: user._id });
+    const commentId = id();
+    stub(Thread, "findById", () => query(thread));
+    stub(Thread.base.models.Comment, "distinct", () => query([commentId]));
+
+    await request(app, "DELETE", `/threads/${thread._id}`, { token });
+    assert.deepEqual(callsOf(Revision, "deleteMany")[0][0], {
+      target: { $in: [thread._id, commentId] },
+    });
+  });
+});
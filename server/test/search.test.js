@@ -0,0 +1,104 @@
+import { describe, it, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import searchRoutes from "../routes/search.routes.js";
+import Thread from "../models/thread.model.js";
+import Comment from "../models/comment.model.js";
+import User from "../models/user.model.js";
+import { searchTerms, buildSnippet } from "../utils/search.js";
+import {
+  appWith,
+  callsOf,
+  id,
+  query,
+  request,
+  stub,
+  stubModels,
+} from "./helpers.js";
+
+const app = appWith("/search", searchRoutes);
+
+beforeEach(stubModels);
+afterEach(() => mock.restoreAll());
+
+describe("searchTerms", () => {
+  it("splits phrases and drops negated terms", () => {
+    assert.deepEqual(searchTerms('"connection pool" -mysql timeout'), [
+      "connection",
+      "pool",
+      "timeout",
+    ]);
+  });
+});
+
+describe("buildSnippet", () => {
+  it("highlights every match and escapes the rest", () => {
+    assert.equal(
+      buildSnippet("Pool <b>size</b> and pool timeout", ["pool"]),
+      "<mark>Pool</mark> &lt;b&gt;size&lt;/b&gt; and <mark>pool</mark> timeout"
+    );
+  });
+
+  it("centres long texts on the first match", () => {
+    const text = `${"a".repeat(200)} needle ${"b".repeat(200)}`;
+    const snippet = buildSnippet(text, ["needle"], 20);
+    assert.ok(snippet.startsWith("…"));
+    assert.ok(snippet.endsWith("…"));
+    assert.ok(snippet.includes("<mark>needle</mark>"));
+  });
+});
+
+describe("GET /search", () => {
+  it("needs a query", async () => {
+    const { status } = await request(app, "GET", "/search?q=%20");
+    assert.equal(status, 400);
+  });
+
+  it("ranks threads matched directly and through their comments", async () => {
+    const direct = { _id: id(), title: "Pool sizes", content: "", score: 1 };
+    const viaComment = { _id: id(), title: "Other", content: "" };
+    stub(Thread, "find", (filter) =>
+      query(filter.$text ? [direct] : [viaComment])
+    );
+    stub(Comment, "find", () =>
+      query([{ _id: id(), thread: viaComment._id, content: "pool", score: 3 }])
+    );
+
+    const { status, body } = await request(
+      app,
+      "GET",
+      "/search?q=pool&includeComments=true"
+    );
+    assert.equal(status, 200);
+    assert.equal(body.total, 2);
+    assert.equal(body.data[0].thread._id, viaComment._id.toString());
+    assert.equal(body.data[0].comments.length, 1);
+    assert.equal(body.data[1].snippet.title, "<mark>Pool</mark> sizes");
+  });
+
+  it("applies author and date filters to comments as well", async () => {
+    const author = new User({ username: "ada" });
+    stub(User, "findOne", () => query(author));
+
+    await request(
+      app,
+      "GET",
+      "/search?q=pool&includeComments=true&author=ada&from=2024-01-01"
+    );
+    const [[threadFilter]] = callsOf(Thread, "find");
+    const [[commentFilter]] = callsOf(Comment, "find");
+    [threadFilter, commentFilter].forEach((filter) => {
+      assert.equal(filter.author, author._id);
+      assert.deepEqual(filter.createdAt, { $gte: new Date("2024-01-01") });
+    });
+    assert.deepEqual(commentFilter.isHidden, { $ne: true });
+  });
+
+  it("matches nothing for unknown authors and refuses bad dates", async () => {
+    await request(app, "GET", "/search?q=pool&author=nobody");
+    const [[filter]] = callsOf(Thread, "find");
+    assert.ok(filter.author);
+
+    const { status } = await request(app, "GET", "/search?q=pool&to=soon");
+    assert.equal(status, 400);
+  });
+});
@@ -0,0 +1,115 @@
+import { describe, it, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import authRoutes from "../routes/auth.routes.js";
+import meRoutes from "../routes/me.routes.js";
+import Session from "../models/session.model.js";
+import User from "../models/user.model.js";
+import { hashToken } from "../utils/sessions.js";
+import {
+  appWith,
+  callsOf,
+  id,
+  query,
+  request,
+  signIn,
+  stub,
+  stubModels,
+} from "./helpers.js";
+
+const auth = appWith("/auth", authRoutes);
+const me = appWith("/me", meRoutes);
+
+beforeEach(stubModels);
+afterEach(() => mock.restoreAll());
+
+describe("POST /auth/refresh", () => {
+  it("swaps the refresh token for a new pair", async () => {
+    const user = new User({ username: "ada", role: "community_member" });
+    stub(Session, "findOneAndUpdate", () =>
+      query({ _id: id(), user: user._id })
+    );
+    stub(User, "findById", () => query(user));
+
+    const { status, body } = await request(auth, "POST", "/auth/refresh", {
+      body: { refreshToken: "old-token" },
+    });
+    assert.equal(status, 200);
+    assert.ok(body.token);
+    assert.notEqual(body.refreshToken, "old-token");
+
+    const [[filter, update]] = callsOf(Session, "findOneAndUpdate");
+    assert.equal(filter.refreshTokenHash, hashToken("old-token"));
+    assert.equal(update.$set.refreshTokenHash, hashToken(body.refreshToken));
+    assert.deepEqual(update.$push.previousTokenHashes.$each, [
+      hashToken("old-token"),
+    ]);
+  });
+
+  it("revokes the session when a rotated-out token comes back", async () => {
+    let calls = 0;
+    stub(Session, "findOneAndUpdate", () =>
+      query(calls++ === 0 ? null : { _id: id() })
+    );
+
+    const { status, body } = await request(auth, "POST", "/auth/refresh", {
+      body: { refreshToken: "stolen-token" },
+    });
+    assert.equal(status, 401);
+    assert.match(body.message, /reuse detected/);
+    const [, [filter, update]] = callsOf(Session, "findOneAndUpdate");
+    assert.equal(filter.previousTokenHashes, hashToken("stolen-token"));
+    assert.equal(update.$set.revokedReason, "token_reuse");
+  });
+
+  it("refuses unknown refresh tokens", async () => {
+    const { status } = await request(auth, "POST", "/auth/refresh", {
+      body: { refreshToken: "made-up" },
+    });
+    assert.equal(status, 401);
+  });
+});
+
+describe("logout", () => {
+  it("revokes the current session", async () => {
+    const { token, sessionId } = signIn();
+    const { status } = await request(auth, "POST", "/auth/logout", { token });
+    assert.equal(status, 200);
+    const [[filter, update]] = callsOf(Session, "updateOne");
+    assert.equal(filter._id, sessionId.toString());
+    assert.equal(update.$set.revokedReason, "logout");
+  });
+
+  it("revokes every session of the user with logout-all", async () => {
+    const { user, token } = signIn();
+    stub(Session, "updateMany", () => query({ modifiedCount: 3 }));
+
+    const { body } = await request(auth, "POST", "/auth/logout-all", {
+      token,
+    });
+    assert.equal(body.data.revoked, 3);
+    assert.equal(
+      callsOf(Session, "updateMany")[0][0].user,
+      user._id.toString()
+    );
+  });
+
+  it("stops access tokens of revoked sessions", async () => {
+    const { token } = signIn();
+    stub(Session, "findOne", () => query(null));
+    const { status } = await request(me, "GET", "/me/sessions", { token });
+    assert.equal(status, 401);
+  });
+});
+
+describe("GET /me/sessions", () => {
+  it("lists the live sessions and marks the current one", async () => {
+    const { token, sessionId } = signIn();
+    stub(Session, "find", () => query([{ _id: sessionId }, { _id: id() }]));
+
+    const { body } = await request(me, "GET", "/me/sessions", { token });
+    assert.deepEqual(
+      body.data.map(({ current }) => current),
+      [true, false]
+    );
+  });
+});
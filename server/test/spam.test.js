@@ -0,0 +1,191 @@
+import { describe, it, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import express from "express";
+import commentRoutes from "../routes/comment.routes.js";
+import Thread from "../models/thread.model.js";
+import Comment from "../models/comment.model.js";
+import Report from "../models/report.model.js";
+import User from "../models/user.model.js";
+import {
+  assertNotDuplicate,
+  countLinks,
+  releaseHeldPost,
+  spamSuspicion,
+} from "../utils/spam.js";
+import {
+  byIp,
+  memoryStore,
+  rateLimit,
+  setRateLimitStore,
+} from "../utils/rateLimit.js";
+import {
+  assertNotLocked,
+  clearFailedLogins,
+  recordFailedLogin,
+} from "../utils/lockout.js";
+import {
+  appWith,
+  callsOf,
+  id,
+  query,
+  request,
+  signIn,
+  stub,
+  stubModels,
+} from "./helpers.js";
+
+const comments = appWith("/comments", commentRoutes);
+
+beforeEach(() => {
+  stubModels();
+  setRateLimitStore(memoryStore());
+});
+afterEach(() => mock.restoreAll());
+
+const postComment = (token, thread, content) =>
+  request(comments, "POST", "/comments", {
+    token,
+    body: { content, threadId: thread._id.toString() },
+  });
+
+describe("spamSuspicion", () => {
+  it("counts links", () => {
+    assert.equal(countLinks("see https://a.test and www.b.test"), 2);
+    assert.equal(countLinks("no links here"), 0);
+  });
+
+  it("holds links from new accounts, but not from moderators", async () => {
+    const user = new User({ username: "fresh", createdAt: new Date() });
+    stub(User, "findById", () => query(user));
+    const content = "https://a.test https://b.test";
+
+    assert.equal(
+      await spamSuspicion({ userId: user._id, permissions: {} }, content),
+      "New account posted 2 links"
+    );
+    assert.equal(
+      await spamSuspicion(
+        { userId: user._id, permissions: { canModerate: true } },
+        content
+      ),
+      null
+    );
+  });
+});
+
+describe("assertNotDuplicate", () => {
+  it("refuses the same text again within the scope", async () => {
+    stub(Comment, "find", () => query([{ content: "Thanks  for this!" }]));
+    const thread = id();
+
+    await assert.rejects(
+      assertNotDuplicate({
+        Model: Comment,
+        author: id(),
+        content: "thanks for this!",
+        scope: { thread },
+      }),
+      { status: 409, code: "DUPLICATE_CONTENT" }
+    );
+    assert.equal(callsOf(Comment, "find")[0][0].thread, thread);
+  });
+
+  it("only compares comments within their thread", async () => {
+    const { token } = signIn({ createdAt: new Date() });
+    const thread = new Thread({ title: "Open" });
+    stub(Thread, "findOne", () => query(thread));
+
+    const { status } = await postComment(token, thread, "Thanks!");
+    assert.equal(status, 201);
+    assert.equal(callsOf(Comment, "find")[0][0].thread, thread._id);
+  });
+});
+
+describe("held comments", () => {
+  it("are created hidden, reported and left out of the thread's count", async () => {
+    const { token } = signIn({ createdAt: new Date() });
+    const thread = new Thread({ title: "Open" });
+    stub(Thread, "findOne", () => query(thread));
+
+    const { status, body } = await postComment(
+      token,
+      thread,
+      "Cheap pills at https://a.test and https://b.test"
+    );
+    assert.equal(status, 201);
+    assert.match(body.message, /reviewed/);
+    assert.equal(body.data.isHidden, true);
+    assert.equal(body.data.heldForReview, true);
+    assert.equal(Thread.findByIdAndUpdate.mock.callCount(), 0);
+    assert.equal(callsOf(Report, "create")[0][0].reason, "spam");
+  });
+
+  it("count once released", async () => {
+    const comment = new Comment({
+      content: "Fine after all",
+      author: id(),
+      thread: id(),
+      heldForReview: true,
+    });
+
+    await releaseHeldPost({ doc: comment, targetType: "Comment" });
+    assert.equal(comment.heldForReview, false);
+    const [[threadId, update]] = callsOf(Thread, "findByIdAndUpdate");
+    assert.equal(threadId, comment.thread);
+    assert.deepEqual(update.$inc, { commentCount: 1 });
+    assert.ok(update.$set.lastActivityAt instanceof Date);
+  });
+});
+
+describe("rateLimit", () => {
+  it("answers 429 with Retry-After once the limit is used up", async () => {
+    const app = appWith(
+      "/signup",
+      express
+        .Router()
+        .post("/", rateLimit("signup", byIp), (req, res) =>
+          res.json({ success: true })
+        )
+    );
+
+    const statuses = [];
+    let last;
+    for (let i = 0; i < 6; i += 1) {
+      last = await request(app, "POST", "/signup");
+      statuses.push(last.status);
+    }
+    assert.deepEqual(statuses, [200, 200, 200, 200, 200, 429]);
+    assert.equal(last.body.code, "RATE_LIMITED");
+    assert.ok(Number(last.headers.get("retry-after")) > 0);
+  });
+});
+
+describe("lockout", () => {
+  it("locks an account after repeated wrong passwords", async () => {
+    const user = new User({ username: "ada", failedLogins: 4 });
+    stub(User, "findByIdAndUpdate", () => query({ failedLogins: 5 }));
+
+    await recordFailedLogin(user, "ada@example.com");
+    const [[, update]] = callsOf(User, "updateOne");
+    assert.ok(update.$set.lockedUntil > new Date());
+
+    user.lockedUntil = update.$set.lockedUntil;
+    assert.throws(() => assertNotLocked(user, "ada@example.com"), {
+      status: 429,
+      code: "ACCOUNT_LOCKED",
+    });
+
+    await clearFailedLogins(user);
+    assert.deepEqual(callsOf(User, "updateOne")[1][1].$unset, {
+      lockedUntil: 1,
+    });
+  });
+
+  it("locks unknown emails the same way", async () => {
+    const email = "nobody@example.com";
+    for (let i = 0; i < 5; i += 1) await recordFailedLogin(null, email);
+    assert.throws(() => assertNotLocked(null, email.toUpperCase()), {
+      status: 429,
+    });
+  });
+});
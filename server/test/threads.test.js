@@ -0,0 +1,174 @@
+import { describe, it, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import threadRoutes from "../routes/thread.routes.js";
+import Thread from "../models/thread.model.js";
+import Comment from "../models/comment.model.js";
+import Report from "../models/report.model.js";
+import Notification from "../models/notification.model.js";
+import {
+  appWith,
+  callsOf,
+  id,
+  query,
+  request,
+  signIn,
+  stub,
+  stubModels,
+} from "./helpers.js";
+
+const app = appWith("/threads", threadRoutes);
+
+beforeEach(stubModels);
+afterEach(() => mock.restoreAll());
+
+const listed = (count) =>
+  Array.from({ length: count }, (_, index) => ({
+    _id: id(),
+    title: `Thread ${index}`,
+    createdAt: new Date(Date.now() - index * 1000),
+    likes: [],
+  }));
+
+const pipelineOf = () => callsOf(Thread, "aggregate")[0][0];
+
+describe("GET /threads", () => {
+  it("returns a page and a cursor for the next one", async () => {
+    stub(Thread, "aggregate", () => query(listed(3)));
+
+    const { status, body } = await request(app, "GET", "/threads?limit=2");
+    assert.equal(status, 200);
+    assert.equal(body.data.length, 2);
+    assert.equal(body.data[0].likeCount, 0);
+    assert.ok(body.nextCursor);
+    assert.deepEqual(pipelineOf().at(-1), { $limit: 3 });
+
+    await request(app, "GET", `/threads?limit=2&cursor=${body.nextCursor}`);
+    assert.ok(
+      callsOf(Thread, "aggregate")[1][0].some((stage) => stage.$match?.$or)
+    );
+  });
+
+  it("ends at the last page", async () => {
+    stub(Thread, "aggregate", () => query(listed(1)));
+    const { body } = await request(app, "GET", "/threads");
+    assert.equal(body.nextCursor, null);
+  });
+
+  it("sorts by the requested field", async () => {
+    await request(app, "GET", "/threads?sort=most_viewed");
+    assert.ok(
+      pipelineOf().some(
+        ({ $sort }) => $sort && $sort.views === -1 && $sort._id === -1
+      )
+    );
+  });
+
+  it("filters by any or all of the given tags", async () => {
+    await request(app, "GET", "/threads?tags=node,%20mongo");
+    await request(app, "GET", "/threads?tags=node,mongo&tagMode=all");
+    const [anyTags, allTags] = callsOf(Thread, "aggregate").map(
+      ([pipeline]) => pipeline[0].$match.tags
+    );
+    assert.deepEqual(anyTags, { $in: ["node", "mongo"] });
+    assert.deepEqual(allTags, { $all: ["node", "mongo"] });
+  });
+
+  it("refuses unknown sorts and malformed cursors", async () => {
+    const sort = await request(app, "GET", "/threads?sort=random");
+    assert.equal(sort.status, 400);
+    const cursor = await request(app, "GET", "/threads?cursor=not-a-cursor");
+    assert.equal(cursor.status, 400);
+    assert.equal(callsOf(Thread, "aggregate").length, 0);
+  });
+});
+
+describe("GET /threads/:id", () => {
+  it("counts a view and returns the thread", async () => {
+    const thread = new Thread({ title: "Hello", content: "World" });
+    stub(Thread, "findOneAndUpdate", () => query(thread));
+
+    const { status, body } = await request(
+      app,
+      "GET",
+      `/threads/${thread._id}`
+    );
+    assert.equal(status, 200);
+    assert.equal(body.data.title, "Hello");
+    assert.deepEqual(callsOf(Thread, "findOneAndUpdate")[0][1], {
+      $inc: { views: 1 },
+    });
+  });
+
+  it("is a 404 for unknown and malformed ids", async () => {
+    assert.equal((await request(app, "GET", `/threads/${id()}`)).status, 404);
+    assert.equal((await request(app, "GET", "/threads/nope")).status, 404);
+  });
+});
+
+describe("PUT /threads/:id", () => {
+  it("only lets the author edit", async () => {
+    const author = signIn();
+    const other = signIn();
+    const thread = new Thread({
+      title: "Hello",
+      content: "World",
+      author: author.user._id,
+    });
+    stub(Thread, "findById", () => query(thread));
+
+    const denied = await request(app, "PUT", `/threads/${thread._id}`, {
+      token: other.token,
+      body: { title: "Hijacked" },
+    });
+    assert.equal(denied.status, 403);
+
+    const { status, body } = await request(
+      app,
+      "PUT",
+      `/threads/${thread._id}`,
+      {
+        token: author.token,
+        body: { title: "Hello again" },
+      }
+    );
+    assert.equal(status, 200);
+    assert.equal(body.data.title, "Hello again");
+    assert.equal(body.data.isEdited, true);
+  });
+});
+
+describe("DELETE /threads/:id", () => {
+  it("deletes the thread with its comments, reports and notifications", async () => {
+    const { user, token } = signIn();
+    const thread = new Thread({
+      title: "Bye",
+      content: "Now",
+      author: user._id,
+    });
+    stub(Thread, "findById", () => query(thread));
+
+    const { status } = await request(app, "DELETE", `/threads/${thread._id}`, {
+      token,
+    });
+    assert.equal(status, 200);
+    assert.equal(Thread.prototype.deleteOne.mock.callCount(), 1);
+    [Comment, Report, Notification].forEach((Model) =>
+      assert.deepEqual(callsOf(Model, "deleteMany")[0][0], {
+        thread: thread._id,
+      })
+    );
+  });
+
+  it("is refused to other members", async () => {
+    const author = signIn();
+    const { token } = signIn();
+    const thread = new Thread({ title: "Mine", author: author.user._id });
+    stub(Thread, "findById", () => query(thread));
+
+    const { status } = await request(app, "DELETE", `/threads/${thread._id}`, {
+      token,
+    });
+    assert.equal(status, 403);
+    assert.equal(Thread.prototype.deleteOne.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,183 @@
+import { describe, it, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import bookmarkRoutes from "../routes/bookmark.routes.js";
+import subscriptionRoutes from "../routes/subscription.routes.js";
+import Thread from "../models/thread.model.js";
+import Comment from "../models/comment.model.js";
+import Bookmark from "../models/bookmark.model.js";
+import ReadState from "../models/readState.model.js";
+import Subscription from "../models/subscription.model.js";
+import { markRead, readSummaries } from "../utils/readState.js";
+import { tagWatchers } from "../utils/subscriptions.js";
+import {
+  appWith,
+  callsOf,
+  id,
+  query,
+  request,
+  signIn,
+  stub,
+  stubModels,
+} from "./helpers.js";
+
+const bookmarks = appWith("/me/bookmarks", bookmarkRoutes);
+const subscriptions = appWith("/me/subscriptions", subscriptionRoutes);
+
+beforeEach(stubModels);
+afterEach(() => mock.restoreAll());
+
+const reader = () => ({ userId: id().toString(), role: "community_member" });
+
+describe("readSummaries", () => {
+  it("counts unread comments in the threads the user has read", async () => {
+    const [read, unread] = [{ _id: id() }, { _id: id() }];
+    const lastReadAt = new Date("2026-01-01");
+    const first = id();
+    stub(ReadState, "find", () =>
+      query([{ thread: read._id, lastReadAt, lastReadComment: id() }])
+    );
+    stub(Comment, "aggregate", () =>
+      query([{ _id: read._id, count: 3, first }])
+    );
+
+    const [summary, never] = await readSummaries([read, unread], reader());
+    assert.equal(summary.unreadCount, 3);
+    assert.equal(summary.firstUnreadComment, first);
+    assert.equal(summary.lastReadAt, lastReadAt);
+    assert.equal(never, null);
+
+    const [[pipeline]] = callsOf(Comment, "aggregate");
+    assert.deepEqual(pipeline[0].$match.$or, [
+      { thread: read._id, createdAt: { $gt: lastReadAt } },
+    ]);
+    assert.deepEqual(pipeline[0].$match.isHidden, { $ne: true });
+  });
+
+  it("has nothing for guests", async () => {
+    assert.deepEqual(await readSummaries([{ _id: id() }], null), [null]);
+    assert.equal(ReadState.find.mock.callCount(), 0);
+  });
+});
+
+describe("markRead", () => {
+  it("only moves the read position forward", async () => {
+    const thread = { _id: id() };
+    const state = new ReadState({
+      user: id(),
+      thread: thread._id,
+      lastReadAt: new Date("2026-02-01"),
+    });
+    stub(ReadState, "findOne", () => query(state));
+
+    await markRead(thread, reader(), {
+      _id: id(),
+      createdAt: new Date("2026-01-01"),
+    });
+    assert.equal(ReadState.prototype.save.mock.callCount(), 0);
+
+    const later = { _id: id(), createdAt: new Date("2026-03-01") };
+    await markRead(thread, reader(), later);
+    assert.equal(state.lastReadComment, later._id);
+    assert.equal(ReadState.prototype.save.mock.callCount(), 1);
+  });
+});
+
+describe("tagWatchers", () => {
+  it("leaves out users muting any of the tags", async () => {
+    const [watcher, muter] = [id(), id()];
+    stub(Subscription, "distinct", (field, filter) =>
+      query(filter.level === "watch" ? [watcher, muter] : [muter])
+    );
+    assert.deepEqual(await tagWatchers(["mongodb", "help"]), [watcher]);
+  });
+});
+
+describe("/me/bookmarks", () => {
+  const bookmark = (token, targetType, targetId, note) =>
+    request(bookmarks, "POST", "/me/bookmarks", {
+      token,
+      body: { targetType, targetId: targetId.toString(), note },
+    });
+
+  it("bookmarks a visible thread, and updates the note the next time", async () => {
+    const { token } = signIn();
+    const thread = new Thread({ title: "Worth keeping" });
+    stub(Thread, "findOne", () => query(thread));
+
+    const created = await bookmark(token, "thread", thread._id, "Read later");
+    assert.equal(created.status, 201);
+    assert.equal(created.body.data.thread, thread._id.toString());
+
+    const saved = new Bookmark(created.body.data);
+    stub(Bookmark, "findOne", () => query(saved));
+    const updated = await bookmark(token, "thread", thread._id, "Done");
+    assert.equal(updated.status, 200);
+    assert.equal(updated.body.data.note, "Done");
+  });
+
+  it("does not reach comments in threads the user cannot see", async () => {
+    const { token } = signIn();
+    const comment = new Comment({ content: "Psst", thread: id() });
+    stub(Comment, "findOne", () => query(comment));
+
+    const { status } = await bookmark(token, "comment", comment._id);
+    assert.equal(status, 404);
+    assert.equal(Bookmark.prototype.save.mock.callCount(), 0);
+  });
+
+  it("keeps bookmarks of deleted posts without their content", async () => {
+    const { token } = signIn();
+    stub(Bookmark, "find", () =>
+      query([
+        {
+          _id: id(),
+          thread: { _id: id(), title: "Gone" },
+          target: { _id: id(), content: "Gone", deletedAt: new Date() },
+        },
+      ])
+    );
+    const { body } = await request(bookmarks, "GET", "/me/bookmarks", {
+      token,
+    });
+    assert.equal(body.data.length, 1);
+    assert.equal(body.data[0].target, null);
+  });
+});
+
+describe("/me/subscriptions", () => {
+  it("sets the user's level on a thread they can see", async () => {
+    const { user, token } = signIn();
+    const thread = new Thread({ title: "Following" });
+    stub(Thread, "findOne", () => query(thread));
+
+    const { status } = await request(
+      subscriptions,
+      "PUT",
+      `/me/subscriptions/threads/${thread._id}`,
+      { token, body: { level: "mute" } }
+    );
+    assert.equal(status, 200);
+    const [[filter, update, options]] = callsOf(
+      Subscription,
+      "findOneAndUpdate"
+    );
+    assert.deepEqual(filter, {
+      user: user._id.toString(),
+      thread: thread._id,
+      tag: null,
+    });
+    assert.deepEqual(update, { $set: { level: "mute" } });
+    assert.equal(options.upsert, true);
+  });
+
+  it("refuses levels it does not know", async () => {
+    const { token } = signIn();
+    const { status } = await request(
+      subscriptions,
+      "PUT",
+      "/me/subscriptions/tags/mongodb",
+      { token, body: { level: "shout" } }
+    );
+    assert.equal(status, 400);
+  });
+});
@@ -0,0 +1,146 @@
+import { describe, it, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import commentRoutes from "../routes/comment.routes.js";
+import moderationRoutes from "../routes/moderation.routes.js";
+import Thread from "../models/thread.model.js";
+import Comment from "../models/comment.model.js";
+import Revision from "../models/revision.model.js";
+import {
+  TOMBSTONE_TEXT,
+  purgeDeletedComments,
+  tombstone,
+} from "../utils/trash.js";
+import {
+  appWith,
+  callsOf,
+  id,
+  query,
+  request,
+  signIn,
+  stub,
+  stubModels,
+} from "./helpers.js";
+
+const comments = appWith("/comments", commentRoutes);
+const mod = appWith("/mod", moderationRoutes);
+
+beforeEach(stubModels);
+afterEach(() => mock.restoreAll());
+
+describe("tombstone", () => {
+  it("keeps the comment's place but nothing it said", () => {
+    const comment = new Comment({
+      content: "Regrettable",
+      author: id(),
+      thread: id(),
+      parentComment: id(),
+      deletedAt: new Date(),
+    });
+    const shown = tombstone(comment);
+    assert.equal(shown.content, TOMBSTONE_TEXT);
+    assert.equal(shown.author, null);
+    assert.equal(shown.deleted, true);
+    assert.equal(shown.parentComment, comment.parentComment);
+  });
+});
+
+describe("purgeDeletedComments", () => {
+  it("removes expired comments and empties those with replies", async () => {
+    const [lonely, answered] = [id(), id()];
+    stub(Comment, "distinct", (field) =>
+      query(field === "_id" ? [lonely, answered] : [answered])
+    );
+    stub(Comment, "deleteMany", () => query({ deletedCount: 1 }));
+    stub(Comment, "updateMany", () => query({ modifiedCount: 1 }));
+
+    const now = new Date("2026-03-31T00:00:00Z");
+    assert.deepEqual(await purgeDeletedComments(now), {
+      removed: 1,
+      emptied: 1,
+    });
+    assert.deepEqual(callsOf(Comment, "distinct")[0][1], {
+      deletedAt: { $lte: new Date("2026-03-01T00:00:00Z") },
+    });
+    assert.deepEqual(callsOf(Comment, "deleteMany")[0][0], {
+      _id: { $in: [lonely] },
+    });
+    const [[filter, update]] = callsOf(Comment, "updateMany");
+    assert.deepEqual(filter._id, { $in: [answered] });
+    assert.equal(update.$set.content, TOMBSTONE_TEXT);
+    assert.deepEqual(callsOf(Revision, "deleteMany")[0][0], {
+      target: { $in: [lonely, answered] },
+    });
+  });
+
+  it("does nothing while no deletion has expired", async () => {
+    assert.deepEqual(await purgeDeletedComments(), { removed: 0, emptied: 0 });
+    assert.equal(Comment.deleteMany.mock.callCount(), 0);
+  });
+});
+
+describe("DELETE /comments/:id", () => {
+  it("marks the comment deleted and uncounts it", async () => {
+    const { user, token } = signIn();
+    const comment = new Comment({
+      content: "Oops",
+      author: user._id,
+      thread: id(),
+    });
+    stub(Comment, "findOne", () => query(comment));
+
+    const { status } = await request(
+      comments,
+      "DELETE",
+      `/comments/${comment._id}`,
+      { token }
+    );
+    assert.equal(status, 200);
+    assert.ok(comment.deletedAt);
+    assert.ok(comment.deletedBy.equals(user._id));
+    assert.equal(Comment.deleteOne.mock.callCount(), 0);
+    const [[threadId, update]] = callsOf(Thread, "findByIdAndUpdate");
+    assert.equal(threadId, comment.thread);
+    assert.deepEqual(update, { $inc: { commentCount: -1 } });
+  });
+});
+
+describe("/mod/trash", () => {
+  it("lists restorable comments for moderators", async () => {
+    const { token } = signIn({ role: "moderator" });
+    const { status } = await request(mod, "GET", "/mod/trash", { token });
+    assert.equal(status, 200);
+    assert.deepEqual(callsOf(Comment, "find")[0][0], {
+      deletedAt: { $ne: null },
+      purgedAt: null,
+    });
+  });
+
+  it("restores a deleted comment and counts it again", async () => {
+    const { token } = signIn({ role: "moderator" });
+    const comment = new Comment({
+      content: "Fine after all",
+      author: id(),
+      thread: id(),
+      deletedAt: new Date(),
+    });
+    stub(Comment, "findOne", () => query(comment));
+
+    const { status } = await request(
+      mod,
+      "POST",
+      `/mod/trash/${comment._id}/restore`,
+      { token }
+    );
+    assert.equal(status, 200);
+    assert.equal(comment.deletedAt, null);
+    assert.deepEqual(callsOf(Thread, "findByIdAndUpdate")[0][1], {
+      $inc: { commentCount: 1 },
+    });
+  });
+
+  it("is closed to members", async () => {
+    const { token } = signIn();
+    const { status } = await request(mod, "GET", "/mod/trash", { token });
+    assert.equal(status, 403);
+  });
+});
@@ -0,0 +1,123 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import express from "express";
+import { check, validate } from "../utils/validation.js";
+import { signupSchema } from "../validators/auth.validator.js";
+import {
+  createCommentSchema,
+  updateCommentSchema,
+} from "../validators/comment.validator.js";
+import { appWith, request } from "./helpers.js";
+
+const THREAD_ID = "64b000000000000000000001";
+
+describe("check", () => {
+  it("whitelists fields and trims strings", () => {
+    const { value, errors } = check(createCommentSchema, {
+      content: "  Hello  ",
+      threadId: THREAD_ID,
+      author: "someone else",
+      isHidden: false,
+    });
+    assert.equal(errors, undefined);
+    assert.deepEqual(value, { content: "Hello", threadId: THREAD_ID });
+  });
+
+  it("reports every invalid field", () => {
+    const { errors } = check(createCommentSchema, {
+      content: "",
+      threadId: "not-an-id",
+    });
+    assert.deepEqual(Object.keys(errors).sort(), ["content", "threadId"]);
+  });
+
+  it("accepts null only for nullable fields", () => {
+    assert.equal(
+      check(createCommentSchema, {
+        content: "Hi",
+        threadId: THREAD_ID,
+        parentId: null,
+      }).value.parentId,
+      null
+    );
+    assert.ok(
+      check(createCommentSchema, { content: null, threadId: THREAD_ID }).errors
+        .content
+    );
+  });
+
+  it("requires strong passwords on signup", () => {
+    const { errors } = check(signupSchema, {
+      username: "newcomer",
+      email: "newcomer@example.com",
+      password: "password",
+    });
+    assert.deepEqual(Object.keys(errors), ["password"]);
+  });
+
+  it("needs at least one field for partial updates", () => {
+    const { errors } = check(updateCommentSchema, {}, { partial: true });
+    assert.ok(errors._);
+    assert.ok(
+      check(updateCommentSchema, { content: "Edited" }, { partial: true }).value
+    );
+  });
+});
+
+describe("validate", () => {
+  it("replaces the body with the validated fields", () => {
+    const req = { body: { content: "Hi", threadId: THREAD_ID, views: 10 } };
+    let passed;
+    validate(createCommentSchema)(req, {}, (error) => {
+      passed = error;
+    });
+    assert.equal(passed, undefined);
+    assert.deepEqual(req.body, { content: "Hi", threadId: THREAD_ID });
+  });
+
+  it("fails with a validation error", () => {
+    let passed;
+    validate(createCommentSchema)({ body: {} }, {}, (error) => {
+      passed = error;
+    });
+    assert.equal(passed.status, 400);
+    assert.equal(passed.code, "VALIDATION_ERROR");
+  });
+});
+
+describe("errorHandler", () => {
+  const router = express.Router();
+  router.post("/echo", (req, res) => res.json(req.body));
+  router.get("/duplicate", () => {
+    throw Object.assign(new Error("E11000"), {
+      code: 11000,
+      keyValue: { username: "ada" },
+    });
+  });
+  router.get("/broken", () => {
+    throw new Error("Something internal");
+  });
+  const app = appWith("/", router);
+
+  it("answers malformed JSON with a 400", async () => {
+    const { status, body } = await request(app, "POST", "/echo", {
+      body: "{nope",
+    });
+    assert.equal(status, 400);
+    assert.equal(body.code, "INVALID_JSON");
+  });
+
+  it("turns duplicate keys into a 409 naming the field", async () => {
+    const { status, body } = await request(app, "GET", "/duplicate");
+    assert.equal(status, 409);
+    assert.deepEqual(body.errors, { username: "Already in use" });
+  });
+
+  it("hides the details of unexpected errors", async (t) => {
+    t.mock.method(console, "error", () => {});
+    const { status, body } = await request(app, "GET", "/broken");
+    assert.equal(status, 500);
+    assert.equal(body.code, "INTERNAL_ERROR");
+    assert.doesNotMatch(body.message, /internal/);
+  });
+});
@@ -0,0 +1,93 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { threadVisibility, hiddenVisibility } from "../utils/visibility.js";
+import { eventForViewer } from "../utils/realtime.js";
+import { resolvePermissions } from "../utils/permissions.js";
+
+const userWith = (role) => ({
+  userId: "64b000000000000000000001",
+  role,
+  permissions: resolvePermissions(role),
+});
+
+const member = userWith("community_member");
+const moderator = userWith("moderator");
+
+const event = (type, data) => ({ id: new Date().toISOString(), type, data });
+
+describe("threadVisibility", () => {
+  it("limits guests to public threads outside members-only categories", () => {
+    assert.deepEqual(threadVisibility(null), {
+      isPublic: true,
+      membersOnly: { $ne: true },
+      isHidden: { $ne: true },
+    });
+  });
+
+  it("lets members see private and members-only threads, but not hidden ones", () => {
+    assert.deepEqual(threadVisibility(member), { isHidden: { $ne: true } });
+  });
+
+  it("lets moderators see hidden threads", () => {
+    assert.deepEqual(threadVisibility(moderator), {});
+  });
+});
+
+describe("hiddenVisibility", () => {
+  it("matches posts without an isHidden field", () => {
+    assert.deepEqual(hiddenVisibility(null), { isHidden: { $ne: true } });
+    assert.deepEqual(hiddenVisibility(member), { isHidden: { $ne: true } });
+  });
+
+  it("does not filter for moderators and admins", () => {
+    assert.deepEqual(hiddenVisibility(moderator), {});
+    assert.deepEqual(hiddenVisibility(userWith("admin")), {});
+  });
+});
+
+describe("eventForViewer", () => {
+  const thread = { _id: "t1", isPublic: true, membersOnly: false };
+
+  it("withholds new members-only threads from guests", () => {
+    const created = event("thread.created", { ...thread, membersOnly: true });
+    assert.equal(eventForViewer(created, null), null);
+    assert.equal(eventForViewer(created, member), created);
+  });
+
+  it("withholds new private threads from guests", () => {
+    const created = event("thread.created", { ...thread, isPublic: false });
+    assert.equal(eventForViewer(created, null), null);
+    assert.equal(eventForViewer(created, member), created);
+  });
+
+  it("only sends new hidden threads to moderators", () => {
+    const created = event("thread.created", { ...thread, isHidden: true });
+    assert.equal(eventForViewer(created, member), null);
+    assert.equal(eventForViewer(created, moderator), created);
+  });
+
+  it("turns updates of threads the viewer lost access to into thread.unavailable", () => {
+    const updated = event("thread.updated", { ...thread, isHidden: true });
+    assert.deepEqual(eventForViewer(updated, member), {
+      ...updated,
+      type: "thread.unavailable",
+      data: { _id: "t1" },
+    });
+    assert.equal(eventForViewer(updated, moderator), updated);
+  });
+
+  it("masks hidden comments for anyone who may not see hidden content", () => {
+    const comment = event("comment.updated", {
+      _id: "c1",
+      content: "spam",
+      contentHtml: "<p>spam</p>",
+      attachments: ["a1"],
+      isHidden: true,
+    });
+    const masked = eventForViewer(comment, member);
+    assert.equal(masked.data.content, null);
+    assert.equal(masked.data.contentHtml, null);
+    assert.deepEqual(masked.data.attachments, []);
+    assert.equal(eventForViewer(comment, moderator), comment);
+  });
+});
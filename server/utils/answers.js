@@ -0,0 +1,43 @@
+import Comment from "../models/comment.model.js";
+import { reputationForAccepted } from "./reputation.js";
+import { publishComment, publishThread } from "./realtime.js";
+import { sameId } from "./ids.js";
+
+// Q&A threads. A thread flagged `isQuestion` can have one comment accepted
+// as its answer, chosen by the thread's author or a moderator. The thread's
+// `acceptedAnswer` and the comment's `acceptedAt` always change together,
+// through setAcceptedAnswer.
+
+// Make `comment` the accepted answer of `thread`, or clear it with null.
+// The answer's author gains reputation for it, which the previous answer's
+// author loses.
+export const setAcceptedAnswer = async (thread, comment, actor) => {
+  const previous = thread.acceptedAnswer;
+  if (sameId(previous, comment && comment._id)) return thread;
+
+  thread.acceptedAnswer = comment ? comment._id : null;
+  await thread.save();
+  publishThread("thread.updated", thread);
+
+  if (previous) {
+    const old = await Comment.findByIdAndUpdate(
+      previous,
+      { $set: { acceptedAt: null } },
+      { new: true }
+    );
+    // Deleted comments only ever go out as tombstones
+    if (old && !old.deletedAt) publishComment("comment.updated", old);
+    await reputationForAccepted({
+      comment: { _id: previous },
+      actor,
+      accepted: false,
+    });
+  }
+  if (comment) {
+    comment.acceptedAt = new Date();
+    await comment.save();
+    publishComment("comment.updated", comment);
+    await reputationForAccepted({ comment, actor, accepted: true });
+  }
+  return thread;
+};
@@ -0,0 +1,204 @@
+import sharp from "sharp";
+import Attachment from "../models/attachment.model.js";
+import Thread from "../models/thread.model.js";
+import Comment from "../models/comment.model.js";
+import { getStorage } from "./storage.js";
+import { detectImage, IMAGE_TYPES } from "./images.js";
+import { threadVisibility, hiddenVisibility } from "./visibility.js";
+import { badRequest } from "./errors.js";
+import { sameId } from "./ids.js";
+
+// Attachments on threads and comments.
+//
+// Files are uploaded first (POST /attachments) and then attached by listing
+// their ids in `attachments` when creating or editing a post. Uploads that
+// are never attached, or that were detached or whose post is gone, are
+// removed after ATTACHMENT_ORPHAN_HOURS (default 24) by the cleanup
+// scheduler; set ATTACHMENT_CLEANUP_ENABLED=false to turn it off.
+//
+// ATTACHMENT_MAX_BYTES (default 10 MB) caps the size of an upload.
+
+export const ATTACHMENT_TYPES = [
+  ...IMAGE_TYPES,
+  "application/pdf",
+  "text/plain",
+  "application/zip",
+];
+
+// Attachments per post
+export const MAX_ATTACHMENTS = 10;
+
+// Fields to populate on posts
+export const ATTACHMENT_FIELDS =
+  "filename contentType size width height url thumbnailUrl";
+
+const DEFAULT_MAX_BYTES = 10 * 1024 * 1024;
+const DEFAULT_ORPHAN_HOURS = 24;
+const CLEANUP_INTERVAL_MS = 60 * 60 * 1000;
+const THUMBNAIL_SIZE = 320;
+
+export const ATTACHMENT_MAX_BYTES =
+  parseInt(process.env.ATTACHMENT_MAX_BYTES, 10) || DEFAULT_MAX_BYTES;
+const ORPHAN_HOURS =
+  parseInt(process.env.ATTACHMENT_ORPHAN_HOURS, 10) || DEFAULT_ORPHAN_HOURS;
+
+// Keep names printable and free of path separators
+const safeFilename = (name) =>
+  String(name || "file")
+    .replace(/[^\w.\- ]+/g, "_")
+    .slice(0, 200) || "file";
+
+// Store an uploaded file (req.file from middleware/upload.js) for `uploader`,
+// with a thumbnail for images
+export const storeUpload = async (file, uploader) => {
+  const image = IMAGE_TYPES.includes(file.mimetype)
+    ? detectImage(file.buffer)
+    : null;
+  if (IMAGE_TYPES.includes(file.mimetype) && !image) {
+    throw badRequest("The file is not a valid image");
+  }
+
+  const attachment = new Attachment({
+    uploader,
+    filename: safeFilename(file.originalname),
+    contentType: image ? image.type : file.mimetype,
+    size: file.size,
+  });
+  attachment.key = `attachments/${attachment._id}`;
+  attachment.url = `/attachments/${attachment._id}`;
+
+  if (image) {
+    let metadata;
+    let thumbnail;
+    try {
+      metadata = await sharp(file.buffer).metadata();
+      thumbnail = await sharp(file.buffer)
+        .rotate()
+        .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, {
+          fit: "inside",
+          withoutEnlargement: true,
+        })
+        .webp()
+        .toBuffer();
+    } catch (error) {
+      throw badRequest("The image could not be read");
+    }
+    attachment.width = metadata.width;
+    attachment.height = metadata.height;
+    attachment.thumbnailKey = `attachments/${attachment._id}-thumbnail.webp`;
+    attachment.thumbnailUrl = `${attachment.url}/thumbnail`;
+    await getStorage().put(attachment.thumbnailKey, thumbnail);
+  }
+
+  await getStorage().put(attachment.key, file.buffer);
+  await attachment.save();
+  return attachment;
+};
+
+// Check the `ids` a user wants on a post: each must be theirs and either
+// unattached or already on this post (`doc`, when editing). Returns the ids
+// to store on the post.
+export const checkAttachments = async (ids, user, doc) => {
+  const unique = [...new Set(ids.map(String))];
+  const found = await Attachment.find({
+    _id: { $in: unique },
+    $or: [
+      { uploader: user.userId, target: null },
+      ...(doc ? [{ target: doc._id }] : []),
+    ],
+  }).select("_id");
+  if (found.length !== unique.length) {
+    throw badRequest("Unknown attachment, or one attached to another post");
+  }
+  return unique;
+};
+
+// Attach `doc.attachments` to the post and detach anything it no longer
+// lists, leaving those to the cleanup
+export const syncAttachments = async (doc, targetType) => {
+  const ids = doc.attachments || [];
+  await Attachment.updateMany(
+    { _id: { $in: ids } },
+    { $set: { targetType, target: doc._id } }
+  );
+  await Attachment.updateMany(
+    { target: doc._id, _id: { $nin: ids } },
+    { $set: { target: null }, $unset: { targetType: 1 } }
+  );
+};
+
+// Whether `user` may download `attachment`: uploaders always may, anyone
+// else only once it is on a post they can see. Hidden posts are for
+// moderators only, deleted comments for nobody but the uploader.
+export const canAccessAttachment = async (attachment, user) => {
+  if (user && sameId(attachment.uploader, user.userId)) return true;
+  if (!attachment.target) return false;
+
+  let threadId = attachment.target;
+  if (attachment.targetType === "Comment") {
+    const comment = await Comment.findOne({
+      _id: attachment.target,
+      deletedAt: null,
+      ...hiddenVisibility(user),
+    }).select("thread");
+    if (!comment) return false;
+    threadId = comment.thread;
+  }
+  return Boolean(
+    await Thread.exists({ _id: threadId, ...threadVisibility(user) })
+  );
+};
+
+export const removeAttachment = async (attachment) => {
+  await getStorage().remove(attachment.key);
+  if (attachment.thumbnailKey) {
+    await getStorage().remove(attachment.thumbnailKey);
+  }
+  await attachment.deleteOne();
+};
+
+// Attachment targets of `Model` that no longer exist. Comments emptied by
+// the trash purge count as gone.
+const missingTargets = async (Model, targetType, live = {}) => {
+  const targets = await Attachment.distinct("target", {
+    targetType,
+    target: { $ne: null },
+  });
+  const existing = new Set(
+    (await Model.distinct("_id", { _id: { $in: targets }, ...live })).map(
+      String
+    )
+  );
+  return targets.filter((id) => !existing.has(id.toString()));
+};
+
+// Remove uploads left unattached for longer than ATTACHMENT_ORPHAN_HOURS
+// and attachments of deleted posts. Returns how many were removed.
+export const purgeOrphanedAttachments = async (now = new Date()) => {
+  const cutoff = new Date(now.getTime() - ORPHAN_HOURS * 60 * 60 * 1000);
+  const gone = [
+    ...(await missingTargets(Thread, "Thread")),
+    ...(await missingTargets(Comment, "Comment", { purgedAt: null })),
+  ];
+  const orphans = await Attachment.find({
+    $or: [
+      { target: null, updatedAt: { $lte: cutoff } },
+      { target: { $in: gone } },
+    ],
+  });
+  for (const attachment of orphans) {
+    await removeAttachment(attachment);
+  }
+  return orphans.length;
+};
+
+export const startAttachmentCleanupScheduler = () => {
+  if (process.env.ATTACHMENT_CLEANUP_ENABLED === "false") return null;
+  const timer = setInterval(() => {
+    purgeOrphanedAttachments().catch((error) =>
+      console.error("Attachment cleanup error:", error)
+    );
+  }, CLEANUP_INTERVAL_MS);
+  timer.unref();
+  return timer;
+};
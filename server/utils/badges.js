@@ -0,0 +1,51 @@
+import Thread from "../models/thread.model.js";
+import Comment from "../models/comment.model.js";
+import ReputationEvent from "../models/reputationEvent.model.js";
+
+// Badges members earn for what they do. Each has a rule, `earned(userId)`;
+// utils/reputation.js checks the rules after the events that could satisfy
+// them. Badges are never taken away once earned.
+export const BADGES = [
+  {
+    id: "first-post",
+    name: "First Post",
+    description: "Started a thread or wrote a comment",
+    earned: async (userId) =>
+      Boolean(
+        (await Thread.exists({ author: userId })) ||
+        (await Comment.exists({ author: userId, deletedAt: null }))
+      ),
+  },
+  {
+    id: "well-liked",
+    name: "Well Liked",
+    description: "Received 100 likes from other members",
+    earned: async (userId) =>
+      (await ReputationEvent.countDocuments({
+        user: userId,
+        reason: "like",
+      })) >= 100,
+  },
+  {
+    id: "helpful-commenter",
+    name: "Helpful Commenter",
+    description: "Wrote 10 comments liked by at least 5 members each",
+    earned: async (userId) =>
+      (await Comment.countDocuments({
+        author: userId,
+        deletedAt: null,
+        "likes.4": { $exists: true },
+      })) >= 10,
+  },
+];
+
+export const findBadge = (id) => BADGES.find((badge) => badge.id === id);
+
+// A user's badges as clients see them
+export const describeBadges = (badges = []) =>
+  badges
+    .filter(({ badge }) => findBadge(badge))
+    .map(({ badge, awardedAt }) => {
+      const { name, description } = findBadge(badge);
+      return { id: badge, name, description, awardedAt };
+    });
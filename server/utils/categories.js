@@ -0,0 +1,130 @@
+import mongoose from "mongoose";
+import Category from "../models/category.model.js";
+import Thread from "../models/thread.model.js";
+import Comment from "../models/comment.model.js";
+
+// Per-category rules.
+//
+//   membersOnly  guests see neither the category nor its threads. Threads
+//                carry a copy of the flag so visibility filters stay a
+//                plain query; syncMembersOnly() refreshes it.
+//   readOnly     only moderators may start threads
+//   moderators   users with canModerate inside the category
+//   minPostReputation, minCommentReputation
+//                reputation needed for canPost and canComment, unless the
+//                user moderates the category
+//
+// A subcategory gets its parent's rules on top of its own. authorize() applies
+// them when given a `category` resolver, by adjusting req.user.permissions
+// for the request.
+
+export const DEFAULT_CATEGORY = { name: "General", slug: "general" };
+
+const validId = (id) => (mongoose.isValidObjectId(id) ? id : null);
+
+export const loadCategory = async (id) =>
+  validId(id) ? Category.findById(id) : null;
+
+// Rules in effect in `category`, combined with its parent's
+export const categoryRules = async (category) => {
+  const parent = category.parent
+    ? await Category.findById(category.parent)
+    : null;
+  const chain = parent ? [category, parent] : [category];
+  return {
+    membersOnly: chain.some((entry) => entry.membersOnly),
+    readOnly: chain.some((entry) => entry.readOnly),
+    moderators: chain.flatMap((entry) => entry.moderators),
+    minReputation: {
+      canPost: Math.max(...chain.map((entry) => entry.minPostReputation || 0)),
+      canComment: Math.max(
+        ...chain.map((entry) => entry.minCommentReputation || 0)
+      ),
+    },
+  };
+};
+
+// The first of `permissions` that `user` lacks only for want of reputation
+// under `rules`, as { permission, required, current }, or null
+export const reputationShortfall = (user, rules, permissions) => {
+  const current = user.reputation || 0;
+  const permission = permissions.find(
+    (name) => current < (rules.minReputation[name] || 0)
+  );
+  return permission
+    ? { permission, required: rules.minReputation[permission], current }
+    : null;
+};
+
+// `user`'s permissions inside a category with `rules`
+export const categoryPermissions = (user, rules) => {
+  const permissions = user.permissions || {};
+  const canModerate =
+    Boolean(permissions.canModerate) ||
+    rules.moderators.some((id) => id.toString() === user.userId);
+  const hasReputation = (permission) =>
+    canModerate ||
+    (user.reputation || 0) >= (rules.minReputation[permission] || 0);
+  return {
+    ...permissions,
+    canModerate,
+    canPost:
+      Boolean(permissions.canPost) &&
+      (!rules.readOnly || canModerate) &&
+      hasReputation("canPost"),
+    canComment: Boolean(permissions.canComment) && hasReputation("canComment"),
+  };
+};
+
+// Resolvers for authorize({ category }). Each returns the id of the
+// category a request acts in, or null when the resource does not exist.
+export const categoryOfThread = (getId) => async (req) => {
+  const id = validId(getId(req));
+  const thread = id && (await Thread.findById(id).select("category"));
+  return thread ? thread.category : null;
+};
+
+export const categoryOfComment = (getId) => async (req) => {
+  const id = validId(getId(req));
+  const comment = id && (await Comment.findById(id).select("thread"));
+  return comment ? categoryOfThread(() => comment.thread)(req) : null;
+};
+
+// The category and its subcategories, for listing a parent's threads
+export const withSubcategories = async (category) => [
+  category._id,
+  ...(await Category.distinct("_id", { parent: category._id })),
+];
+
+// Copy the effective membersOnly flag of `category` and its subcategories
+// onto their threads
+export const syncMembersOnly = async (category) => {
+  const categories = [
+    category,
+    ...(await Category.find({ parent: category._id })),
+  ];
+  await Promise.all(
+    categories.map(async (entry) => {
+      const { membersOnly } = await categoryRules(entry);
+      return Thread.updateMany(
+        { category: entry._id, membersOnly: { $ne: membersOnly } },
+        { $set: { membersOnly } },
+        { timestamps: false }
+      );
+    })
+  );
+};
+
+// Make sure there is a category to post in, and file threads created before
+// categories existed under the first one
+export const ensureDefaultCategory = async () => {
+  const category =
+    (await Category.findOne({ parent: null }).sort({ order: 1 })) ||
+    (await Category.create(DEFAULT_CATEGORY));
+  await Thread.updateMany(
+    { category: null },
+    { $set: { category: category._id, membersOnly: category.membersOnly } },
+    { timestamps: false }
+  );
+  return category;
+};
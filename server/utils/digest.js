@@ -0,0 +1,99 @@
+import Notification from "../models/notification.model.js";
+import User from "../models/user.model.js";
+import { describeNotification } from "./notifications.js";
+import { sendMail, frontendUrl } from "./mailer.js";
+
+// Email digests of unread notifications.
+//
+// Users pick a frequency in their notification preferences. Once an hour the
+// scheduler started from server.js looks for users whose digest is due and
+// mails them the unread notifications that have not been emailed yet. Set
+// DIGESTS_ENABLED=false to turn the scheduler off, e.g. on all but one
+// instance of the server.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const PERIODS = {
+  daily: { ms: DAY_MS, label: "today" },
+  weekly: { ms: 7 * DAY_MS, label: "this week" },
+};
+
+const CHECK_INTERVAL_MS = 60 * 60 * 1000;
+// Notifications listed in one email; the rest are counted
+const MAX_DIGEST_ITEMS = 20;
+
+// Mail `user` their pending notifications. Returns whether a mail was sent.
+export const sendDigest = async (user, frequency) => {
+  const now = new Date();
+  const filter = {
+    recipient: user._id,
+    readAt: null,
+    emailedAt: null,
+    createdAt: { $lte: now },
+  };
+  const [notifications, total] = await Promise.all([
+    Notification.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(MAX_DIGEST_ITEMS)
+      .populate("actor", "username")
+      .populate("thread", "title"),
+    Notification.countDocuments(filter),
+  ]);
+
+  if (notifications.length > 0) {
+    const lines = notifications.map(
+      (notification) => `- ${describeNotification(notification).message}`
+    );
+    if (total > notifications.length) {
+      lines.push(`…and ${total - notifications.length} more`);
+    }
+
+    await sendMail(user.email, "digest", {
+      username: user.username,
+      countLabel: `${total} new notification${total === 1 ? "" : "s"}`,
+      period: PERIODS[frequency].label,
+      summary: lines.join("\n"),
+      url: frontendUrl("/notifications"),
+    });
+
+    await Notification.updateMany(filter, { $set: { emailedAt: now } });
+  }
+
+  await User.updateOne({ _id: user._id }, { $set: { lastDigestAt: now } });
+  return notifications.length > 0;
+};
+
+// Send every digest that is due. Returns the number of emails sent.
+export const sendDueDigests = async (now = new Date()) => {
+  let sent = 0;
+  for (const [frequency, { ms }] of Object.entries(PERIODS)) {
+    const users = await User.find({
+      "notificationPreferences.digest": frequency,
+      emailVerified: { $ne: false },
+      $or: [
+        { lastDigestAt: null },
+        { lastDigestAt: { $lte: new Date(now.getTime() - ms) } },
+      ],
+    }).select("username email");
+
+    for (const user of users) {
+      try {
+        if (await sendDigest(user, frequency)) sent += 1;
+      } catch (error) {
+        console.error("Digest email error:", error);
+      }
+    }
+  }
+  return sent;
+};
+
+export const startDigestScheduler = () => {
+  if (process.env.DIGESTS_ENABLED === "false") return null;
+  const timer = setInterval(() => {
+    sendDueDigests().catch((error) =>
+      console.error("Digest scheduler error:", error)
+    );
+  }, CHECK_INTERVAL_MS);
+  timer.unref();
+  return timer;
+};
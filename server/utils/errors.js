@@ -0,0 +1,39 @@
+// Errors thrown from routes and middleware. The shared error handler turns
+// them into the standard error envelope:
+//
+//   { success: false, code, message, errors?, details? }
+//
+// where `errors` maps field names to messages for validation failures and
+// `details` carries extra machine-readable context, such as when an account
+// restriction ends. A `retryAfter` in the details (in seconds) is also sent
+// as a Retry-After header.
+export class ApiError extends Error {
+  constructor(status, code, message, errors, details) {
+    super(message);
+    this.name = "ApiError";
+    this.status = status;
+    this.code = code;
+    if (errors) this.errors = errors;
+    if (details) this.details = details;
+  }
+}
+
+export const badRequest = (message, errors) =>
+  new ApiError(400, "BAD_REQUEST", message, errors);
+
+export const validationError = (errors) =>
+  new ApiError(400, "VALIDATION_ERROR", "Request validation failed", errors);
+
+export const unauthorized = (message = "Authentication failed") =>
+  new ApiError(401, "UNAUTHORIZED", message);
+
+export const forbidden = (message = "Forbidden") =>
+  new ApiError(403, "FORBIDDEN", message);
+
+export const notFound = (message = "Not found") =>
+  new ApiError(404, "NOT_FOUND", message);
+
+export const conflict = (message) => new ApiError(409, "CONFLICT", message);
+
+export const tooManyRequests = (message, retryAfter, code = "RATE_LIMITED") =>
+  new ApiError(429, code, message, undefined, { retryAfter });
@@ -0,0 +1,13 @@
+// Helpers for comparing ids that may be ObjectIds, strings or populated
+// documents.
+
+// The id of a reference, whether or not it was populated
+export const idOf = (value) => (value && value._id ? value._id : value);
+
+// Whether two ids (ObjectIds or strings) are the same. Missing ids never match.
+export const sameId = (a, b) =>
+  Boolean(a && b) && a.toString() === b.toString();
+
+// A Mongoose subdocument or array as a plain value
+export const plain = (value) =>
+  value && typeof value.toObject === "function" ? value.toObject() : value;
@@ -0,0 +1,30 @@
+// Image formats we accept for uploads, identified by their leading bytes
+// rather than the client's say-so
+const SIGNATURES = [
+  { type: "image/png", extension: "png", bytes: [0x89, 0x50, 0x4e, 0x47] },
+  { type: "image/jpeg", extension: "jpg", bytes: [0xff, 0xd8, 0xff] },
+  { type: "image/gif", extension: "gif", bytes: [0x47, 0x49, 0x46, 0x38] },
+  {
+    type: "image/webp",
+    extension: "webp",
+    // "RIFF", four bytes of length, then "WEBP"
+    bytes: [0x52, 0x49, 0x46, 0x46],
+    at8: [0x57, 0x45, 0x42, 0x50],
+  },
+];
+
+export const IMAGE_TYPES = SIGNATURES.map(({ type }) => type);
+
+const startsWith = (buffer, bytes, offset = 0) =>
+  buffer.length >= offset + bytes.length &&
+  bytes.every((byte, index) => buffer[offset + index] === byte);
+
+// { type, extension } of the image in `buffer`, or null when it is not one
+// of IMAGE_TYPES
+export const detectImage = (buffer) => {
+  const match = SIGNATURES.find(
+    ({ bytes, at8 }) =>
+      startsWith(buffer, bytes) && (!at8 || startsWith(buffer, at8, 8))
+  );
+  return match ? { type: match.type, extension: match.extension } : null;
+};
@@ -0,0 +1,95 @@
+import User from "../models/user.model.js";
+import { tooManyRequests } from "./errors.js";
+
+// Account lockout. After LOGIN_LOCKOUT_THRESHOLD (default 5) wrong passwords
+// in a row, logins to the account are refused for LOGIN_LOCKOUT_MINUTES
+// (default 15), whatever IP they come from. A successful login or a
+// password reset clears the count.
+//
+// Emails without an account are counted and locked the same way, in memory,
+// so a 429 does not reveal which emails are registered.
+
+const DEFAULT_THRESHOLD = 5;
+const DEFAULT_LOCKOUT_MINUTES = 15;
+
+const THRESHOLD =
+  parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD, 10) || DEFAULT_THRESHOLD;
+const LOCKOUT_MS =
+  (parseInt(process.env.LOGIN_LOCKOUT_MINUTES, 10) || DEFAULT_LOCKOUT_MINUTES) *
+  60 *
+  1000;
+
+// Failed logins per unknown email: { failedLogins, lockedUntil, lastFailedAt }
+const unknownAccounts = new Map();
+
+// Forget unknown emails whose lock, or last failure, is over
+const pruneUnknownAccounts = (now = Date.now()) => {
+  unknownAccounts.forEach((state, email) => {
+    const expiresAt = state.lockedUntil
+      ? state.lockedUntil.getTime()
+      : state.lastFailedAt + LOCKOUT_MS;
+    if (expiresAt <= now) unknownAccounts.delete(email);
+  });
+};
+
+const lockState = (user, email) =>
+  user || unknownAccounts.get(String(email).toLowerCase());
+
+// Throw while the account, or the unknown email when there is no `user`,
+// is locked
+export const assertNotLocked = (user, email) => {
+  const state = lockState(user, email);
+  if (!state || !state.lockedUntil || state.lockedUntil <= new Date()) return;
+  const retryAfter = Math.ceil((state.lockedUntil - Date.now()) / 1000);
+  throw tooManyRequests(
+    "Too many failed login attempts. Try again later or reset your password.",
+    retryAfter,
+    "ACCOUNT_LOCKED"
+  );
+};
+
+const recordUnknownFailure = (email) => {
+  pruneUnknownAccounts();
+  const key = String(email).toLowerCase();
+  const state = unknownAccounts.get(key) || { failedLogins: 0 };
+  state.failedLogins += 1;
+  state.lastFailedAt = Date.now();
+  if (state.failedLogins >= THRESHOLD) {
+    state.failedLogins = 0;
+    state.lockedUntil = new Date(Date.now() + LOCKOUT_MS);
+  }
+  unknownAccounts.set(key, state);
+};
+
+// Count a wrong password, locking the account once there are too many.
+// Without a `user`, the failure is counted against the unknown `email`.
+export const recordFailedLogin = async (user, email) => {
+  if (!user) {
+    recordUnknownFailure(email);
+    return;
+  }
+  const updated = await User.findByIdAndUpdate(
+    user._id,
+    { $inc: { failedLogins: 1 } },
+    { new: true }
+  ).select("failedLogins");
+  if (updated && updated.failedLogins >= THRESHOLD) {
+    await User.updateOne(
+      { _id: user._id },
+      {
+        $set: {
+          failedLogins: 0,
+          lockedUntil: new Date(Date.now() + LOCKOUT_MS),
+        },
+      }
+    );
+  }
+};
+
+export const clearFailedLogins = (user) =>
+  user.failedLogins || user.lockedUntil
+    ? User.updateOne(
+        { _id: user._id },
+        { $set: { failedLogins: 0 }, $unset: { lockedUntil: 1 } }
+      )
+    : null;
@@ -0,0 +1,126 @@
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import nodemailer from "nodemailer";
+import { escapeHtml } from "./html.js";
+
+// Outgoing mail.
+//
+// Messages are rendered from templates in templates/email (or the directory
+// named by EMAIL_TEMPLATE_DIR). Each template is three files sharing a name:
+// <name>.subject.txt, <name>.txt and <name>.html. `{{key}}` placeholders are
+// replaced with values from the data passed to sendMail; values are
+// HTML-escaped in the html variant.
+//
+// The transport is chosen by MAIL_TRANSPORT:
+//   smtp    (default) Nodemailer SMTP, using EMAIL_HOST/EMAIL_PORT or
+//           the EMAIL_SERVICE shortcut, with EMAIL_USERNAME/EMAIL_PASSWORD
+//   json    Nodemailer's JSON transport; builds messages but sends nothing
+//   memory  keeps sent messages in `outbox` so tests can inspect them
+// setTransport() swaps in any object with a Nodemailer-style sendMail().
+
+const DEFAULT_TEMPLATE_DIR = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "..",
+  "templates",
+  "email"
+);
+
+export const outbox = [];
+
+let transport;
+
+const createTransport = () => {
+  switch (process.env.MAIL_TRANSPORT) {
+    case "memory":
+      return {
+        sendMail: async (message) => {
+          outbox.push(message);
+          return { messageId: `memory-${outbox.length}` };
+        },
+      };
+    case "json":
+      return nodemailer.createTransport({ jsonTransport: true });
+    default: {
+      const auth = {
+        user: process.env.EMAIL_USERNAME,
+        pass: process.env.EMAIL_PASSWORD,
+      };
+      if (process.env.EMAIL_HOST) {
+        return nodemailer.createTransport({
+          host: process.env.EMAIL_HOST,
+          port: parseInt(process.env.EMAIL_PORT, 10) || 587,
+          secure: process.env.EMAIL_SECURE === "true",
+          auth,
+        });
+      }
+      return nodemailer.createTransport({
+        service: process.env.EMAIL_SERVICE, // e.g., 'Gmail'
+        auth,
+      });
+    }
+  }
+};
+
+export const setTransport = (nextTransport) => {
+  transport = nextTransport;
+};
+
+const getTransport = () => {
+  if (!transport) transport = createTransport();
+  return transport;
+};
+
+// Absolute URL of a page on the public frontend, for links in emails
+export const frontendUrl = (pathname) =>
+  `${(process.env.FRONTEND_URL || "http://localhost:3000").replace(
+    /\/+$/,
+    ""
+  )}${pathname}`;
+
+const interpolate = (template, data, escape) =>
+  template.replace(/{{\s*(\w+)\s*}}/g, (match, key) =>
+    data[key] === undefined || data[key] === null ? "" : escape(data[key])
+  );
+
+const templateCache = new Map();
+
+const loadTemplate = async (name) => {
+  const dir = process.env.EMAIL_TEMPLATE_DIR || DEFAULT_TEMPLATE_DIR;
+  const key = path.join(dir, name);
+  if (!templateCache.has(key)) {
+    const read = (suffix) => fs.readFile(`${key}${suffix}`, "utf8");
+    const [subject, text, html] = await Promise.all([
+      read(".subject.txt"),
+      read(".txt"),
+      read(".html"),
+    ]);
+    templateCache.set(key, { subject: subject.trim(), text, html });
+  }
+  return templateCache.get(key);
+};
+
+export const renderTemplate = async (name, data = {}) => {
+  const template = await loadTemplate(name);
+  const values = {
+    appName: process.env.APP_NAME || "Forum Fusion",
+    ...data,
+  };
+  return {
+    subject: interpolate(template.subject, values, String),
+    text: interpolate(template.text, values, String),
+    html: interpolate(template.html, values, escapeHtml),
+  };
+};
+
+// Render `template` with `data` and send it to `to`
+export const sendMail = async (to, template, data) => {
+  const { subject, text, html } = await renderTemplate(template, data);
+  return getTransport().sendMail({
+    to,
+    from: process.env.EMAIL_FROM || process.env.EMAIL_USERNAME,
+    subject,
+    text,
+    html,
+  });
+};
@@ -0,0 +1,110 @@
+import { Marked } from "marked";
+import sanitizeHtml from "sanitize-html";
+import { resolveMentions } from "./mentions.js";
+
+// Markdown for thread and comment content.
+//
+// Content is stored as written and rendered once, on save, to `contentHtml`:
+// GitHub-flavoured Markdown (code blocks, links, quotes, lists, tables) with
+// @mentions of existing users linked to their profile. Raw HTML in the
+// source is passed through the sanitizer like everything else, so scripts,
+// event handler attributes, styles and javascript: URLs never make it out.
+
+const SANITIZE_OPTIONS = {
+  allowedTags: [
+    "p",
+    "br",
+    "hr",
+    "h1",
+    "h2",
+    "h3",
+    "h4",
+    "h5",
+    "h6",
+    "blockquote",
+    "pre",
+    "code",
+    "em",
+    "strong",
+    "del",
+    "ul",
+    "ol",
+    "li",
+    "a",
+    "img",
+    "table",
+    "thead",
+    "tbody",
+    "tr",
+    "th",
+    "td",
+  ],
+  allowedAttributes: {
+    a: ["href", "title", "rel", "class", "data-user-id"],
+    img: ["src", "alt", "title"],
+    code: ["class"],
+    ol: ["start"],
+    th: ["align"],
+    td: ["align"],
+  },
+  allowedClasses: {
+    a: ["mention"],
+    code: ["language-*"],
+  },
+  allowedSchemes: ["http", "https", "mailto"],
+  allowedSchemesByTag: { img: ["http", "https"] },
+  allowProtocolRelative: false,
+  transformTags: {
+    // Links off the site should not pass on reputation or the opener
+    a: (tagName, attribs) => ({
+      tagName,
+      attribs:
+        attribs.href && attribs.href.startsWith("/")
+          ? attribs
+          : { ...attribs, rel: "nofollow ugc noopener noreferrer" },
+    }),
+  },
+};
+
+// Inline extension turning @username into a profile link for the users in
+// `users`. Other mentions fall through to plain text, and mentions inside
+// code are left alone because code spans are tokenized first.
+const mentionExtension = (users) => {
+  const byUsername = new Map(users.map((user) => [user.username, user]));
+  return {
+    name: "mention",
+    level: "inline",
+    start: (src) => {
+      const match = src.match(/(^|[^\w@])@\w/);
+      return match ? match.index + match[1].length : undefined;
+    },
+    tokenizer: (src) => {
+      const match = src.match(/^@([A-Za-z0-9_]{3,30})(?![\w@])/);
+      const user = match && byUsername.get(match[1]);
+      if (!user) return undefined;
+      return { type: "mention", raw: match[0], user };
+    },
+    renderer: ({ user }) =>
+      `<a href="/users/${user.username}" class="mention" data-user-id="${user._id}">@${user.username}</a>`,
+  };
+};
+
+// Render Markdown `source` to sanitized HTML, linking mentions of `users`
+export const renderMarkdown = (source, users = []) => {
+  const marked = new Marked({
+    gfm: true,
+    breaks: true,
+    extensions: [mentionExtension(users)],
+  });
+  return sanitizeHtml(marked.parse(String(source)), SANITIZE_OPTIONS);
+};
+
+// Everything derived from a post's content: the users it mentions and the
+// rendered HTML. Stored on the post as `mentions` and `contentHtml`.
+export const renderContent = async (source) => {
+  const users = await resolveMentions(source);
+  return {
+    mentions: users.map((user) => user._id),
+    contentHtml: renderMarkdown(source, users),
+  };
+};
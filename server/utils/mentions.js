@@ -0,0 +1,39 @@
+import { Marked } from "marked";
+import User from "../models/user.model.js";
+
+// @username mentions in thread and comment text. Usernames follow
+// USERNAME_RULE in validators/auth.validator.js; an @ inside a word, as in an
+// email address, is not a mention. Mentions are linked when content is
+// rendered, see utils/markdown.js. Like there, code spans and code blocks
+// never mention anyone.
+const MENTION_PATTERN = /(^|[^\w@])@([A-Za-z0-9_]{3,30})(?![\w@])/g;
+
+// Mentions past this many in one text are ignored
+export const MAX_MENTIONS = 20;
+
+// The prose of Markdown `text`: its innermost text tokens, leaving out code
+const proseOf = (text) => {
+  const marked = new Marked({ gfm: true, breaks: true });
+  const parts = [];
+  marked.walkTokens(marked.lexer(String(text || "")), (token) => {
+    if (token.type === "text" && !token.tokens) parts.push(token.text);
+  });
+  return parts.join("\n");
+};
+
+// Distinct usernames mentioned in `text`, in order of appearance
+export const extractMentions = (text) => {
+  const usernames = new Set();
+  for (const [, , username] of proseOf(text).matchAll(MENTION_PATTERN)) {
+    usernames.add(username);
+    if (usernames.size === MAX_MENTIONS) break;
+  }
+  return [...usernames];
+};
+
+// Existing users mentioned in `text`; mentions of anyone else are ignored
+export const resolveMentions = async (text) => {
+  const usernames = extractMentions(text);
+  if (usernames.length === 0) return [];
+  return User.find({ username: { $in: usernames } }).select("_id username");
+};
@@ -0,0 +1,160 @@
+import Thread from "../models/thread.model.js";
+import Report from "../models/report.model.js";
+import ModerationLog from "../models/moderationLog.model.js";
+import { sendMail, frontendUrl } from "./mailer.js";
+import { publishThread, publishComment } from "./realtime.js";
+import { notifyModeration } from "./notifications.js";
+import { reputationForModeration } from "./reputation.js";
+import { releaseHeldPost } from "./spam.js";
+import { plain } from "./ids.js";
+import { notFound } from "./errors.js";
+
+export const MODERATION_ACTIONS = ["hide", "lock", "restore", "dismiss"];
+
+// Field values each action sets on its target. Locking a comment locks the
+// thread it belongs to.
+const ACTION_UPDATES = {
+  hide: () => ({ isHidden: true }),
+  lock: () => ({ isLocked: true }),
+  restore: (targetType) =>
+    targetType === "Thread"
+      ? { isHidden: false, isLocked: false }
+      : { isHidden: false },
+  dismiss: () => ({}),
+};
+
+// What reporters are told about the outcome of their report
+const OUTCOME_MESSAGES = {
+  hide: "hid it from the community",
+  lock: "locked the discussion",
+  restore: "restored it",
+  dismiss: "found that it does not break the community rules",
+};
+
+// Append an entry to the moderation audit log
+export const recordModeration = ({
+  moderator,
+  action,
+  targetType,
+  target,
+  report,
+  note,
+  changes,
+}) =>
+  ModerationLog.create({
+    moderator,
+    action,
+    targetType,
+    target,
+    report,
+    note,
+    changes,
+  });
+
+// Field-by-field { from, to } of what `updates` would change on `doc`
+export const diffFields = (doc, updates) =>
+  Object.fromEntries(
+    Object.entries(updates)
+      .map(([field, value]) => [field, plain(doc.get(field)), value])
+      .filter(([, from, to]) => JSON.stringify(from) !== JSON.stringify(to))
+      .map(([field, from, to]) => [field, { from, to }])
+  );
+
+// Apply a moderation action to a thread or comment document and log it.
+// Returns the document the action ended up changing.
+export const applyModerationAction = async ({
+  moderator,
+  action,
+  targetType,
+  target,
+  note,
+  report,
+}) => {
+  let doc = target;
+  let type = targetType;
+  if (action === "lock" && type === "Comment") {
+    doc = await Thread.findById(target.thread);
+    if (!doc) throw notFound("Thread not found");
+    type = "Thread";
+  }
+
+  const updates = ACTION_UPDATES[action](type);
+  const changes = diffFields(doc, updates);
+  if (Object.keys(changes).length > 0) {
+    doc.set(updates);
+    await doc.save();
+    // Direct messages are private: no live updates, notifications or
+    // reputation changes for them
+    if (type !== "Message") {
+      if (type === "Thread") publishThread("thread.updated", doc);
+      else publishComment("comment.updated", doc);
+      await notifyModeration({ doc, targetType: type, action, moderator });
+      if (action === "hide" || action === "restore") {
+        await reputationForModeration({
+          doc,
+          targetType: type,
+          moderator,
+          penalized: action === "hide",
+        });
+      }
+      if (action === "restore" && doc.heldForReview) {
+        await releaseHeldPost({ doc, targetType: type });
+      }
+    }
+  }
+
+  await recordModeration({
+    moderator,
+    action,
+    targetType: type,
+    target: doc._id,
+    report: report && report._id,
+    note,
+    changes,
+  });
+
+  return doc;
+};
+
+const notifyReporter = async (report, action) => {
+  const { reporter } = report;
+  if (!reporter || !reporter.email) return;
+
+  const what = report.targetType.toLowerCase();
+  try {
+    await sendMail(reporter.email, "notification", {
+      username: reporter.username,
+      title: "Update on your report",
+      message: `A moderator reviewed the ${what} you reported and ${OUTCOME_MESSAGES[action]}. Thank you for helping keep the community healthy.`,
+      url: frontendUrl(
+        report.thread
+          ? `/threads/${report.thread}`
+          : `/messages/${report.conversation}`
+      ),
+    });
+  } catch (error) {
+    console.error("Report outcome email error:", error);
+  }
+};
+
+// Settle every open report on the same target as `report` with the
+// moderator's decision, and let each reporter know the outcome
+export const resolveReports = async (report, { action, note, moderator }) => {
+  const reports = await Report.find({
+    target: report.target,
+    status: { $in: ["open", "in_review"] },
+  }).populate("reporter", "username email");
+
+  await Report.updateMany(
+    { _id: { $in: reports.map((pending) => pending._id) } },
+    {
+      $set: {
+        status: action === "dismiss" ? "dismissed" : "resolved",
+        resolution: { action, note, moderator, at: new Date() },
+      },
+    }
+  );
+
+  await Promise.all(reports.map((pending) => notifyReporter(pending, action)));
+  return reports.length;
+};
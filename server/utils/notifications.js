@@ -0,0 +1,243 @@
+import Notification from "../models/notification.model.js";
+import Comment from "../models/comment.model.js";
+import User from "../models/user.model.js";
+import { frontendUrl } from "./mailer.js";
+import { findBadge } from "./badges.js";
+import { isThreadMuted, threadWatchers, tagWatchers } from "./subscriptions.js";
+import { sameId } from "./ids.js";
+
+// In-app notifications. Each notify* helper is called by the route that
+// performed the action, after the action succeeded. A failure to notify is
+// logged and never fails the action itself.
+
+// Create a notification for `recipient`, unless they caused it themselves,
+// switched the type off or muted the thread it is about. With `once`, a
+// matching notification that already exists is kept instead, so toggling a
+// like does not notify twice.
+const notify = async ({ recipient, actor, once = false, ...fields }) => {
+  if (!recipient || sameId(recipient, actor)) return null;
+  try {
+    const user = await User.findById(recipient).select(
+      "notificationPreferences"
+    );
+    const preferences = user && user.notificationPreferences;
+    if (!user || (preferences && preferences[fields.type] === false)) {
+      return null;
+    }
+    if (
+      fields.thread &&
+      fields.type !== "moderation" &&
+      (await isThreadMuted(user._id, fields.thread))
+    ) {
+      return null;
+    }
+
+    const notification = Object.fromEntries(
+      Object.entries({ recipient: user._id, actor, ...fields }).filter(
+        ([, value]) => value !== undefined
+      )
+    );
+    if (once) {
+      return await Notification.findOneAndUpdate(
+        notification,
+        { $setOnInsert: notification },
+        { upsert: true, new: true }
+      );
+    }
+    return await Notification.create(notification);
+  } catch (error) {
+    console.error("Notification error:", error);
+    return null;
+  }
+};
+
+// Tell the author of the parent comment, or of the thread for top-level
+// comments, that `comment` replied to them
+export const notifyReply = async ({ comment, thread, actor }) => {
+  let recipient = thread.author;
+  if (comment.parentComment) {
+    const parent = await Comment.findById(comment.parentComment).select(
+      "author"
+    );
+    recipient = parent && parent.author;
+  }
+  return notify({
+    recipient,
+    actor,
+    type: "reply",
+    thread: thread._id,
+    comment: comment._id,
+  });
+};
+
+// Tell the users in `mentions` that were not already in `previousMentions`,
+// so editing a post only notifies the people it newly mentions. Users in
+// `except` were already notified about the same post.
+export const notifyMentions = ({
+  mentions,
+  previousMentions = [],
+  actor,
+  thread,
+  comment,
+  except = [],
+}) =>
+  Promise.all(
+    mentions
+      .filter(
+        (id) =>
+          ![...previousMentions, ...except].some((other) => sameId(other, id))
+      )
+      .map((id) =>
+        notify({
+          recipient: id,
+          actor,
+          type: "mention",
+          thread,
+          comment,
+        })
+      )
+  );
+
+// Tell the users watching `thread` about a new `comment` in it. Users in
+// `except` were already notified about it. Nobody hears about threads
+// hidden by moderation.
+export const notifyWatchers = async ({
+  comment,
+  thread,
+  actor,
+  except = [],
+}) =>
+  thread.isHidden
+    ? []
+    : Promise.all(
+        (await threadWatchers(thread._id))
+          .filter((id) => !except.some((other) => sameId(other, id)))
+          .map((id) =>
+            notify({
+              recipient: id,
+              actor,
+              type: "watching",
+              thread: thread._id,
+              comment: comment._id,
+            })
+          )
+      );
+
+// Tell the users watching any of the tags of a new `thread` about it
+export const notifyTagWatchers = async ({ thread, actor, except = [] }) =>
+  Promise.all(
+    (await tagWatchers(thread.tags))
+      .filter((id) => !except.some((other) => sameId(other, id)))
+      .map((id) =>
+        notify({ recipient: id, actor, type: "watching", thread: thread._id })
+      )
+  );
+
+// Everything a new thread notifies about: the users it mentions and the
+// watchers of its tags
+export const notifyNewThread = async ({ thread, actor }) => {
+  await notifyMentions({
+    mentions: thread.mentions,
+    actor,
+    thread: thread._id,
+  });
+  await notifyTagWatchers({ thread, actor, except: thread.mentions });
+};
+
+// Everything a new comment notifies about: the author it replies to, the
+// users it mentions and the watchers of its thread, each user at most once
+export const notifyNewComment = async ({ comment, thread, actor }) => {
+  const reply = await notifyReply({ comment, thread, actor });
+  const replied = reply ? [reply.recipient] : [];
+  await notifyMentions({
+    mentions: comment.mentions,
+    actor,
+    thread: thread._id,
+    comment: comment._id,
+    except: replied,
+  });
+  await notifyWatchers({
+    comment,
+    thread,
+    actor,
+    except: [...replied, ...comment.mentions],
+  });
+};
+
+// Tell the author of a thread or comment that `actor` liked it
+export const notifyLike = ({ doc, targetType, actor }) =>
+  notify({
+    recipient: doc.author && (doc.author._id || doc.author),
+    actor,
+    type: "like",
+    thread: targetType === "Thread" ? doc._id : doc.thread,
+    // null, not left out, so a thread like never matches a comment like
+    comment: targetType === "Comment" ? doc._id : null,
+    once: true,
+  });
+
+// Tell the author of a thread or comment that a moderator acted on it. The
+// moderator is not named.
+export const notifyModeration = async ({
+  doc,
+  targetType,
+  action,
+  moderator,
+}) => {
+  const recipient = doc.author && (doc.author._id || doc.author);
+  if (sameId(recipient, moderator)) return null;
+  return notify({
+    recipient,
+    type: "moderation",
+    action,
+    thread: targetType === "Thread" ? doc._id : doc.thread,
+    comment: targetType === "Comment" ? doc._id : undefined,
+  });
+};
+
+// Tell a user they earned a badge
+export const notifyBadge = ({ recipient, badge }) =>
+  notify({ recipient, type: "badge", badge });
+
+const MODERATION_VERBS = {
+  hide: "hid",
+  lock: "locked",
+  restore: "restored",
+};
+
+// One-line summary and link for a notification with `actor` and `thread`
+// populated, as shown in the API and in email digests
+export const describeNotification = (notification) => {
+  const { type, actor, thread, comment, action, badge } = notification;
+  const who = actor && actor.username ? actor.username : "Someone";
+  const where = thread && thread.title ? ` in "${thread.title}"` : "";
+  const what = comment ? "comment" : "thread";
+
+  const messages = {
+    reply: () => `${who} replied${where}`,
+    mention: () => `${who} mentioned you${where}`,
+    like: () => `${who} liked your ${what}${where}`,
+    moderation: () =>
+      `A moderator ${MODERATION_VERBS[action] || "reviewed"} your ${
+        action === "lock" ? "thread" : what
+      }${where}`,
+    watching: () =>
+      comment
+        ? `${who} commented${where}`
+        : `${who} started a new thread${
+            thread && thread.title ? `: "${thread.title}"` : ""
+          }`,
+    badge: () =>
+      `You earned the "${findBadge(badge) ? findBadge(badge).name : badge}" badge`,
+  };
+
+  const threadId = thread && (thread._id || thread);
+  return {
+    message: messages[type](),
+    url: threadId
+      ? frontendUrl(
+          `/threads/${threadId}${comment ? `#comment-${comment._id || comment}` : ""}`
+        )
+      : null,
+  };
+};
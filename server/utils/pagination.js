@@ -0,0 +1,70 @@
+import mongoose from "mongoose";
+import { badRequest } from "./errors.js";
+
+export const DEFAULT_PAGE_SIZE = 20;
+export const MAX_PAGE_SIZE = 100;
+
+// Clamp a client supplied page size to a sane range
+export const parseLimit = (value, fallback = DEFAULT_PAGE_SIZE) => {
+  const limit = parseInt(value, 10);
+  if (Number.isNaN(limit) || limit < 1) return fallback;
+  return Math.min(limit, MAX_PAGE_SIZE);
+};
+
+// Cursors are opaque to clients: base64url JSON of the sort value and _id of
+// the last item on the page, so ties on the sort value are broken by _id.
+export const encodeCursor = (doc, field) => {
+  const value = doc[field];
+  const payload = {
+    v: value instanceof Date ? value.toISOString() : value,
+    d: value instanceof Date,
+    id: doc._id.toString(),
+  };
+  return Buffer.from(JSON.stringify(payload)).toString("base64url");
+};
+
+export const decodeCursor = (cursor) => {
+  if (!cursor) return null;
+  try {
+    const payload = JSON.parse(Buffer.from(cursor, "base64url").toString());
+    if (!mongoose.isValidObjectId(payload.id)) return null;
+    return {
+      value: payload.d ? new Date(payload.v) : payload.v,
+      id: new mongoose.Types.ObjectId(payload.id),
+    };
+  } catch (error) {
+    return null;
+  }
+};
+
+// The cursor in ?cursor=, or null on the first page. Malformed cursors are
+// refused rather than silently restarting from the first page.
+export const parseCursor = (req) => {
+  const cursor = decodeCursor(req.query.cursor);
+  if (req.query.cursor && !cursor) {
+    throw badRequest("Invalid pagination cursor");
+  }
+  return cursor;
+};
+
+// Match stage selecting the items that come after the cursor for a
+// { [field]: direction, _id: direction } sort
+export const cursorMatch = (field, cursor, direction = -1) => {
+  const op = direction === -1 ? "$lt" : "$gt";
+  return {
+    $or: [
+      { [field]: { [op]: cursor.value } },
+      { [field]: cursor.value, _id: { [op]: cursor.id } },
+    ],
+  };
+};
+
+// Split a limit + 1 result set into the page and the cursor for the next one
+export const buildPage = (items, limit, field) => {
+  const hasMore = items.length > limit;
+  const page = hasMore ? items.slice(0, limit) : items;
+  return {
+    items: page,
+    nextCursor: hasMore ? encodeCursor(page[page.length - 1], field) : null,
+  };
+};
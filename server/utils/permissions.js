@@ -0,0 +1,103 @@
+import { idOf } from "./ids.js";
+
+// Central role/permission policy.
+//
+// A user's effective permissions are the defaults for their role with their
+// per-user overrides applied on top. The `auth` middleware resolves them from
+// the database on every request, so role and override changes take effect
+// without the user logging in again.
+
+export const PERMISSIONS = [
+  "canPost",
+  "canComment",
+  "canMessage",
+  "canModerate",
+  "canManageUsers",
+];
+
+export const ROLE_PERMISSIONS = {
+  guest: {
+    canPost: false,
+    canComment: false,
+    canMessage: false,
+    canModerate: false,
+    canManageUsers: false,
+  },
+  community_member: {
+    canPost: true,
+    canComment: true,
+    canMessage: true,
+    canModerate: false,
+    canManageUsers: false,
+  },
+  moderator: {
+    canPost: true,
+    canComment: true,
+    canMessage: true,
+    canModerate: true,
+    canManageUsers: false,
+  },
+  admin: {
+    canPost: true,
+    canComment: true,
+    canMessage: true,
+    canModerate: true,
+    canManageUsers: true,
+  },
+};
+
+export const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+export const resolvePermissions = (role, overrides = {}) => {
+  const defaults = ROLE_PERMISSIONS[role] || ROLE_PERMISSIONS.guest;
+  return Object.fromEntries(
+    PERMISSIONS.map((permission) => [
+      permission,
+      typeof overrides[permission] === "boolean"
+        ? overrides[permission]
+        : defaults[permission],
+    ])
+  );
+};
+
+// Permissions that let a user add content. Accounts that are restricted to
+// reading, such as those with an unverified email, lose these.
+export const WRITE_PERMISSIONS = ["canPost", "canComment", "canMessage"];
+
+export const withoutWritePermissions = (permissions) => ({
+  ...permissions,
+  ...Object.fromEntries(
+    WRITE_PERMISSIONS.map((permission) => [permission, false])
+  ),
+});
+
+export const isOwner = (user, resource) =>
+  Boolean(resource && resource.author) &&
+  idOf(resource.author).toString() === user.userId;
+
+const hasPermission = (permission) => (user) =>
+  Boolean(user.permissions && user.permissions[permission]);
+
+// Resource rules, keyed by "<resource>:<action>". Each receives the request
+// user and, where relevant, the resource document.
+export const POLICIES = {
+  "thread:update": (user, thread) => isOwner(user, thread),
+  "thread:delete": (user, thread) =>
+    isOwner(user, thread) || hasPermission("canModerate")(user),
+  "thread:editLocked": hasPermission("canModerate"),
+  "thread:acceptAnswer": (user, thread) =>
+    isOwner(user, thread) || hasPermission("canModerate")(user),
+  "comment:update": (user, comment) => isOwner(user, comment),
+  "comment:delete": (user, comment) =>
+    isOwner(user, comment) || hasPermission("canModerate")(user),
+  "content:viewHidden": hasPermission("canModerate"),
+};
+
+// Whether `user` may perform `action`, optionally on `resource`. Admins may
+// do anything; unknown actions are denied.
+export const can = (user, action, resource) => {
+  if (!user) return false;
+  if (user.role === "admin") return true;
+  const rule = POLICIES[action];
+  return Boolean(rule && rule(user, resource));
+};
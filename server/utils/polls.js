@@ -0,0 +1,86 @@
+import PollVote from "../models/pollVote.model.js";
+import { badRequest } from "./errors.js";
+import { plain } from "./ids.js";
+
+// Polls on threads. The poll itself lives on the thread, votes are
+// PollVote documents, and thread responses carry a summary with the
+// results in place of the stored poll:
+//
+//   { question, multipleChoice, anonymous, allowVoteChange, closesAt,
+//     closedAt, isClosed, voterCount, viewerVotes,
+//     options: [{ _id, text, voteCount }] }
+//
+// viewerVotes lists the option ids the viewer chose, or is null when they
+// have not voted. Who voted for what is only available for public polls,
+// through GET /threads/:id/poll/votes.
+
+// The stored form of a validated `poll` from POST /threads
+export const buildPoll = (poll, now = new Date()) => {
+  const texts = poll.options.map((text) => text.toLowerCase());
+  if (new Set(texts).size !== texts.length) {
+    throw badRequest("Poll options must be different from one another");
+  }
+  if (poll.closesAt && poll.closesAt <= now) {
+    throw badRequest("A poll must close in the future");
+  }
+  return { ...poll, options: poll.options.map((text) => ({ text })) };
+};
+
+// Polls close at closesAt, or for good when their thread is locked
+export const isPollClosed = (thread, now = new Date()) => {
+  const { poll } = thread;
+  return Boolean(
+    thread.isLocked ||
+    poll.closedAt ||
+    (poll.closesAt && new Date(poll.closesAt) <= now)
+  );
+};
+
+const summarize = (thread, counts, voterCount, vote) => {
+  const { options, ...poll } = plain(thread.poll);
+  return {
+    ...poll,
+    isClosed: isPollClosed(thread),
+    voterCount,
+    viewerVotes: vote ? vote.options : null,
+    options: options.map(({ _id, text }) => ({
+      _id,
+      text,
+      voteCount: counts.get(_id.toString()) || 0,
+    })),
+  };
+};
+
+// Poll summaries of `threads` as seen by `userId`, in the same order; null
+// for threads without a poll
+export const pollSummaries = async (threads, userId) => {
+  const ids = threads.filter((thread) => thread.poll).map(({ _id }) => _id);
+  if (ids.length === 0) return threads.map(() => null);
+
+  const [optionCounts, voterCounts, votes] = await Promise.all([
+    PollVote.aggregate([
+      { $match: { thread: { $in: ids } } },
+      { $unwind: "$options" },
+      { $group: { _id: "$options", count: { $sum: 1 } } },
+    ]),
+    PollVote.aggregate([
+      { $match: { thread: { $in: ids } } },
+      { $group: { _id: "$thread", count: { $sum: 1 } } },
+    ]),
+    userId ? PollVote.find({ thread: { $in: ids }, user: userId }).lean() : [],
+  ]);
+  const toMap = (entries, value) =>
+    new Map(entries.map((entry) => [entry._id.toString(), value(entry)]));
+  const counts = toMap(optionCounts, ({ count }) => count);
+  const voters = toMap(voterCounts, ({ count }) => count);
+  const own = new Map(votes.map((vote) => [vote.thread.toString(), vote]));
+
+  return threads.map((thread) => {
+    if (!thread.poll) return null;
+    const key = thread._id.toString();
+    return summarize(thread, counts, voters.get(key) || 0, own.get(key));
+  });
+};
+
+export const pollSummary = async (thread, userId) =>
+  (await pollSummaries([thread], userId))[0];
@@ -0,0 +1,72 @@
+import Thread from "../models/thread.model.js";
+import Comment from "../models/comment.model.js";
+import { threadVisibility, hiddenVisibility } from "./visibility.js";
+import { describeBadges } from "./badges.js";
+
+// Public user profiles. Activity counts, like the thread and comment lists
+// on profile pages, only include what the viewer is allowed to see.
+
+export const PROFILE_FIELDS =
+  "username displayName bio signature links avatar role reputation badges createdAt lastActive";
+
+// Match stage for a user's comments that `viewer` may see, before checking
+// the threads they are in
+export const commentsByMatch = (author, viewer) => ({
+  author,
+  deletedAt: null,
+  ...hiddenVisibility(viewer),
+});
+
+// Pipeline stages replacing `thread` with the thread's id and title, and
+// dropping comments in threads `viewer` cannot see. With `keepHidden`, those
+// comments stay, with a null `thread`.
+export const joinVisibleThread = (viewer, { keepHidden = false } = {}) => [
+  {
+    $lookup: {
+      from: Thread.collection.name,
+      localField: "thread",
+      foreignField: "_id",
+      pipeline: [
+        { $match: threadVisibility(viewer) },
+        { $project: { title: 1 } },
+      ],
+      as: "thread",
+    },
+  },
+  { $unwind: { path: "$thread", preserveNullAndEmptyArrays: keepHidden } },
+];
+
+const countComments = async (match, viewer) => {
+  const [result] = await Comment.aggregate([
+    { $match: match },
+    ...joinVisibleThread(viewer),
+    { $count: "count" },
+  ]);
+  return result ? result.count : 0;
+};
+
+export const activityCounts = async (user, viewer) => {
+  const match = commentsByMatch(user._id, viewer);
+  const [threadCount, commentCount, acceptedAnswerCount] = await Promise.all([
+    Thread.countDocuments({ author: user._id, ...threadVisibility(viewer) }),
+    countComments(match, viewer),
+    countComments({ ...match, acceptedAt: { $ne: null } }, viewer),
+  ]);
+  return { threadCount, commentCount, acceptedAnswerCount };
+};
+
+export const presentProfile = async (user, viewer) => ({
+  _id: user._id,
+  username: user.username,
+  displayName: user.displayName || null,
+  bio: user.bio,
+  signature: user.signature,
+  links: user.links,
+  avatar: user.avatar || null,
+  role: user.role,
+  reputation: user.reputation,
+  badges: describeBadges(user.badges),
+  joinedAt: user.createdAt,
+  lastActive: user.lastActive,
+  ...(await activityCounts(user, viewer)),
+});
@@ -0,0 +1,146 @@
+import { tooManyRequests } from "./errors.js";
+
+// Request rate limits.
+//
+// Each limit in RATE_LIMITS allows `max` requests per fixed window of
+// `windowMs` for one key, usually the client's IP address or user id. Set
+// RATE_LIMIT_<NAME>=<max>/<seconds> to change one, e.g.
+// RATE_LIMIT_LOGIN=20/900, or RATE_LIMITS_ENABLED=false to turn them all
+// off. Behind a reverse proxy, set TRUST_PROXY so req.ip is the client's
+// address rather than the proxy's.
+//
+// Counters live in a store with
+//
+//   increment(key, windowMs)  count a hit, returning { count, resetAt }
+//   reset(key)                forget the key
+//
+// The default store keeps them in memory, which is fine for a single
+// process; call setRateLimitStore() with a shared store (e.g. Redis backed)
+// when running several.
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+export const RATE_LIMITS = {
+  login: { max: 20, windowMs: 15 * MINUTE_MS },
+  signup: { max: 5, windowMs: HOUR_MS },
+  passwordReset: { max: 5, windowMs: HOUR_MS },
+  passwordResetEmail: { max: 3, windowMs: HOUR_MS },
+  verificationEmail: { max: 3, windowMs: HOUR_MS },
+  thread: { max: 5, windowMs: 10 * MINUTE_MS },
+  threadIp: { max: 10, windowMs: 10 * MINUTE_MS },
+  comment: { max: 30, windowMs: 10 * MINUTE_MS },
+  commentIp: { max: 60, windowMs: 10 * MINUTE_MS },
+  message: { max: 30, windowMs: 10 * MINUTE_MS },
+  messageIp: { max: 60, windowMs: 10 * MINUTE_MS },
+  upload: { max: 20, windowMs: 10 * MINUTE_MS },
+};
+
+const SWEEP_INTERVAL_MS = MINUTE_MS;
+
+export const memoryStore = () => {
+  const counters = new Map();
+
+  // Drop expired windows now and then so the map does not grow forever
+  const timer = setInterval(() => {
+    const now = Date.now();
+    counters.forEach((counter, key) => {
+      if (counter.resetAt <= now) counters.delete(key);
+    });
+  }, SWEEP_INTERVAL_MS);
+  timer.unref();
+
+  return {
+    async increment(key, windowMs) {
+      const now = Date.now();
+      let counter = counters.get(key);
+      if (!counter || counter.resetAt <= now) {
+        counter = { count: 0, resetAt: now + windowMs };
+        counters.set(key, counter);
+      }
+      counter.count += 1;
+      return { count: counter.count, resetAt: counter.resetAt };
+    },
+
+    async reset(key) {
+      counters.delete(key);
+    },
+  };
+};
+
+let store;
+
+export const getRateLimitStore = () => {
+  if (!store) store = memoryStore();
+  return store;
+};
+
+export const setRateLimitStore = (replacement) => {
+  store = replacement;
+};
+
+// "loginIp" -> "LOGIN_IP"
+const envName = (name) =>
+  `RATE_LIMIT_${name.replace(/([a-z])([A-Z])/g, "$1_$2").toUpperCase()}`;
+
+const limitFor = (name) => {
+  const match = /^(\d+)\/(\d+)$/.exec(process.env[envName(name)] || "");
+  return match
+    ? { max: Number(match[1]), windowMs: Number(match[2]) * 1000 }
+    : RATE_LIMITS[name];
+};
+
+// Key functions
+export const byIp = (req) => req.ip;
+export const byUser = (req) => req.user && req.user.userId;
+export const byBodyField = (field) => (req) =>
+  req.body && typeof req.body[field] === "string"
+    ? req.body[field].toLowerCase()
+    : null;
+
+// Middleware counting the request against limit `name` for the key
+// `keyOf(req)` returns; requests without a key are not limited. Responses
+// carry RateLimit-* headers, and requests over the limit fail with 429 and
+// a Retry-After header.
+export const rateLimit = (name, keyOf) => {
+  if (!RATE_LIMITS[name]) throw new Error(`Unknown rate limit "${name}"`);
+  const { max, windowMs } = limitFor(name);
+
+  return async (req, res, next) => {
+    const key = keyOf(req);
+    if (process.env.RATE_LIMITS_ENABLED === "false" || !key) return next();
+
+    const { count, resetAt } = await getRateLimitStore().increment(
+      `${name}:${key}`,
+      windowMs
+    );
+    const retryAfter = Math.max(1, Math.ceil((resetAt - Date.now()) / 1000));
+    res.set({
+      "RateLimit-Limit": String(max),
+      "RateLimit-Remaining": String(Math.max(0, max - count)),
+      "RateLimit-Reset": String(retryAfter),
+    });
+
+    if (count > max) {
+      return next(
+        tooManyRequests(
+          `Too many requests. Try again in ${retryAfter} seconds.`,
+          retryAfter
+        )
+      );
+    }
+    next();
+  };
+};
+
+// Limits on creating threads, comments or messages (`kind`), per user and
+// per IP.
+// Moderators are not limited per user.
+export const postingLimits = (kind) => [
+  rateLimit(kind, (req) =>
+    req.user && req.user.permissions && req.user.permissions.canModerate
+      ? null
+      : byUser(req)
+  ),
+  rateLimit(`${kind}Ip`, byIp),
+];
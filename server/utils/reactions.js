@@ -0,0 +1,58 @@
+import mongoose from "mongoose";
+import { sameId } from "./ids.js";
+
+// Reactions a user can leave on a thread or comment, on top of a plain like.
+// A user has at most one reaction per post.
+export const REACTION_TYPES = ["upvote", "heart", "laugh", "insightful"];
+
+// Atomic update pipeline replacing the user's reaction with `type`, or
+// removing it when `type` is null
+export const reactionUpdate = (userId, type) => {
+  const user = new mongoose.Types.ObjectId(userId);
+  return [
+    {
+      $set: {
+        reactions: {
+          $concatArrays: [
+            {
+              $filter: {
+                input: { $ifNull: ["$reactions", []] },
+                cond: { $ne: ["$$this.user", user] },
+              },
+            },
+            type ? [{ user, type }] : [],
+          ],
+        },
+      },
+    },
+  ];
+};
+
+// Replace the raw `likes` and `reactions` arrays of a thread or comment with
+// aggregated counts and the viewer's own state
+export const summarizeReactions = (doc, userId) => {
+  const {
+    likes = [],
+    reactions = [],
+    ...rest
+  } = typeof doc.toObject === "function" ? doc.toObject() : doc;
+
+  const reactionCounts = Object.fromEntries(
+    REACTION_TYPES.map((type) => [type, 0])
+  );
+  reactions.forEach(({ type }) => {
+    if (type in reactionCounts) reactionCounts[type] += 1;
+  });
+
+  const own = reactions.find(({ user }) => sameId(user, userId));
+
+  return {
+    ...rest,
+    likeCount: likes.length,
+    reactionCounts,
+    viewerReaction: {
+      liked: likes.some((id) => sameId(id, userId)),
+      type: own ? own.type : null,
+    },
+  };
+};
@@ -0,0 +1,90 @@
+import mongoose from "mongoose";
+import Comment from "../models/comment.model.js";
+import ReadState from "../models/readState.model.js";
+import { hiddenVisibility } from "./visibility.js";
+
+// Per-user read positions in threads. Clients report how far the user got
+// with PUT /threads/:id/read, and thread responses carry a `read` summary:
+//
+//   { lastReadComment, lastReadAt, unreadCount, firstUnreadComment }
+//
+// or null for threads the user never read. The user's own comments, deleted
+// comments and, for everyone but moderators, hidden ones are never unread.
+
+// Unread comments per thread as { count, first }, in one aggregation over
+// every thread in `states`
+const unreadByThread = async (states, user) => {
+  if (states.length === 0) return new Map();
+  const results = await Comment.aggregate([
+    {
+      $match: {
+        $or: states.map(({ thread, lastReadAt }) => ({
+          thread,
+          createdAt: { $gt: lastReadAt },
+        })),
+        author: { $ne: new mongoose.Types.ObjectId(user.userId) },
+        deletedAt: null,
+        ...hiddenVisibility(user),
+      },
+    },
+    { $sort: { createdAt: 1, _id: 1 } },
+    {
+      $group: { _id: "$thread", count: { $sum: 1 }, first: { $first: "$_id" } },
+    },
+  ]);
+  return new Map(results.map((result) => [result._id.toString(), result]));
+};
+
+// Read summaries of `threads` for `user`, in the same order. Guests get
+// nulls.
+export const readSummaries = async (threads, user) => {
+  if (!user) return threads.map(() => null);
+  const states = await ReadState.find({
+    user: user.userId,
+    thread: { $in: threads.map((thread) => thread._id) },
+  }).lean();
+  const byThread = new Map(
+    states.map((state) => [state.thread.toString(), state])
+  );
+  const unread = await unreadByThread(states, user);
+
+  return threads.map((thread) => {
+    const state = byThread.get(thread._id.toString());
+    if (!state) return null;
+    const { count = 0, first = null } = unread.get(thread._id.toString()) || {};
+    return {
+      lastReadComment: state.lastReadComment,
+      lastReadAt: state.lastReadAt,
+      unreadCount: count,
+      firstUnreadComment: first,
+    };
+  });
+};
+
+export const readSummary = async (thread, user) =>
+  (await readSummaries([thread], user))[0];
+
+// Move the user's position in `thread` up to `comment`, or to its latest
+// comment when none is given. Positions only move forward; clearReadState
+// marks a thread unread again.
+export const markRead = async (thread, user, comment) => {
+  const last =
+    comment ||
+    (await Comment.findOne({ thread: thread._id })
+      .sort({ createdAt: -1, _id: -1 })
+      .select("createdAt"));
+  const lastReadAt = last ? last.createdAt : new Date();
+
+  const state =
+    (await ReadState.findOne({ user: user.userId, thread: thread._id })) ||
+    new ReadState({ user: user.userId, thread: thread._id });
+  if (!state.lastReadAt || lastReadAt > state.lastReadAt) {
+    state.lastReadAt = lastReadAt;
+    state.lastReadComment = last ? last._id : null;
+    await state.save();
+  }
+  return state;
+};
+
+export const clearReadState = (thread, user) =>
+  ReadState.deleteOne({ user: user.userId, thread: thread._id });
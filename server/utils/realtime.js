@@ -0,0 +1,120 @@
+import { EventEmitter } from "events";
+import { can } from "./permissions.js";
+import { summarizeReactions } from "./reactions.js";
+import { badRequest } from "./errors.js";
+
+// Live updates for threads and comments.
+//
+// Routes publish events on two kinds of channel:
+//
+//   threads           the global feed: thread.created for new threads, which
+//                     guests only get for public threads outside members-only
+//                     categories
+//   thread:<id>       everything happening inside one thread:
+//                       comment.created, comment.updated, comment.deleted,
+//                       thread.updated, thread.deleted, reactions.updated
+//                     and, per viewer, thread.unavailable
+//
+// and routes/live.routes.js streams them to clients as server-sent events.
+// The bus is in-process, so every instance of the server only sees events
+// published by itself.
+//
+// Each event carries the time it was published as its id; clients that lose
+// the stream can catch up with ?updatedSince=<id> on the list endpoints.
+
+export const FEED_CHANNEL = "threads";
+export const threadChannel = (threadId) => `thread:${threadId}`;
+
+const bus = new EventEmitter();
+// One listener per open stream
+bus.setMaxListeners(0);
+
+export const publish = (channel, type, data) =>
+  bus.emit(channel, { id: new Date().toISOString(), type, data });
+
+// Returns a function that ends the subscription
+export const subscribe = (channel, listener) => {
+  bus.on(channel, listener);
+  return () => bus.off(channel, listener);
+};
+
+// A thread or comment as broadcast to every subscriber: counts, but no
+// per-viewer reaction state
+export const broadcastView = (doc) => {
+  const { viewerReaction, ...view } = summarizeReactions(doc);
+  return view;
+};
+
+export const publishThread = (type, thread) => {
+  const data = broadcastView(thread);
+  publish(threadChannel(thread._id), type, data);
+  if (type === "thread.created" && thread.isPublic && !thread.isHidden) {
+    publish(FEED_CHANNEL, type, data);
+  }
+};
+
+export const publishComment = (type, comment) =>
+  publish(threadChannel(comment.thread), type, broadcastView(comment));
+
+export const publishReactions = (targetType, doc) => {
+  const { likeCount, reactionCounts } = broadcastView(doc);
+  const threadId = targetType === "Thread" ? doc._id : doc.thread;
+  publish(threadChannel(threadId), "reactions.updated", {
+    targetType,
+    id: doc._id,
+    likeCount,
+    reactionCounts,
+  });
+};
+
+// Whether `user` may still follow a thread after it changed to `thread`
+const canFollowThread = (user, thread) =>
+  ((thread.isPublic && !thread.membersOnly) || Boolean(user)) &&
+  (!thread.isHidden || can(user, "content:viewHidden"));
+
+// Events after which a thread stream ends
+export const CLOSING_EVENTS = ["thread.deleted", "thread.unavailable"];
+
+// Tailor an event to one subscriber, or return null when they may not see it
+// at all. New threads only reach viewers who can see them. Hidden comments
+// lose their content for anyone who may not see hidden content, the same as
+// in the comment tree, and a thread that was hidden or made private becomes
+// thread.unavailable for viewers who can no longer see it.
+export const eventForViewer = (event, user) => {
+  if (event.type === "thread.created" && !canFollowThread(user, event.data)) {
+    return null;
+  }
+  if (event.type === "thread.updated" && !canFollowThread(user, event.data)) {
+    return {
+      ...event,
+      type: "thread.unavailable",
+      data: { _id: event.data._id },
+    };
+  }
+  if (
+    event.type.startsWith("comment.") &&
+    event.data.isHidden &&
+    !can(user, "content:viewHidden")
+  ) {
+    return {
+      ...event,
+      data: {
+        ...event.data,
+        content: null,
+        contentHtml: null,
+        attachments: [],
+      },
+    };
+  }
+  return event;
+};
+
+// Parse the ?updatedSince= polling parameter. Returns undefined when absent.
+export const parseUpdatedSince = (value) => {
+  if (!value) return undefined;
+  const since = new Date(value);
+  if (Number.isNaN(since.getTime())) {
+    throw badRequest("updatedSince must be an ISO date");
+  }
+  return since;
+};
@@ -0,0 +1,162 @@
+import ReputationEvent from "../models/reputationEvent.model.js";
+import User from "../models/user.model.js";
+import { BADGES } from "./badges.js";
+import { notifyBadge } from "./notifications.js";
+import { idOf, sameId } from "./ids.js";
+
+// Reputation and badges. Members earn points when others like their threads
+// and comments and when their answer is accepted, and lose points when a
+// moderator hides or deletes one of their posts. Each change is an entry in
+// the ReputationEvent ledger and User.reputation keeps the running total.
+// Like notifications, a failure here is logged and never fails the action
+// that caused it.
+
+export const REPUTATION_POINTS = {
+  like: 2,
+  accepted: 15,
+  moderation: -10,
+};
+
+const logError = (error) => console.error("Reputation error:", error);
+
+// Award badges whose rules `userId` now meets and notify them. Returns the
+// newly earned badges.
+export const checkBadges = async (userId) => {
+  try {
+    const user = await User.findById(userId).select("badges");
+    if (!user) return [];
+    const owned = new Set(user.badges.map(({ badge }) => badge));
+
+    const earned = [];
+    for (const badge of BADGES.filter(({ id }) => !owned.has(id))) {
+      if (await badge.earned(user._id)) earned.push(badge);
+    }
+
+    const awarded = await Promise.all(
+      earned.map(async (badge) => {
+        // Guard against a concurrent check awarding the same badge
+        const { modifiedCount } = await User.updateOne(
+          { _id: user._id, "badges.badge": { $ne: badge.id } },
+          { $push: { badges: { badge: badge.id, awardedAt: new Date() } } }
+        );
+        if (modifiedCount === 0) return null;
+        await notifyBadge({ recipient: user._id, badge: badge.id });
+        return badge;
+      })
+    );
+    return awarded.filter(Boolean);
+  } catch (error) {
+    logError(error);
+    return [];
+  }
+};
+
+// Record the fact named by `key` for `user`, unless it is already recorded
+const award = async ({ user, reason, key, ...fields }) => {
+  try {
+    const points = REPUTATION_POINTS[reason];
+    const event = Object.fromEntries(
+      Object.entries({ user, reason, points, key, ...fields }).filter(
+        ([, value]) => value !== undefined
+      )
+    );
+    const { upsertedCount } = await ReputationEvent.updateOne(
+      { key },
+      { $setOnInsert: event },
+      { upsert: true }
+    );
+    if (upsertedCount === 0) return;
+    await User.updateOne({ _id: user }, { $inc: { reputation: points } });
+    await checkBadges(user);
+  } catch (error) {
+    // A concurrent award of the same fact won the race
+    if (error.code !== 11000) logError(error);
+  }
+};
+
+// Take back the fact named by `key`, if it was recorded
+const revoke = async (key) => {
+  try {
+    const event = await ReputationEvent.findOneAndDelete({ key });
+    if (!event) return;
+    await User.updateOne(
+      { _id: event.user },
+      { $inc: { reputation: -event.points } }
+    );
+  } catch (error) {
+    logError(error);
+  }
+};
+
+// Take back the like and accepted-answer points earned by `targets`
+// (thread and comment ids), when they are deleted for good. Moderation
+// penalties stay.
+export const revokeReputationFor = async (targets) => {
+  try {
+    const events = await ReputationEvent.find({
+      target: { $in: targets },
+      reason: { $in: ["like", "accepted"] },
+    }).select("key");
+    await Promise.all(events.map(({ key }) => revoke(key)));
+  } catch (error) {
+    logError(error);
+  }
+};
+
+// After `actor` liked or unliked a thread or comment. Liking your own post
+// earns nothing.
+export const reputationForLike = ({ doc, targetType, actor, liked }) => {
+  const author = idOf(doc.author);
+  if (!author || sameId(author, actor)) return null;
+  const key = `like:${doc._id}:${actor}`;
+  return liked
+    ? award({
+        user: author,
+        reason: "like",
+        key,
+        actor,
+        targetType,
+        target: doc._id,
+      })
+    : revoke(key);
+};
+
+// After a comment was accepted as the answer to its thread, or no longer
+// is. Accepting your own answer earns nothing.
+export const reputationForAccepted = ({ comment, actor, accepted }) => {
+  const key = `accepted:${comment._id}`;
+  if (!accepted) return revoke(key);
+  const author = idOf(comment.author);
+  if (!author || sameId(author, actor)) return null;
+  return award({
+    user: author,
+    reason: "accepted",
+    key,
+    actor,
+    targetType: "Comment",
+    target: comment._id,
+  });
+};
+
+// After a moderator hid or deleted a post (`penalized`), or restored it.
+// A post costs its author points at most once however often it is
+// moderated.
+export const reputationForModeration = ({
+  doc,
+  targetType,
+  moderator,
+  penalized,
+}) => {
+  const author = idOf(doc.author);
+  if (!author || sameId(author, moderator)) return null;
+  const key = `moderation:${doc._id}`;
+  return penalized
+    ? award({
+        user: author,
+        reason: "moderation",
+        key,
+        targetType,
+        target: doc._id,
+      })
+    : revoke(key);
+};
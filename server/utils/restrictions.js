@@ -0,0 +1,105 @@
+import { ApiError } from "./errors.js";
+
+// Account restrictions.
+//
+//   ban         permanent; the account cannot sign in or use its tokens
+//   suspension  like a ban, but ends at `expiresAt`
+//   mute        the account can sign in and read, but not post, comment
+//               and/or send direct messages (per `scope`) until
+//               `expiresAt`, or for good
+//
+// Restrictions are kept on the user as a history; an entry is active until
+// it expires or an admin lifts it.
+
+export const RESTRICTION_TYPES = ["ban", "suspension", "mute"];
+export const MUTE_SCOPES = ["post", "comment", "message"];
+
+// Permission each mute scope takes away, and how errors describe it
+const MUTED_PERMISSIONS = {
+  post: "canPost",
+  comment: "canComment",
+  message: "canMessage",
+};
+const MUTED_ACTIVITIES = {
+  post: "posting",
+  comment: "commenting",
+  message: "messaging",
+};
+
+export const isActive = (restriction, now = new Date()) =>
+  !restriction.liftedAt &&
+  (!restriction.expiresAt || restriction.expiresAt > now);
+
+export const activeRestrictions = (user) =>
+  (user.restrictions || []).filter((restriction) => isActive(restriction));
+
+// The ban or suspension keeping a user out, if any. A ban wins over a
+// suspension, and a later-ending suspension over an earlier one.
+export const accessRestriction = (user) => {
+  const active = activeRestrictions(user);
+  const ban = active.find((restriction) => restriction.type === "ban");
+  if (ban) return ban;
+  return active
+    .filter((restriction) => restriction.type === "suspension")
+    .sort((a, b) => b.expiresAt - a.expiresAt)[0];
+};
+
+// The active mute taking away `permission`, if any
+export const muteFor = (user, permission) =>
+  activeRestrictions(user).find(
+    (restriction) =>
+      restriction.type === "mute" &&
+      (restriction.scope || MUTE_SCOPES).some(
+        (scope) => MUTED_PERMISSIONS[scope] === permission
+      )
+  );
+
+// Remove the permissions taken away by the user's active mutes
+export const applyMutes = (user, permissions) =>
+  Object.fromEntries(
+    Object.entries(permissions).map(([permission, granted]) => [
+      permission,
+      granted && !muteFor(user, permission),
+    ])
+  );
+
+export const describeRestriction = (restriction) => ({
+  id: restriction._id,
+  type: restriction.type,
+  reason: restriction.reason,
+  scope: restriction.type === "mute" ? restriction.scope : undefined,
+  expiresAt: restriction.expiresAt || null,
+  permanent: !restriction.expiresAt,
+});
+
+const until = (restriction) =>
+  restriction.expiresAt
+    ? `until ${restriction.expiresAt.toISOString()}`
+    : "permanently";
+
+const RESTRICTION_ERRORS = {
+  ban: ["ACCOUNT_BANNED", () => "Your account has been permanently banned"],
+  suspension: [
+    "ACCOUNT_SUSPENDED",
+    (restriction) => `Your account is suspended ${until(restriction)}`,
+  ],
+  mute: [
+    "ACCOUNT_MUTED",
+    (restriction) =>
+      `You are muted from ${(restriction.scope || MUTE_SCOPES)
+        .map((scope) => MUTED_ACTIVITIES[scope])
+        .join(" and ")} ${until(restriction)}`,
+  ],
+};
+
+// 403 explaining the restriction and when it ends
+export const restrictionError = (restriction) => {
+  const [code, message] = RESTRICTION_ERRORS[restriction.type];
+  return new ApiError(
+    403,
+    code,
+    `${message(restriction)}. Reason: ${restriction.reason}`,
+    undefined,
+    { restriction: describeRestriction(restriction) }
+  );
+};
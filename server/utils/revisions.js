@@ -0,0 +1,104 @@
+import { diffLines, diffWords } from "diff";
+import Revision from "../models/revision.model.js";
+
+// Edit history of threads and comments.
+//
+// Routes take a snapshot() of a post before changing it and pass it to
+// recordRevision() after saving. Nothing is stored until the first edit;
+// that edit stores the original as version 1 along with the new version.
+
+// Fields whose changes make a new revision
+export const REVISED_FIELDS = {
+  Thread: ["title", "content"],
+  Comment: ["content"],
+};
+
+// Titles are short, so they are compared word by word
+const DIFFERS = {
+  title: diffWords,
+  content: diffLines,
+};
+
+export const snapshot = (doc, targetType) =>
+  Object.fromEntries(
+    REVISED_FIELDS[targetType].map((field) => [field, doc[field]])
+  );
+
+const authorId = (doc) => (doc.author && doc.author._id) || doc.author;
+
+// Store the new version of `doc` if any revised field changed since
+// `before`. Returns the new revision, or null when nothing changed.
+export const recordRevision = async ({
+  doc,
+  targetType,
+  before,
+  editor,
+  reason,
+  revertedFrom,
+}) => {
+  const after = snapshot(doc, targetType);
+  const fields = REVISED_FIELDS[targetType];
+  if (fields.every((field) => before[field] === after[field])) return null;
+
+  const latest = await Revision.findOne({ target: doc._id })
+    .sort({ version: -1 })
+    .select("version");
+  if (!latest) {
+    await Revision.create({
+      targetType,
+      target: doc._id,
+      version: 1,
+      ...before,
+      editor: authorId(doc),
+      createdAt: doc.createdAt,
+    });
+  }
+
+  return Revision.create({
+    targetType,
+    target: doc._id,
+    version: latest ? latest.version + 1 : 2,
+    ...after,
+    editor,
+    reason,
+    revertedFrom,
+  });
+};
+
+// All versions of a post, oldest first. A post that was never edited has
+// just its current text as version 1.
+export const listRevisions = async (doc, targetType) => {
+  const revisions = await Revision.find({ target: doc._id })
+    .sort({ version: 1 })
+    .populate("editor", "username")
+    .lean();
+  if (revisions.length > 0) return revisions;
+
+  await doc.populate("author", "username");
+  return [
+    {
+      targetType,
+      target: doc._id,
+      version: 1,
+      ...snapshot(doc, targetType),
+      editor: doc.author,
+      createdAt: doc.createdAt,
+    },
+  ];
+};
+
+// Per-field changes from version `from` to version `to`, as a list of
+// { type: "added" | "removed" | "unchanged", value } parts. A missing
+// `from` diffs against empty text.
+export const diffRevisions = (from, to, targetType) =>
+  Object.fromEntries(
+    REVISED_FIELDS[targetType].map((field) => [
+      field,
+      DIFFERS[field]((from && from[field]) || "", to[field] || "").map(
+        ({ value, added, removed }) => ({
+          type: added ? "added" : removed ? "removed" : "unchanged",
+          value,
+        })
+      ),
+    ])
+  );
@@ -0,0 +1,33 @@
+import { escapeHtml } from "./html.js";
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Words from a $text query worth highlighting: phrases are split into their
+// words and negated terms ("-word") are dropped
+export const searchTerms = (query) =>
+  query
+    .replace(/"/g, " ")
+    .split(/\s+/)
+    .filter((term) => term && !term.startsWith("-"));
+
+// Short HTML-escaped excerpt of `text` around the first matching term, with
+// every match wrapped in <mark>
+export const buildSnippet = (text = "", terms = [], radius = 80) => {
+  if (terms.length === 0) return escapeHtml(text.slice(0, radius * 2));
+
+  const pattern = new RegExp(`(${terms.map(escapeRegExp).join("|")})`, "gi");
+  const first = text.search(pattern);
+  const start = first > radius ? first - radius : 0;
+  const end = Math.min(text.length, start + radius * 2);
+
+  const highlighted = text
+    .slice(start, end)
+    .split(pattern)
+    .map((part, index) =>
+      // split() with a capture group puts the matches at odd indexes
+      index % 2 === 1 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part)
+    )
+    .join("");
+
+  return `${start > 0 ? "…" : ""}${highlighted}${end < text.length ? "…" : ""}`;
+};
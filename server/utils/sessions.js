@@ -0,0 +1,153 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import Session from "../models/session.model.js";
+import User from "../models/user.model.js";
+import { unauthorized } from "./errors.js";
+import { accessRestriction, restrictionError } from "./restrictions.js";
+
+const DEFAULT_ACCESS_TOKEN_EXPIRES_IN = "1h";
+const DEFAULT_REFRESH_TOKEN_TTL_DAYS = 30;
+// How many rotated-out refresh tokens are remembered for reuse detection
+const PREVIOUS_TOKENS_KEPT = 20;
+// lastSeenAt (and the user's lastActive) is only written when it is older
+// than this, to spare a write on every request
+const LAST_SEEN_RESOLUTION_MS = 60 * 1000;
+
+export const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+const newRefreshToken = () => crypto.randomBytes(48).toString("hex");
+
+const REFRESH_TOKEN_TTL_DAYS =
+  parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) ||
+  DEFAULT_REFRESH_TOKEN_TTL_DAYS;
+
+const refreshExpiry = () =>
+  new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+const signAccessToken = (user, session) =>
+  jwt.sign(
+    { userId: user._id, role: user.role, sid: session._id },
+    process.env.JWT_SECRET,
+    {
+      expiresIn:
+        process.env.ACCESS_TOKEN_EXPIRES_IN || DEFAULT_ACCESS_TOKEN_EXPIRES_IN,
+    }
+  );
+
+// Start a session for a freshly authenticated user
+export const createSession = async (user, req) => {
+  const refreshToken = newRefreshToken();
+  const session = await Session.create({
+    user: user._id,
+    refreshTokenHash: hashToken(refreshToken),
+    userAgent: req.get("user-agent"),
+    ip: req.ip,
+    expiresAt: refreshExpiry(),
+  });
+
+  return {
+    token: signAccessToken(user, session),
+    refreshToken,
+    session,
+  };
+};
+
+// Exchange a refresh token for a new access/refresh token pair. Throws a 401
+// ApiError when the token is unknown, expired or has been used before, and a
+// 403 when the account is banned or suspended.
+export const rotateSession = async (refreshToken, req) => {
+  const hash = hashToken(refreshToken);
+  const nextToken = newRefreshToken();
+
+  const session = await Session.findOneAndUpdate(
+    { refreshTokenHash: hash, revokedAt: null, expiresAt: { $gt: new Date() } },
+    {
+      $set: {
+        refreshTokenHash: hashToken(nextToken),
+        lastSeenAt: new Date(),
+        userAgent: req.get("user-agent"),
+        ip: req.ip,
+        expiresAt: refreshExpiry(),
+      },
+      $push: {
+        previousTokenHashes: { $each: [hash], $slice: -PREVIOUS_TOKENS_KEPT },
+      },
+    },
+    { new: true }
+  );
+
+  if (!session) {
+    const reused = await Session.findOneAndUpdate(
+      { previousTokenHashes: hash, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: "token_reuse" } }
+    );
+    throw unauthorized(
+      reused
+        ? "Refresh token reuse detected; the session has been revoked"
+        : "Invalid or expired refresh token"
+    );
+  }
+
+  const user = await User.findById(session.user).select("role restrictions");
+  if (!user) {
+    await revokeSession(session._id, "user_deleted");
+    throw unauthorized("User no longer exists");
+  }
+
+  const restriction = accessRestriction(user);
+  if (restriction) throw restrictionError(restriction);
+
+  return {
+    token: signAccessToken(user, session),
+    refreshToken: nextToken,
+    session,
+  };
+};
+
+// Check that the session behind an access token is still live, recording
+// activity on it
+export const touchSession = async (sessionId, userId) => {
+  const session = await Session.findOne({
+    _id: sessionId,
+    user: userId,
+    revokedAt: null,
+  }).select("lastSeenAt");
+  if (!session) return null;
+
+  if (Date.now() - session.lastSeenAt.getTime() > LAST_SEEN_RESOLUTION_MS) {
+    const now = new Date();
+    await Promise.all([
+      Session.updateOne({ _id: session._id }, { $set: { lastSeenAt: now } }),
+      User.updateOne({ _id: userId }, { $set: { lastActive: now } }),
+    ]);
+  }
+  return session;
+};
+
+// Whether a session is neither revoked nor expired, without recording
+// activity on it
+export const isSessionLive = async (sessionId) =>
+  Boolean(
+    await Session.exists({
+      _id: sessionId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    })
+  );
+
+export const revokeSession = (sessionId, reason = "logout") =>
+  Session.updateOne(
+    { _id: sessionId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+
+// Revoke every live session of a user, e.g. after a password reset or a role
+// change. Returns the number of sessions revoked.
+export const revokeAllSessions = async (userId, reason) => {
+  const { modifiedCount } = await Session.updateMany(
+    { user: userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  return modifiedCount;
+};
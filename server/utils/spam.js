@@ -0,0 +1,137 @@
+import User from "../models/user.model.js";
+import Thread from "../models/thread.model.js";
+import Report from "../models/report.model.js";
+import { ApiError } from "./errors.js";
+import { publishThread } from "./realtime.js";
+import { notifyNewThread, notifyNewComment } from "./notifications.js";
+import { idOf } from "./ids.js";
+
+// Anti-spam checks on new threads and comments.
+//
+// Posting the same thread again, or the same comment again in a thread,
+// within DUPLICATE_WINDOW_MINUTES (default 60) is refused. Posts with many
+// links, or with links from new accounts, are held for review instead: they
+// are created hidden, with an automatic spam report in the moderation queue.
+// Restoring the post publishes it: it then counts towards its thread and
+// sends the notifications it held back.
+//
+//   SPAM_MAX_LINKS               links anyone may post at once (default 8)
+//   SPAM_NEW_ACCOUNT_HOURS       how long an account counts as new (24)
+//   SPAM_NEW_ACCOUNT_MAX_LINKS   links a new account may post at once (1)
+//
+// Moderators are exempt from the link heuristic.
+
+// Settings may be 0, so only missing or invalid values fall back
+const setting = (name, fallback) =>
+  parseInt(process.env[name], 10) >= 0
+    ? parseInt(process.env[name], 10)
+    : fallback;
+
+const SETTINGS = {
+  duplicateWindowMinutes: setting("DUPLICATE_WINDOW_MINUTES", 60),
+  maxLinks: setting("SPAM_MAX_LINKS", 8),
+  newAccountHours: setting("SPAM_NEW_ACCOUNT_HOURS", 24),
+  newAccountMaxLinks: setting("SPAM_NEW_ACCOUNT_MAX_LINKS", 1),
+};
+
+// How many of a user's recent posts are compared against a new one
+const RECENT_POSTS_CHECKED = 20;
+
+const LINK_PATTERN = /\bhttps?:\/\/|\bwww\./gi;
+
+// Ignore case and whitespace differences when comparing posts
+const normalize = (text) =>
+  String(text || "")
+    .toLowerCase()
+    .replace(/\s+/g, " ")
+    .trim();
+
+export const countLinks = (text) =>
+  (String(text || "").match(LINK_PATTERN) || []).length;
+
+// Refuse a post whose content `author` already posted recently with
+// `Model` (Thread or Comment), among the posts matching `scope`. Comments
+// are only compared within their thread, so short replies such as "Thanks!"
+// can still be left in different threads.
+export const assertNotDuplicate = async ({
+  Model,
+  author,
+  content,
+  scope = {},
+}) => {
+  const minutes = SETTINGS.duplicateWindowMinutes;
+  const recent = await Model.find({
+    ...scope,
+    author,
+    createdAt: { $gt: new Date(Date.now() - minutes * 60 * 1000) },
+  })
+    .select("content")
+    .sort({ createdAt: -1 })
+    .limit(RECENT_POSTS_CHECKED)
+    .lean();
+
+  const text = normalize(content);
+  if (recent.some((post) => normalize(post.content) === text)) {
+    throw new ApiError(
+      409,
+      "DUPLICATE_CONTENT",
+      "You already posted this. Edit your earlier post instead."
+    );
+  }
+};
+
+// Why a post by `user` (the request user) should be held for review, or
+// null when it looks fine
+export const spamSuspicion = async (user, content) => {
+  if (user.permissions && user.permissions.canModerate) return null;
+
+  const links = countLinks(content);
+  if (links === 0) return null;
+  if (links > SETTINGS.maxLinks) {
+    return `Contains ${links} links`;
+  }
+
+  const account = await User.findById(user.userId).select("createdAt");
+  const ageHours = account
+    ? (Date.now() - account.createdAt.getTime()) / (60 * 60 * 1000)
+    : 0;
+  if (
+    ageHours < SETTINGS.newAccountHours &&
+    links > SETTINGS.newAccountMaxLinks
+  ) {
+    return `New account posted ${links} links`;
+  }
+  return null;
+};
+
+// Put a post that was created hidden in the moderation queue
+export const holdForReview = ({ doc, targetType, suspicion }) =>
+  Report.create({
+    targetType,
+    target: doc._id,
+    thread: targetType === "Thread" ? doc._id : doc.thread,
+    reason: "spam",
+    details: `Held automatically: ${suspicion}`,
+  });
+
+// Once a moderator restores a held post, do what was skipped when it was
+// created: count a comment towards its thread, send the notifications and,
+// for threads, the feed event
+export const releaseHeldPost = async ({ doc, targetType }) => {
+  doc.heldForReview = false;
+  await doc.save();
+
+  const actor = idOf(doc.author);
+  if (targetType === "Thread") {
+    publishThread("thread.created", doc);
+    await notifyNewThread({ thread: doc, actor });
+    return;
+  }
+  if (doc.deletedAt) return;
+  const thread = await Thread.findByIdAndUpdate(
+    doc.thread,
+    { $inc: { commentCount: 1 }, $set: { lastActivityAt: new Date() } },
+    { new: true }
+  );
+  if (thread) await notifyNewComment({ comment: doc, thread, actor });
+};
@@ -0,0 +1,67 @@
+import fs from "fs";
+import fsp from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+
+// Storage for uploaded files. Routes only talk to the storage returned by
+// getStorage(), so the local disk can be swapped for another backend that
+// offers the same methods:
+//
+//   put(key, buffer)  store a file under `key`, replacing any existing one
+//   get(key)          { stream, size } for reading it back, or null
+//   remove(key)       delete it; missing files are ignored
+//
+// Keys are relative paths such as "avatars/<id>.png". Local files live under
+// UPLOAD_DIR, by default server/uploads.
+
+const DEFAULT_UPLOAD_DIR = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "..",
+  "uploads"
+);
+
+// Keys come from our own code, but never let one point outside the root
+const resolveKey = (root, key) => {
+  const file = path.resolve(root, key);
+  if (!file.startsWith(path.resolve(root) + path.sep)) {
+    throw new Error(`Invalid storage key "${key}"`);
+  }
+  return file;
+};
+
+export const localStorage = (root) => ({
+  async put(key, buffer) {
+    const file = resolveKey(root, key);
+    await fsp.mkdir(path.dirname(file), { recursive: true });
+    await fsp.writeFile(file, buffer);
+  },
+
+  async get(key) {
+    const file = resolveKey(root, key);
+    try {
+      const { size } = await fsp.stat(file);
+      return { stream: fs.createReadStream(file), size };
+    } catch (error) {
+      if (error.code === "ENOENT") return null;
+      throw error;
+    }
+  },
+
+  async remove(key) {
+    await fsp.rm(resolveKey(root, key), { force: true });
+  },
+});
+
+const storage = localStorage(process.env.UPLOAD_DIR || DEFAULT_UPLOAD_DIR);
+
+export const getStorage = () => storage;
+
+// Stream the file at `key` as the response, with `headers`. Returns false,
+// without responding, when there is no such file.
+export const sendStoredFile = async (res, key, headers = {}) => {
+  const file = await getStorage().get(key);
+  if (!file) return false;
+  res.set({ "Content-Length": String(file.size), ...headers });
+  file.stream.on("error", (error) => res.destroy(error)).pipe(res);
+  return true;
+};
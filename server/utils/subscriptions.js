@@ -0,0 +1,38 @@
+import Subscription from "../models/subscription.model.js";
+
+// Thread and tag subscriptions, set through /me/subscriptions.
+//
+// Watching a thread notifies about each new comment in it, and watching a
+// tag about each new thread with that tag. Muting a thread silences every
+// notification about it except moderation ones. Muting a tag silences new
+// threads with it, even when they also carry a watched tag.
+
+export const isThreadMuted = async (userId, threadId) =>
+  Boolean(
+    await Subscription.exists({ user: userId, thread: threadId, level: "mute" })
+  );
+
+export const threadWatchers = (threadId) =>
+  Subscription.distinct("user", { thread: threadId, level: "watch" });
+
+// Users watching any of `tags` and muting none of them
+export const tagWatchers = async (tags) => {
+  if (tags.length === 0) return [];
+  const [watching, muting] = await Promise.all([
+    Subscription.distinct("user", { tag: { $in: tags }, level: "watch" }),
+    Subscription.distinct("user", { tag: { $in: tags }, level: "mute" }),
+  ]);
+  const muted = new Set(muting.map(String));
+  return watching.filter((user) => !muted.has(user.toString()));
+};
+
+// The user's level on `threadId`, or null
+export const threadSubscription = async (userId, threadId) => {
+  const subscription = await Subscription.findOne({
+    user: userId,
+    thread: threadId,
+  })
+    .select("level")
+    .lean();
+  return subscription ? subscription.level : null;
+};
@@ -0,0 +1,91 @@
+import Comment from "../models/comment.model.js";
+import Revision from "../models/revision.model.js";
+
+// Deleted comments.
+//
+// Deleting a comment only marks it (deletedAt/deletedBy); it stays in the
+// tree as a tombstone so its replies keep their place, and moderators can
+// restore it from the trash. Once a comment has been deleted for longer
+// than TRASH_RETENTION_DAYS (default 30) the purge removes it for good, or,
+// while it still has replies, empties it down to a bare tombstone.
+// Set TRASH_PURGE_ENABLED=false to turn the scheduled purge off.
+
+export const TOMBSTONE_TEXT = "[deleted]";
+
+const DEFAULT_RETENTION_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+const RETENTION_DAYS =
+  parseInt(process.env.TRASH_RETENTION_DAYS, 10) || DEFAULT_RETENTION_DAYS;
+
+// What everyone sees in place of a deleted comment
+export const tombstone = (comment) => ({
+  _id: comment._id,
+  thread: comment.thread,
+  parentComment: comment.parentComment,
+  content: TOMBSTONE_TEXT,
+  contentHtml: null,
+  author: null,
+  mentions: [],
+  attachments: [],
+  likes: [],
+  reactions: [],
+  deleted: true,
+  deletedAt: comment.deletedAt,
+  createdAt: comment.createdAt,
+  updatedAt: comment.updatedAt,
+});
+
+// Purge comments whose retention period is over. Returns how many were
+// removed and how many were emptied because they still have replies.
+export const purgeDeletedComments = async (now = new Date()) => {
+  const cutoff = new Date(now.getTime() - RETENTION_DAYS * DAY_MS);
+  const expired = await Comment.distinct("_id", {
+    deletedAt: { $lte: cutoff },
+  });
+  if (expired.length === 0) return { removed: 0, emptied: 0 };
+
+  const withReplies = new Set(
+    (
+      await Comment.distinct("parentComment", {
+        parentComment: { $in: expired },
+      })
+    ).map(String)
+  );
+  const removable = expired.filter((id) => !withReplies.has(id.toString()));
+  const kept = expired.filter((id) => withReplies.has(id.toString()));
+
+  const { deletedCount } = await Comment.deleteMany({
+    _id: { $in: removable },
+  });
+  const { modifiedCount } = await Comment.updateMany(
+    { _id: { $in: kept }, purgedAt: null },
+    {
+      $set: {
+        content: TOMBSTONE_TEXT,
+        contentHtml: null,
+        mentions: [],
+        attachments: [],
+        likes: [],
+        reactions: [],
+        purgedAt: now,
+      },
+    }
+  );
+  // The old text lives on in the edit history too
+  await Revision.deleteMany({ target: { $in: expired } });
+
+  return { removed: deletedCount, emptied: modifiedCount };
+};
+
+export const startTrashPurgeScheduler = () => {
+  if (process.env.TRASH_PURGE_ENABLED === "false") return null;
+  const timer = setInterval(() => {
+    purgeDeletedComments().catch((error) =>
+      console.error("Trash purge error:", error)
+    );
+  }, PURGE_INTERVAL_MS);
+  timer.unref();
+  return timer;
+};
@@ -0,0 +1,161 @@
+import mongoose from "mongoose";
+import { validationError } from "./errors.js";
+
+// Small schema validator for request bodies.
+//
+// A schema maps each accepted field to a rule:
+//
+//   { type, required, min, max, pattern, values, items, schema, nullable,
+//     message, strong }
+//
+// `type` is one of string, email, password, boolean, number, integer, date,
+// objectId, enum (with `values`), array (with an `items` rule) or object
+// (with a nested `schema` for its fields). For strings min/max bound the
+// trimmed length, for numbers the value and for arrays the item count;
+// `strong` passwords need a letter and a number. Fields not in
+// the schema are dropped, so clients cannot set server-owned fields such as
+// `author` or `views`.
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Shared policy for new passwords. Passwords are never trimmed, and bcrypt
+// ignores everything past 72 bytes.
+export const PASSWORD_RULE = {
+  type: "password",
+  min: 8,
+  max: 72,
+  strong: true,
+};
+
+const checkLength = (rule, length, unit) => {
+  if (rule.min !== undefined && length < rule.min) {
+    return `must be at least ${rule.min} ${unit}`;
+  }
+  if (rule.max !== undefined && length > rule.max) {
+    return `must be at most ${rule.max} ${unit}`;
+  }
+  return null;
+};
+
+// Returns [value, error] for a single present value
+const checkValue = (rule, raw) => {
+  switch (rule.type) {
+    case "string":
+    case "email":
+    case "password": {
+      if (typeof raw !== "string") return [raw, "must be a string"];
+      const value = rule.type === "password" ? raw : raw.trim();
+      const lengthError = checkLength(rule, value.length, "characters");
+      if (lengthError) return [value, lengthError];
+      if (rule.type === "email" && !EMAIL_PATTERN.test(value)) {
+        return [value, "must be a valid email address"];
+      }
+      if (rule.strong && !(/[A-Za-z]/.test(value) && /[0-9]/.test(value))) {
+        return [value, "must contain at least one letter and one number"];
+      }
+      if (rule.pattern && !rule.pattern.test(value)) {
+        return [value, rule.message || "has an invalid format"];
+      }
+      return [value, null];
+    }
+    case "boolean":
+      return typeof raw === "boolean"
+        ? [raw, null]
+        : [raw, "must be true or false"];
+    case "number":
+    case "integer": {
+      if (typeof raw !== "number" || Number.isNaN(raw)) {
+        return [raw, "must be a number"];
+      }
+      if (rule.type === "integer" && !Number.isInteger(raw)) {
+        return [raw, "must be a whole number"];
+      }
+      if (rule.min !== undefined && raw < rule.min) {
+        return [raw, `must be at least ${rule.min}`];
+      }
+      if (rule.max !== undefined && raw > rule.max) {
+        return [raw, `must be at most ${rule.max}`];
+      }
+      return [raw, null];
+    }
+    case "date": {
+      const value = new Date(raw);
+      return typeof raw !== "string" || Number.isNaN(value.getTime())
+        ? [raw, "must be a valid date"]
+        : [value, null];
+    }
+    case "objectId":
+      return mongoose.isValidObjectId(raw)
+        ? [raw, null]
+        : [raw, "must be a valid id"];
+    case "enum":
+      return rule.values.includes(raw)
+        ? [raw, null]
+        : [raw, `must be one of: ${rule.values.join(", ")}`];
+    case "array": {
+      if (!Array.isArray(raw)) return [raw, "must be an array"];
+      const lengthError = checkLength(rule, raw.length, "items");
+      if (lengthError) return [raw, lengthError];
+      const values = [];
+      for (const [index, item] of raw.entries()) {
+        const [value, error] = checkValue(rule.items, item);
+        if (error) return [raw, `item ${index + 1} ${error}`];
+        values.push(value);
+      }
+      return [values, null];
+    }
+    case "object": {
+      if (typeof raw !== "object" || Array.isArray(raw)) {
+        return [raw, "must be an object"];
+      }
+      const { value, errors } = check(rule.schema, raw);
+      return errors ? [raw, Object.values(errors)[0]] : [value, null];
+    }
+    default:
+      throw new Error(`Unknown validation type "${rule.type}"`);
+  }
+};
+
+// Validate `input` against `schema`. With `partial`, required fields may be
+// omitted (for updates) but at least one field must be given.
+export const check = (schema, input, { partial = false } = {}) => {
+  const source = input && typeof input === "object" ? input : {};
+  const value = {};
+  const errors = {};
+
+  for (const [field, rule] of Object.entries(schema)) {
+    const raw = source[field];
+
+    if (raw === undefined || raw === "") {
+      if (rule.required && !partial) errors[field] = `${field} is required`;
+      continue;
+    }
+    if (raw === null) {
+      if (rule.nullable) value[field] = null;
+      else errors[field] = `${field} may not be null`;
+      continue;
+    }
+
+    const [checked, error] = checkValue(rule, raw);
+    if (error) errors[field] = `${field} ${error}`;
+    else value[field] = checked;
+  }
+
+  if (
+    partial &&
+    Object.keys(errors).length === 0 &&
+    Object.keys(value).length === 0
+  ) {
+    errors._ = `Provide at least one of: ${Object.keys(schema).join(", ")}`;
+  }
+
+  return Object.keys(errors).length > 0 ? { errors } : { value };
+};
+
+// Middleware replacing req.body with its validated, whitelisted fields
+export const validate = (schema, options) => (req, res, next) => {
+  const { value, errors } = check(schema, req.body, options);
+  if (errors) return next(validationError(errors));
+  req.body = value;
+  next();
+};
@@ -0,0 +1,14 @@
+import { can } from "./permissions.js";
+
+// Query filter leaving out threads or comments hidden by moderation, which
+// only moderators may see
+export const hiddenVisibility = (user) =>
+  can(user, "content:viewHidden") ? {} : { isHidden: { $ne: true } };
+
+// Query filter for the threads `user` may see: guests only get public
+// threads outside members-only categories, and only moderators see threads
+// hidden by moderation
+export const threadVisibility = (user) => ({
+  ...(user ? {} : { isPublic: true, membersOnly: { $ne: true } }),
+  ...hiddenVisibility(user),
+});
@@ -0,0 +1,13 @@
+import { ROLES, PERMISSIONS } from "../utils/permissions.js";
+
+export const roleSchema = {
+  role: { type: "enum", values: ROLES, required: true },
+};
+
+// true/false sets an override, null clears it back to the role default
+export const permissionOverridesSchema = Object.fromEntries(
+  PERMISSIONS.map((permission) => [
+    permission,
+    { type: "boolean", nullable: true },
+  ])
+);
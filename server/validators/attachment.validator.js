@@ -0,0 +1,8 @@
+import { MAX_ATTACHMENTS } from "../utils/attachments.js";
+
+// Ids of uploaded files to attach to a post; see POST /attachments
+export const ATTACHMENTS_RULE = {
+  type: "array",
+  max: MAX_ATTACHMENTS,
+  items: { type: "objectId" },
+};
@@ -0,0 +1,38 @@
+import { PASSWORD_RULE } from "../utils/validation.js";
+
+export const USERNAME_RULE = {
+  type: "string",
+  min: 3,
+  max: 30,
+  pattern: /^[A-Za-z0-9_]+$/,
+  message: "may only contain letters, numbers and underscores",
+};
+
+// Fixed routes under /users/, which would hide the profiles of users with
+// these names (routes match case-insensitively)
+export const RESERVED_USERNAMES = ["autocomplete", "leaderboard"];
+
+const EMAIL_RULE = { type: "email", max: 254 };
+
+export const signupSchema = {
+  username: { ...USERNAME_RULE, required: true },
+  email: { ...EMAIL_RULE, required: true },
+  password: { ...PASSWORD_RULE, required: true },
+};
+
+export const loginSchema = {
+  email: { ...EMAIL_RULE, required: true },
+  password: { type: "password", max: 72, required: true },
+};
+
+export const forgotPasswordSchema = {
+  email: { ...EMAIL_RULE, required: true },
+};
+
+export const resetPasswordSchema = {
+  password: { ...PASSWORD_RULE, required: true },
+};
+
+export const refreshSchema = {
+  refreshToken: { type: "string", max: 200, required: true },
+};
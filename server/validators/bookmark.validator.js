@@ -0,0 +1,5 @@
+export const createBookmarkSchema = {
+  targetType: { type: "enum", values: ["thread", "comment"], required: true },
+  targetId: { type: "objectId", required: true },
+  note: { type: "string", max: 500, nullable: true },
+};
@@ -0,0 +1,25 @@
+const SLUG_RULE = {
+  type: "string",
+  min: 1,
+  max: 60,
+  pattern: /^[a-z0-9]+(?:-[a-z0-9]+)*$/,
+  message: "may only contain lowercase letters, numbers and single hyphens",
+};
+
+// Categories nest one level deep, so `parent` must be a top-level category;
+// the route checks that.
+export const createCategorySchema = {
+  name: { type: "string", min: 1, max: 80, required: true },
+  slug: { ...SLUG_RULE, required: true },
+  description: { type: "string", max: 500 },
+  order: { type: "integer", min: 0 },
+  parent: { type: "objectId", nullable: true },
+  membersOnly: { type: "boolean" },
+  readOnly: { type: "boolean" },
+  minPostReputation: { type: "integer", min: 0 },
+  minCommentReputation: { type: "integer", min: 0 },
+  moderators: { type: "array", max: 50, items: { type: "objectId" } },
+};
+
+// Used with { partial: true }
+export const updateCategorySchema = createCategorySchema;
@@ -0,0 +1,23 @@
+import { EDIT_REASON_RULE } from "./revision.validator.js";
+import { ATTACHMENTS_RULE } from "./attachment.validator.js";
+
+const CONTENT_RULE = { type: "string", min: 1, max: 10000, required: true };
+
+// POST /threads/:threadId/comments, where the thread comes from the URL
+export const createThreadCommentSchema = {
+  content: CONTENT_RULE,
+  parentId: { type: "objectId", nullable: true },
+  attachments: ATTACHMENTS_RULE,
+};
+
+// POST /comments
+export const createCommentSchema = {
+  ...createThreadCommentSchema,
+  threadId: { type: "objectId", required: true },
+};
+
+export const updateCommentSchema = {
+  content: CONTENT_RULE,
+  attachments: ATTACHMENTS_RULE,
+  reason: EDIT_REASON_RULE,
+};
@@ -0,0 +1,20 @@
+const CONTENT_RULE = { type: "string", min: 1, max: 10000, required: true };
+
+// Conversations have at most MAX_RECIPIENTS other participants
+export const MAX_RECIPIENTS = 20;
+
+export const createConversationSchema = {
+  recipients: {
+    type: "array",
+    min: 1,
+    max: MAX_RECIPIENTS,
+    items: { type: "objectId" },
+    required: true,
+  },
+  subject: { type: "string", max: 200 },
+  content: CONTENT_RULE,
+};
+
+export const sendMessageSchema = {
+  content: CONTENT_RULE,
+};
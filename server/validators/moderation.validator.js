@@ -0,0 +1,23 @@
+import { REPORT_REASONS } from "../models/report.model.js";
+import { MODERATION_ACTIONS } from "../utils/moderation.js";
+
+export const createReportSchema = {
+  targetType: {
+    type: "enum",
+    values: ["thread", "comment", "message"],
+    required: true,
+  },
+  targetId: { type: "objectId", required: true },
+  reason: { type: "enum", values: REPORT_REASONS, required: true },
+  details: { type: "string", max: 1000 },
+};
+
+// Omit assigneeId to take the report yourself, or send null to unassign it
+export const assignReportSchema = {
+  assigneeId: { type: "objectId", nullable: true },
+};
+
+export const moderationActionSchema = {
+  action: { type: "enum", values: MODERATION_ACTIONS, required: true },
+  note: { type: "string", max: 1000 },
+};
@@ -0,0 +1,12 @@
+import {
+  NOTIFICATION_TYPES,
+  DIGEST_FREQUENCIES,
+} from "../models/notification.model.js";
+
+// Each notification type switched on or off, plus the digest frequency
+export const notificationPreferencesSchema = {
+  ...Object.fromEntries(
+    NOTIFICATION_TYPES.map((type) => [type, { type: "boolean" }])
+  ),
+  digest: { type: "enum", values: DIGEST_FREQUENCIES },
+};
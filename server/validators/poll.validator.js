@@ -0,0 +1,32 @@
+export const MAX_POLL_OPTIONS = 20;
+
+// `poll` in POST /threads. Votes are public and can be changed unless the
+// poll says otherwise; closesAt must lie in the future.
+export const POLL_RULE = {
+  type: "object",
+  schema: {
+    question: { type: "string", min: 1, max: 300, required: true },
+    options: {
+      type: "array",
+      min: 2,
+      max: MAX_POLL_OPTIONS,
+      items: { type: "string", min: 1, max: 200 },
+      required: true,
+    },
+    multipleChoice: { type: "boolean" },
+    anonymous: { type: "boolean" },
+    allowVoteChange: { type: "boolean" },
+    closesAt: { type: "date" },
+  },
+};
+
+// Option ids; single-choice polls take exactly one
+export const pollVoteSchema = {
+  options: {
+    type: "array",
+    min: 1,
+    max: MAX_POLL_OPTIONS,
+    items: { type: "objectId" },
+    required: true,
+  },
+};
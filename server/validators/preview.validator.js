@@ -0,0 +1,4 @@
+// POST /preview; as long as the longest content a post may have
+export const previewSchema = {
+  content: { type: "string", min: 1, max: 20000, required: true },
+};
@@ -0,0 +1,16 @@
+// Send null to clear a field. Links must be absolute http(s) URLs.
+export const updateProfileSchema = {
+  displayName: { type: "string", min: 1, max: 50, nullable: true },
+  bio: { type: "string", max: 1000, nullable: true },
+  signature: { type: "string", max: 300, nullable: true },
+  links: {
+    type: "array",
+    max: 5,
+    items: {
+      type: "string",
+      max: 200,
+      pattern: /^https?:\/\/[^\s/$.?#][^\s]*$/i,
+      message: "must be an http(s) URL",
+    },
+  },
+};
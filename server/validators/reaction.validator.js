@@ -0,0 +1,5 @@
+import { REACTION_TYPES } from "../utils/reactions.js";
+
+export const reactionSchema = {
+  type: { type: "enum", values: REACTION_TYPES, required: true },
+};
@@ -0,0 +1,18 @@
+import { RESTRICTION_TYPES, MUTE_SCOPES } from "../utils/restrictions.js";
+
+// Bans are permanent; suspensions need a duration, mutes may have one.
+// A mute without a scope covers posting, commenting and messaging.
+export const createRestrictionSchema = {
+  type: { type: "enum", values: RESTRICTION_TYPES, required: true },
+  reason: { type: "string", min: 1, max: 1000, required: true },
+  durationHours: { type: "integer", min: 1, max: 24 * 365 },
+  scope: {
+    type: "array",
+    min: 1,
+    items: { type: "enum", values: MUTE_SCOPES },
+  },
+};
+
+export const liftRestrictionSchema = {
+  note: { type: "string", max: 1000 },
+};
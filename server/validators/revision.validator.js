@@ -0,0 +1,6 @@
+// Why a post was edited; shown in its revision history
+export const EDIT_REASON_RULE = { type: "string", max: 300 };
+
+export const revertRevisionSchema = {
+  reason: EDIT_REASON_RULE,
+};
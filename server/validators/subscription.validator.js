@@ -0,0 +1,5 @@
+import { SUBSCRIPTION_LEVELS } from "../models/subscription.model.js";
+
+export const subscriptionSchema = {
+  level: { type: "enum", values: SUBSCRIPTION_LEVELS, required: true },
+};
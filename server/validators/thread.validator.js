@@ -0,0 +1,53 @@
+import { EDIT_REASON_RULE } from "./revision.validator.js";
+import { ATTACHMENTS_RULE } from "./attachment.validator.js";
+import { POLL_RULE } from "./poll.validator.js";
+
+const TAGS_RULE = {
+  type: "array",
+  max: 10,
+  items: { type: "string", min: 1, max: 30 },
+};
+
+const threadFields = {
+  title: { type: "string", min: 3, max: 200 },
+  content: { type: "string", min: 1, max: 20000 },
+  tags: TAGS_RULE,
+  isPublic: { type: "boolean" },
+  // Q&A mode; see utils/answers.js
+  isQuestion: { type: "boolean" },
+  attachments: ATTACHMENTS_RULE,
+};
+
+export const createThreadSchema = {
+  ...threadFields,
+  category: { type: "objectId", required: true },
+  title: { ...threadFields.title, required: true },
+  content: { ...threadFields.content, required: true },
+  poll: POLL_RULE,
+};
+
+// Author edits; every field is optional
+export const updateThreadSchema = {
+  ...threadFields,
+  reason: EDIT_REASON_RULE,
+};
+
+// PUT /threads/:id/read; without commentId the whole thread counts as read
+export const readThreadSchema = {
+  commentId: { type: "objectId" },
+};
+
+export const acceptAnswerSchema = {
+  commentId: { type: "objectId", required: true },
+};
+
+// Fields a moderator may set through PUT /threads/:threadId/moderate
+export const moderateThreadSchema = {
+  title: threadFields.title,
+  tags: TAGS_RULE,
+  isPublic: { type: "boolean" },
+  isLocked: { type: "boolean" },
+  // Move the thread to another category
+  category: { type: "objectId" },
+  reason: EDIT_REASON_RULE,
+};
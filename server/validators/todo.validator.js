@@ -0,0 +1,5 @@
+export const createTodoSchema = {
+  title: { type: "string", min: 1, max: 200, required: true },
+  description: { type: "string", min: 1, max: 2000, required: true },
+  completed: { type: "boolean" },
+};